@@ -5,9 +5,11 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { Connection, Keypair, PublicKey, Transaction } = require('@solana/web3.js');
 const { getOrCreateAssociatedTokenAccount, createTransferInstruction, getMint, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
-const bs58 = require('bs58');
+const bs58 = require('bs58').default;
+const { PNG } = require('pngjs');
 
 // ============================================
 // SOLANA PAYOUT CONFIGURATION
@@ -48,22 +50,147 @@ function initSolana() {
     }
 }
 
-// Payout tokens to winners
-async function payoutToWinners(winnerAddresses, totalAmount) {
-    if (!connection || !devWallet || !tokenMint) {
-        console.log('Solana not configured - skipping payout');
-        return { success: false, error: 'Solana not configured' };
+// ============================================
+// PAYOUT LEDGER - DURABLE, RETRYABLE TRANSFERS
+// ============================================
+
+// Every payout is one ledger entry keyed by match ID + wallet, so a result that is
+// reported twice (or a server restart mid-payout) can never pay the same wallet twice.
+// Entry states:
+//   pending   - recorded, no transaction built yet
+//   sent      - transaction signed and submitted; its signature is on file
+//   confirmed - transfer landed
+//   failed    - transfer did not land; retried until PAYOUT_MAX_ATTEMPTS
+//   rejected  - the match or wallet failed PAYOUT_RULES; never sent, `reason` says why
+const PAYOUT_LEDGER_FILE = process.env.PAYOUT_LEDGER_FILE || path.join(__dirname, 'data', 'payouts.jsonl');
+const PAYOUT_AMOUNT = 10000; // 10,000 tokens split between a match's winners
+const PAYOUT_RETRY_MS = 15000; // How often the worker looks at unfinished entries
+const PAYOUT_RETRY_BACKOFF_MS = 60000; // Wait after a failure, multiplied by the attempt count
+const PAYOUT_MAX_ATTEMPTS = 5; // After this many failures an entry is left for manual review
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] && Number.isFinite(value) ? value : fallback;
+}
+
+// Eligibility rules checked before a match's payouts are queued (see checkPayoutEligibility)
+const PAYOUT_RULES = {
+    minHumanPlayers: envNumber('PAYOUT_MIN_HUMAN_PLAYERS', 4), // Players who moved during the match
+    minMatchSeconds: envNumber('PAYOUT_MIN_MATCH_SECONDS', 120),
+    minTasksCompleted: envNumber('PAYOUT_MIN_TASKS', 3), // Whole tasks finished by the crew...
+    minKills: envNumber('PAYOUT_MIN_KILLS', 1), // ...or kills - either one counts as a played match
+    dailyWalletCap: envNumber('PAYOUT_DAILY_WALLET_CAP', 30000) // Tokens per wallet per rolling 24 hours
+};
+
+// Append-only JSON-lines file: each line is the full entry after a change, and the
+// last line for a key wins. The file is compacted to one line per entry on load.
+class PayoutLedger {
+    constructor(file) {
+        this.file = file;
+        this.entries = new Map(); // `${matchId}:${wallet}` -> entry
+        this.matchIds = new Set(); // Matches with at least one entry
+        this.load();
+    }
+
+    static key(matchId, wallet) {
+        return `${matchId}:${wallet}`;
+    }
+
+    load() {
+        let lines = [];
+        try {
+            lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                this.entries.set(PayoutLedger.key(entry.matchId, entry.wallet), entry);
+                this.matchIds.add(entry.matchId);
+            } catch (err) {
+                // A crash mid-append leaves at most one torn line at the end
+                console.error('Skipping unreadable payout ledger line:', line);
+            }
+        }
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const compacted = [...this.entries.values()].map(entry => JSON.stringify(entry) + '\n').join('');
+        fs.writeFileSync(this.file + '.tmp', compacted);
+        fs.renameSync(this.file + '.tmp', this.file);
+
+        console.log(`Payout ledger loaded: ${this.entries.size} entries (${this.unfinished().length} unfinished)`);
+    }
+
+    get(matchId, wallet) {
+        return this.entries.get(PayoutLedger.key(matchId, wallet)) || null;
+    }
+
+    hasMatch(matchId) {
+        return this.matchIds.has(matchId);
+    }
+
+    // Record a wallet's payout for a match, or its rejection when a reason is given.
+    // Returns null if the wallet already has an entry for this match - this is the
+    // double-payout guard.
+    add(matchId, wallet, amount, reason = null) {
+        if (this.get(matchId, wallet)) return null;
+        const now = Date.now();
+        const entry = {
+            matchId,
+            wallet,
+            amount,
+            state: reason ? 'rejected' : 'pending',
+            reason,
+            attempts: 0,
+            signature: null,
+            lastValidBlockHeight: null,
+            error: null,
+            retryAt: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.entries.set(PayoutLedger.key(matchId, wallet), entry);
+        this.matchIds.add(matchId);
+        this.append(entry);
+        return entry;
+    }
+
+    // Tokens a wallet has been paid or is owed from matches recorded since `since`
+    walletTotalSince(wallet, since) {
+        let total = 0;
+        for (const entry of this.entries.values()) {
+            if (entry.wallet === wallet && entry.state !== 'rejected' && entry.createdAt >= since) {
+                total += entry.amount;
+            }
+        }
+        return total;
+    }
+
+    update(entry, changes) {
+        Object.assign(entry, changes, { updatedAt: Date.now() });
+        this.append(entry);
+        return entry;
+    }
+
+    // Synchronous so a change is on disk before the transfer it describes goes out
+    append(entry) {
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
     }
 
-    if (!winnerAddresses || winnerAddresses.length === 0) {
-        return { success: false, error: 'No winners to pay' };
+    unfinished() {
+        return [...this.entries.values()].filter(entry => entry.state !== 'confirmed' && entry.state !== 'rejected');
     }
+}
 
-    const amountPerWinner = Math.floor(totalAmount / winnerAddresses.length);
-    const results = [];
+const payoutLedger = new PayoutLedger(PAYOUT_LEDGER_FILE);
+let payoutsRunning = false; // One worker pass at a time
 
-    // Fetch the real mint decimals once (pump.fun tokens are 6 decimals, NOT 9).
-    // Hardcoding 9 would send 1000x too many tokens and drain the wallet.
+// Fetch the real mint decimals once (pump.fun tokens are 6 decimals, NOT 9).
+// Hardcoding 9 would send 1000x too many tokens and drain the wallet.
+async function getTokenDecimals() {
     if (tokenDecimals === null) {
         try {
             const mintInfo = await getMint(connection, tokenMint);
@@ -74,82 +201,375 @@ async function payoutToWinners(winnerAddresses, totalAmount) {
             tokenDecimals = 6;
         }
     }
+    return tokenDecimals;
+}
 
-    console.log(`Paying ${amountPerWinner} tokens (${tokenDecimals} decimals) to ${winnerAddresses.length} winners`);
+function failPayout(entry, error, attempts = entry.attempts) {
+    payoutLedger.update(entry, {
+        state: 'failed',
+        attempts,
+        error,
+        retryAt: Date.now() + PAYOUT_RETRY_BACKOFF_MS * attempts
+    });
+    if (attempts >= PAYOUT_MAX_ATTEMPTS) {
+        console.error(`Payout ${entry.matchId} -> ${entry.wallet} gave up after ${attempts} attempts: ${error}`);
+    } else {
+        console.error(`Payout ${entry.matchId} -> ${entry.wallet} failed (attempt ${attempts}): ${error}`);
+    }
+}
 
-    for (const address of winnerAddresses) {
-        try {
-            const recipientPubkey = new PublicKey(address);
-
-            // Get or create token accounts
-            const devTokenAccount = await getOrCreateAssociatedTokenAccount(
-                connection,
-                devWallet,
-                tokenMint,
-                devWallet.publicKey
-            );
-
-            const recipientTokenAccount = await getOrCreateAssociatedTokenAccount(
-                connection,
-                devWallet,
-                tokenMint,
-                recipientPubkey
-            );
-
-            // Amount in the token's smallest units, using the mint's real decimals.
-            const transferAmount = BigInt(amountPerWinner) * (10n ** BigInt(tokenDecimals));
-
-            const transaction = new Transaction().add(
-                createTransferInstruction(
-                    devTokenAccount.address,
-                    recipientTokenAccount.address,
-                    devWallet.publicKey,
-                    transferAmount,
-                    [],
-                    TOKEN_PROGRAM_ID
-                )
-            );
-
-            // Send transaction
-            const signature = await connection.sendTransaction(transaction, [devWallet]);
-            await connection.confirmTransaction(signature);
-
-            console.log(`Paid ${amountPerWinner} tokens to ${address}: ${signature}`);
-            results.push({ address, amount: amountPerWinner, signature, success: true });
-        } catch (err) {
-            console.error(`Failed to pay ${address}:`, err.message);
-            results.push({ address, error: err.message, success: false });
+// Build, sign and submit one transfer. The signature is written to the ledger before
+// the transaction leaves, so after a crash we look the transfer up instead of paying again.
+async function sendPayout(entry) {
+    const attempts = entry.attempts + 1;
+    let submitted = false;
+    try {
+        const decimals = await getTokenDecimals();
+        const recipientPubkey = new PublicKey(entry.wallet);
+
+        // Get or create token accounts
+        const devTokenAccount = await getOrCreateAssociatedTokenAccount(
+            connection,
+            devWallet,
+            tokenMint,
+            devWallet.publicKey
+        );
+
+        const recipientTokenAccount = await getOrCreateAssociatedTokenAccount(
+            connection,
+            devWallet,
+            tokenMint,
+            recipientPubkey
+        );
+
+        // Amount in the token's smallest units, using the mint's real decimals.
+        const transferAmount = BigInt(entry.amount) * (10n ** BigInt(decimals));
+
+        const transaction = new Transaction().add(
+            createTransferInstruction(
+                devTokenAccount.address,
+                recipientTokenAccount.address,
+                devWallet.publicKey,
+                transferAmount,
+                [],
+                TOKEN_PROGRAM_ID
+            )
+        );
+
+        const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+        transaction.recentBlockhash = blockhash;
+        transaction.feePayer = devWallet.publicKey;
+        transaction.sign(devWallet);
+        const signature = bs58.encode(transaction.signature);
+
+        payoutLedger.update(entry, { state: 'sent', attempts, signature, lastValidBlockHeight, error: null });
+        submitted = true;
+
+        await connection.sendRawTransaction(transaction.serialize());
+        await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight });
+
+        payoutLedger.update(entry, { state: 'confirmed' });
+        console.log(`Paid ${entry.amount} tokens to ${entry.wallet} for ${entry.matchId}: ${signature}`);
+    } catch (err) {
+        if (submitted) {
+            // It may still land - checkPayout() settles it once the blockhash expires
+            payoutLedger.update(entry, { error: err.message });
+            console.error(`Payout ${entry.matchId} -> ${entry.wallet} unconfirmed:`, err.message);
+        } else {
+            failPayout(entry, err.message, attempts);
+        }
+    }
+}
+
+// Settle a 'sent' entry from the chain: confirmed if its transaction landed, failed
+// (and safe to resend) if it errored or its blockhash expired without it landing.
+async function checkPayout(entry) {
+    try {
+        const { value } = await connection.getSignatureStatus(entry.signature, { searchTransactionHistory: true });
+        if (value && value.err) {
+            failPayout(entry, `Transaction failed: ${JSON.stringify(value.err)}`);
+        } else if (value && (value.confirmationStatus === 'confirmed' || value.confirmationStatus === 'finalized')) {
+            payoutLedger.update(entry, { state: 'confirmed', error: null });
+            console.log(`Payout ${entry.matchId} -> ${entry.wallet} confirmed: ${entry.signature}`);
+        } else if (!value && await connection.getBlockHeight() > entry.lastValidBlockHeight) {
+            failPayout(entry, 'Transaction expired before landing');
         }
+    } catch (err) {
+        console.error(`Could not check payout ${entry.signature}:`, err.message);
+    }
+}
+
+// Retry worker: resends pending/failed entries and settles sent ones. Runs on an
+// interval and right after a match is recorded.
+async function processPayouts() {
+    if (payoutsRunning) return;
+    if (!connection || !devWallet || !tokenMint) return; // Entries wait until payouts are configured
+    payoutsRunning = true;
+    try {
+        for (const entry of payoutLedger.unfinished()) {
+            if (entry.state === 'sent') {
+                await checkPayout(entry);
+            } else if (entry.attempts < PAYOUT_MAX_ATTEMPTS && Date.now() >= entry.retryAt) {
+                await sendPayout(entry);
+            }
+        }
+    } finally {
+        payoutsRunning = false;
+    }
+}
+
+// Announce the winner, pay them out and keep the match's replay
+function endGame(room, winResult) {
+    // A kill, a leave and a timer can all spot a win for the same match - finish it once
+    if (room.matchEnded) return;
+    room.matchEnded = true;
+
+    io.to(room.code).emit('game_over', winResult);
+    triggerPayout(room, winResult);
+    saveReplay(room, winResult);
+}
+
+// Apply PAYOUT_RULES to a finished match. Match-wide rules reject every wallet;
+// the rest are per wallet. Returns [{ wallet, reason }] with reason null if eligible.
+function checkPayoutEligibility(room, wallets, amountPerWinner) {
+    const matchPlayers = [...room.matchPlayers.values()];
+    const humanPlayers = matchPlayers.filter(p => p.moved).length;
+    const matchSeconds = Math.floor((Date.now() - room.matchStartedAt) / 1000);
+    const tasksCompleted = matchPlayers.reduce((sum, p) => sum + p.tasksCompleted, 0);
+    const kills = matchPlayers.reduce((sum, p) => sum + p.kills, 0);
+
+    let matchReason = null;
+    if (humanPlayers < PAYOUT_RULES.minHumanPlayers) {
+        matchReason = `Only ${humanPlayers} active players (need ${PAYOUT_RULES.minHumanPlayers})`;
+    } else if (matchSeconds < PAYOUT_RULES.minMatchSeconds) {
+        matchReason = `Match lasted ${matchSeconds}s (need ${PAYOUT_RULES.minMatchSeconds}s)`;
+    } else if (tasksCompleted < PAYOUT_RULES.minTasksCompleted && kills < PAYOUT_RULES.minKills) {
+        matchReason = `Too little activity: ${tasksCompleted} tasks, ${kills} kills ` +
+            `(need ${PAYOUT_RULES.minTasksCompleted} tasks or ${PAYOUT_RULES.minKills} kills)`;
+    }
+
+    const playersPerWallet = new Map();
+    for (const p of matchPlayers) {
+        if (p.walletAddress) playersPerWallet.set(p.walletAddress, (playersPerWallet.get(p.walletAddress) || 0) + 1);
     }
 
-    return { success: true, results };
+    return wallets.map(wallet => {
+        if (matchReason) return { wallet, reason: matchReason };
+        const players = playersPerWallet.get(wallet) || 0;
+        if (players > 1) return { wallet, reason: `Wallet used by ${players} players in this match` };
+        const paidToday = payoutLedger.walletTotalSince(wallet, Date.now() - DAY_MS);
+        if (paidToday + amountPerWinner > PAYOUT_RULES.dailyWalletCap) {
+            return { wallet, reason: `Daily cap reached (${paidToday} of ${PAYOUT_RULES.dailyWalletCap} tokens in 24h)` };
+        }
+        return { wallet, reason: null };
+    });
 }
 
-// Pay out winners for a game_over result (no-op if payouts disabled / no wallets).
+// Record payouts for a game_over result in the ledger - eligible wallets as pending,
+// the rest as rejected with a reason - and kick the worker. No-op if there are no wallets,
+// or if the match already has ledger entries: a second win result for the same match
+// (however it came about) must not pay out a different set of winners.
 function triggerPayout(room, winResult) {
-    const PAYOUT_AMOUNT = 10000; // 10,000 tokens split between winners
-    if (winResult && winResult.winnerWallets && winResult.winnerWallets.length > 0) {
-        console.log(`Game over! ${winResult.winner} win. Paying out to ${winResult.winnerWallets.length} wallets`);
-        payoutToWinners(winResult.winnerWallets, PAYOUT_AMOUNT)
-            .then(payoutResult => console.log('Payout result:', payoutResult))
-            .catch(err => console.error('Payout failed:', err));
+    if (!winResult || !winResult.winnerWallets || winResult.winnerWallets.length === 0) return;
+    if (payoutLedger.hasMatch(room.matchId)) {
+        console.log(`Payouts for ${room.matchId} already recorded - skipping`);
+        return;
+    }
+    const wallets = [...new Set(winResult.winnerWallets)];
+    const amountPerWinner = Math.floor(PAYOUT_AMOUNT / wallets.length);
+
+    let queued = 0;
+    for (const { wallet, reason } of checkPayoutEligibility(room, wallets, amountPerWinner)) {
+        payoutLedger.add(room.matchId, wallet, amountPerWinner, reason);
+        if (reason) {
+            console.log(`Payout to ${wallet} for ${room.matchId} rejected: ${reason}`);
+        } else {
+            queued++;
+        }
     }
+    console.log(`Game over! ${winResult.winner} win. Queued ${amountPerWinner} tokens for ${queued} of ${wallets.length} wallets (${room.matchId})`);
+    if (queued === 0) return;
+    if (!connection || !devWallet || !tokenMint) {
+        console.log('Solana not configured - payouts held in the ledger');
+        return;
+    }
+    processPayouts().catch(err => console.error('Payout worker failed:', err));
 }
 
 // When a player leaves/disconnects mid-game, re-run the win check so the game can't
 // softlock (e.g. the only impostor leaves -> crewmates should immediately win).
 function handleMidGameLeave(result) {
     if (!result || result.roomDeleted || !result.room) return;
+    // The leaver's vote can no longer arrive - close voting if everyone else is done.
+    // Any other mid-meeting win is picked up when the meeting finishes.
+    if (result.room.state === 'meeting') {
+        if (result.room.allVotesIn()) resolveMeeting(result.room);
+        return;
+    }
     if (result.room.state !== 'playing') return;
+    // The leaver's tasks no longer count towards the bar
+    io.to(result.code).emit('task_progress', result.room.getTaskProgress());
+    // ...and they may have been the one watching the cameras
+    io.to(result.code).emit('cameras_state', result.room.getCamerasState());
     const winResult = result.room.checkWinCondition();
     if (winResult) {
-        io.to(result.code).emit('game_over', winResult);
-        triggerPayout(result.room, winResult);
+        endGame(result.room, winResult);
+    }
+}
+
+// ============================================
+// MEETINGS
+// ============================================
+
+// Fixed-length presentation phases; mirrors introDuration / voteResultsDuration /
+// ejectionDuration in Game.js. Discussion and voting come from the room settings.
+const MEETING_INTRO_MS = 2000;
+const MEETING_RESULTS_MS = 2000;
+const MEETING_EJECTION_MS = 5000;
+
+function getMeetingPhaseDuration(room, phase) {
+    switch (phase) {
+        case 'intro': return MEETING_INTRO_MS;
+        case 'discussion': return room.settings.discussionTime * 1000;
+        case 'voting': return room.settings.votingTime * 1000;
+        case 'results': return MEETING_RESULTS_MS;
+        case 'ejection': return MEETING_EJECTION_MS;
+        default: return 0;
+    }
+}
+
+// Enter a meeting phase and broadcast its absolute deadline. serverNow lets clients
+// correct for clock skew so every countdown hits zero at the same moment.
+function setMeetingPhase(room, phase) {
+    const now = Date.now();
+    const duration = getMeetingPhaseDuration(room, phase);
+    room.meeting.phase = phase;
+    room.meeting.endsAt = now + duration;
+
+    io.to(room.code).emit('meeting_phase', {
+        phase,
+        endsAt: room.meeting.endsAt,
+        serverNow: now
+    });
+
+    clearTimeout(room.meetingTimeout);
+    room.meetingTimeout = setTimeout(() => advanceMeeting(room), duration);
+}
+
+// Phase machine: intro -> discussion -> voting -> results -> (ejection) -> back to playing
+function advanceMeeting(room) {
+    if (!room.meeting) return;
+
+    switch (room.meeting.phase) {
+        case 'intro':
+            setMeetingPhase(room, room.settings.discussionTime > 0 ? 'discussion' : 'voting');
+            break;
+        case 'discussion':
+            setMeetingPhase(room, 'voting');
+            break;
+        case 'voting':
+            resolveMeeting(room);
+            break;
+        case 'results':
+            if (room.meeting.result.ejectedId) {
+                setMeetingPhase(room, 'ejection');
+            } else {
+                finishMeeting(room);
+            }
+            break;
+        case 'ejection':
+            finishMeeting(room);
+            break;
+    }
+}
+
+// Tally the votes and broadcast the single authoritative outcome of a meeting.
+function resolveMeeting(room) {
+    if (!room.meeting || room.meeting.phase !== 'voting') return;
+
+    const result = room.tallyVotes();
+    console.log(`Meeting in ${room.code} resolved:`, result.ejectedId || (result.isTie ? 'tie' : 'skipped'));
+
+    const { winResult, ...meetingResult } = result;
+    io.to(room.code).emit('meeting_result', meetingResult);
+    room.recordReplay('meeting_result', meetingResult);
+    setMeetingPhase(room, 'results');
+}
+
+// Close the meeting once the results/ejection screens have played out
+function finishMeeting(room) {
+    clearTimeout(room.meetingTimeout);
+    const { winResult } = room.meeting.result;
+    room.endMeeting();
+    room.recordReplay('meeting_end');
+
+    // Players may have left during the meeting, so re-check if voting didn't end it
+    const finalResult = winResult || room.checkWinCondition();
+    if (finalResult) {
+        endGame(room, finalResult);
+        return;
+    }
+
+    for (const player of room.players.values()) {
+        player.inVent = false;
+        player.ventId = null;
+    }
+    // The living respawn at the cafeteria table, in the seats picked here
+    const positions = room.seatAtTable([...room.players.values()].filter(p => !p.isDead));
+
+    io.to(room.code).emit('meeting_phase', { phase: 'none', endsAt: 0, serverNow: Date.now(), positions });
+    io.to(room.code).emit('game_state', 'playing');
+}
+
+// Reactor / O2 countdown ran out before the crew fixed it -> impostors win
+function expireCriticalSabotage(room) {
+    if (room.state !== 'playing' || !room.criticalSabotage) return;
+
+    room.clearCriticalSabotage();
+    room.state = 'ended';
+    const winResult = room.buildVictoryData('impostors');
+    endGame(room, winResult);
+}
+
+// Hide and Seek: (re)arm the crewmate win for whenever the hide timer now runs out
+function armHideAndSeekTimer(room) {
+    clearTimeout(room.hideAndSeekTimeout);
+    room.hideAndSeekTimeout = setTimeout(() => expireHideAndSeek(room), room.getHideAndSeekState().remainingMs);
+}
+
+// The crew outlasted the seeker -> crewmates win
+function expireHideAndSeek(room) {
+    if (room.state !== 'playing' || !room.hideAndSeek) return;
+
+    room.clearHideAndSeek();
+    room.state = 'ended';
+    const winResult = room.buildVictoryData('crewmates');
+    endGame(room, winResult);
+}
+
+function callMeeting(room, payload) {
+    room.startMeeting(payload);
+    // Shapeshifters are themselves again at the table
+    for (const playerId of room.resetShapeshifts()) {
+        io.to(room.code).emit('player_shapeshift', { playerId, into: null });
+        io.to(playerId).emit('ability_state', room.getAbilityState(playerId));
     }
+    io.to(room.code).emit('cameras_state', room.getCamerasState());
+    // Everyone walks to the table, so shut doors don't survive into the next round
+    room.openAllDoors();
+    io.to(room.code).emit('doors_state', room.getDoorsState());
+    io.to(room.code).emit('meeting_called', payload);
+    room.recordReplay('meeting', { callerId: payload.callerId, bodyId: payload.bodyId, reason: payload.type });
+    io.to(room.code).emit('game_state', 'meeting');
+    setMeetingPhase(room, 'intro');
 }
 
-// Initialize Solana on server start
+// Initialize Solana on server start, then resume any payouts left unfinished
 initSolana();
+processPayouts().catch(err => console.error('Payout worker failed:', err));
+setInterval(() => {
+    processPayouts().catch(err => console.error('Payout worker failed:', err));
+}, PAYOUT_RETRY_MS);
 
 const app = express();
 
@@ -196,6 +616,328 @@ function getPlayerRoom(x, y) {
     }
     return null; // Not in any room
 }
+
+// ============================================
+// GAME SETTINGS
+// ============================================
+
+// Schema shared with the client (src/GameSettings.js): defaults and allowed values
+// for every lobby setting, plus the base values the multipliers apply to.
+const GAME_SETTINGS = require('../shared/game-settings.json');
+
+// Smallest room the host can start - the lobby's start button unlocks at the same count
+const MIN_PLAYERS_TO_START = GAME_SETTINGS.minPlayersToStart;
+
+function getDefaultSettings() {
+    const settings = {};
+    for (const [key, spec] of Object.entries(GAME_SETTINGS.settings)) {
+        settings[key] = spec.default;
+    }
+    return settings;
+}
+
+// Check a single setting against the schema. Returns an error string or null.
+function validateSetting(key, value) {
+    const spec = GAME_SETTINGS.settings[key];
+    if (!spec) return `Unknown setting ${key}`;
+
+    if (spec.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    }
+    if (spec.options) {
+        return spec.options.includes(value) ? null : `${key} must be one of ${spec.options.join(', ')}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+    if (value < spec.min || value > spec.max) return `${key} must be between ${spec.min} and ${spec.max}`;
+
+    const steps = (value - spec.min) / spec.step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6) return `${key} must be in steps of ${spec.step}`;
+    return null;
+}
+
+// Validate a partial settings update. All-or-nothing: any bad value rejects the update.
+function validateSettings(update) {
+    if (!update || typeof update !== 'object') return { error: 'Invalid settings' };
+
+    const errors = Object.entries(update)
+        .map(([key, value]) => validateSetting(key, value))
+        .filter(Boolean);
+    if (errors.length > 0) return { error: errors.join('; ') };
+
+    return { success: true };
+}
+
+// ============================================
+// ROLES
+// ============================================
+
+// Role catalog shared with the client (src/Roles.js). Each special role belongs to the
+// crewmate or impostor team and is handed out from the <role>Count / <role>Chance settings;
+// its ability runs for <role>Duration seconds, then recharges for <role>Cooldown.
+const GAME_ROLES = require('../shared/roles.json');
+const ABILITY_COOLDOWN_SLACK = 500; // Client cooldowns start a little before the server's
+const PROTECT_RANGE = 100; // Mirrors protectRange in Game.js
+
+// ============================================
+// COLLISION MASK FOR MOVEMENT VALIDATION
+// ============================================
+
+// Same mask the client loads in GameMap.loadCollisionMask(). Map size matches GameMap.
+const MAP_WIDTH = Math.round(8564 * 0.25);
+const MAP_HEIGHT = Math.round(4793 * 0.25);
+const MOVE_SPEED_TOLERANCE = 1.5; // Allow for packet jitter / bunched updates
+const MOVE_SLACK = 10; // Extra pixels on top of the movement budget's cap - granted once, not per packet
+const MOVE_BUDGET_MAX_MS = 200; // Movement time a player can bank - covers packets bunched up by jitter
+const RANGE_TOLERANCE = 1.2; // Positions are ~50ms stale, so allow a little over kill/report range
+const REPORT_RANGE = 150; // Mirrors reportRange in Game.js
+const CRITICAL_SABOTAGE_MS = 30000; // Mirrors sabotageTimerMax in Game.js
+const CRITICAL_PANELS = { // Mirrors the ReactorMeltdownTask / EnterCodeTask panels in Game.initSabotagePanels
+    reactor: [{ x: 291, y: 704 }, { x: 283, y: 400 }],
+    '02': [{ x: 1542, y: 459 }, { x: 1538, y: 618 }]
+};
+const SABOTAGE_COOLDOWN_SLACK = 1000; // Client cooldowns start a little before the server's
+const SABOTAGE_TYPES = ['reactor', '02', 'electrical', 'comms', 'doors']; // Game.triggerSabotage() types
+const PANEL_RANGE = 50; // Mirrors taskRadius in Game.getNearbyTask()
+const LIGHTS_PANEL = { x: 805, y: 800 }; // Fix Lights panel in Electrical (Game.initSabotagePanels)
+const LIGHT_SWITCH_COUNT = 5;
+const COMMS_PANEL = { x: 1330, y: 995 }; // Fix Comms panel in Communications (Game.initSabotagePanels)
+const COMMS_TUNE_TOLERANCE = 0.06; // FixCommsTask locks within 0.04 of the target, plus slack
+const SECURITY_CONSOLE = { x: 680, y: 505 }; // Mirrors securityConsolePos in Game.js
+const SECURITY_CONSOLE_RANGE = 60; // Mirrors securityConsoleRadius in Game.js
+const VENTS = new Map(require('../shared/vents.json').map(vent => [vent.id, vent])); // Same vents as GameMap.vents
+const VENT_RANGE = 30; // Mirrors the radius in GameMap.getVentAt()
+const VENT_TIMER_SLACK = 1000; // Client vent timers run a little apart from the server's (enter animation, latency)
+const SPAWN_POINTS = require('../shared/spawn-points.json'); // Seats around the cafeteria table - same as GameMap.spawnPoints
+
+let collisionMask = null; // { width, height, data } RGBA pixels
+try {
+    const maskPath = path.join(__dirname, '../public/assets/skeld-collision.png');
+    collisionMask = PNG.sync.read(fs.readFileSync(maskPath));
+    console.log(`Loaded collision mask: ${collisionMask.width}x${collisionMask.height}`);
+} catch (e) {
+    console.log('Could not load collision mask - movement will not be wall-checked:', e.message);
+}
+
+// Mirrors GameMap.isPixelBlocked(): black = walkable, anything else or out of bounds = wall
+function isPixelBlocked(x, y) {
+    if (!collisionMask) return false;
+
+    const maskX = Math.floor(x * (collisionMask.width / MAP_WIDTH));
+    const maskY = Math.floor(y * (collisionMask.height / MAP_HEIGHT));
+    if (maskX < 0 || maskX >= collisionMask.width || maskY < 0 || maskY >= collisionMask.height) {
+        return true;
+    }
+
+    const index = (maskY * collisionMask.width + maskX) * 4;
+    const r = collisionMask.data[index];
+    const g = collisionMask.data[index + 1];
+    const b = collisionMask.data[index + 2];
+    const a = collisionMask.data[index + 3];
+
+    if (a < 50) return true;
+    if (r < 50 && g < 50 && b < 50) return false;
+    return true;
+}
+
+// Walk the segment in small steps. Only the centre point is sampled (not the client's
+// 5-point foot box) so legitimate wall-sliding isn't flagged.
+function isPathBlocked(fromX, fromY, toX, toY) {
+    const distance = Math.hypot(toX - fromX, toY - fromY);
+    const steps = Math.max(1, Math.ceil(distance / 2));
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        if (isPixelBlocked(fromX + (toX - fromX) * t, fromY + (toY - fromY) * t)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// ============================================
+// WALL SEGMENTS FOR LINE OF SIGHT
+// ============================================
+
+// Same segments the client raycasts against for vision (already in game coordinates)
+let wallSegments = [];
+try {
+    const wallsPath = path.join(__dirname, '../public/assets/wall-segments.json');
+    wallSegments = JSON.parse(fs.readFileSync(wallsPath, 'utf8')).segments || [];
+    console.log(`Loaded ${wallSegments.length} wall segments for line of sight`);
+} catch (e) {
+    console.log('Could not load wall segments:', e.message);
+}
+
+function segmentsIntersect(ax1, ay1, ax2, ay2, bx1, by1, bx2, by2) {
+    const dx = ax2 - ax1;
+    const dy = ay2 - ay1;
+    const sdx = bx2 - bx1;
+    const sdy = by2 - by1;
+
+    const denom = dx * sdy - dy * sdx;
+    if (Math.abs(denom) < 0.0001) return false;
+
+    const t = ((bx1 - ax1) * sdy - (by1 - ay1) * sdx) / denom;
+    const u = ((bx1 - ax1) * dy - (by1 - ay1) * dx) / denom;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+}
+
+// extraWalls: additional segments to test (closed doors)
+function hasLineOfSight(fromX, fromY, toX, toY, extraWalls = []) {
+    for (const wall of [...wallSegments, ...extraWalls]) {
+        if (segmentsIntersect(fromX, fromY, toX, toY, wall.x1, wall.y1, wall.x2, wall.y2)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// ============================================
+// DOORS
+// ============================================
+
+// Same door segments the client loads in GameMap.loadDoors() (game coordinates)
+const DOOR_CLOSE_MS = 10000; // Mirrors doorCloseTime in Game.js
+const DOOR_COOLDOWN_MS = 30000; // Mirrors doorCooldownMax in Game.js
+
+let doorSegments = [];
+try {
+    const doorsPath = path.join(__dirname, '../public/assets/skeld-doors.json');
+    doorSegments = JSON.parse(fs.readFileSync(doorsPath, 'utf8')).doors || [];
+    console.log(`Loaded ${doorSegments.length} doors`);
+} catch (e) {
+    console.log('Could not load doors - door sabotage is disabled:', e.message);
+}
+
+// ============================================
+// TASK CATALOG
+// ============================================
+
+// Task categories (as on The Skeld). Names match the taskName labels in map-shapes.json.
+const TASK_CATEGORIES = {
+    'Swipe Card': 'common',
+    'Fix Wiring': 'common',
+    'Divert Power': 'short',
+    'Download Data': 'short',
+    'Prime Shields': 'short',
+    'Stabilize Steering': 'short',
+    'Unlock Manifolds': 'short',
+    'Align Engine Output': 'long',
+    'Clear Asteroids': 'long',
+    'Start Reactor': 'long',
+    'Submit Scan': 'long'
+};
+
+// Task templates grouped by category. Each template builds the ordered steps
+// ({ name, room }) a player has to complete; most tasks have a single step.
+const taskTemplates = { common: [], short: [], long: [] };
+// Where each step is done: `${name}|${room}` -> { x, y } in game coords. Same points
+// as the taskLocations map in Game.initTasks() (box centre or first line point).
+const taskLocations = new Map();
+try {
+    const shapesPath = path.join(__dirname, '../public/assets/map-shapes.json');
+    const shapes = JSON.parse(fs.readFileSync(shapesPath, 'utf8'));
+
+    for (const shape of shapes) {
+        if (!shape.taskName || shape.taskName === 'Always Visible' || shape.imposterOnly) continue;
+        const key = `${shape.taskName}|${shape.taskRoom}`;
+        if (taskLocations.has(key)) continue;
+        if (shape.type === 'box' || shape.type === 'roundedBox') {
+            taskLocations.set(key, { x: (shape.x + shape.width / 2) * 0.25, y: (shape.y + shape.height / 2) * 0.25 });
+        } else if (shape.type === 'line') {
+            taskLocations.set(key, { x: shape.x1 * 0.25, y: shape.y1 * 0.25 });
+        }
+    }
+    // Fallbacks Game.initTasks() uses when the map has no shape for these
+    if (!taskLocations.has('Divert Power|Electrical')) taskLocations.set('Divert Power|Electrical', { x: 3326.37 * 0.25, y: 2533.29 * 0.25 });
+    if (!taskLocations.has('Upload Data|Admin')) taskLocations.set('Upload Data|Admin', { x: 5403.50 * 0.25, y: 2343.15 * 0.25 });
+
+    // Unique rooms per task name
+    const taskRooms = new Map(); // taskName -> Set(room)
+    for (const shape of shapes) {
+        if (!shape.taskName || shape.taskName === 'Always Visible' || shape.imposterOnly) continue;
+        if (!taskRooms.has(shape.taskName)) taskRooms.set(shape.taskName, new Set());
+        taskRooms.get(shape.taskName).add(shape.taskRoom);
+    }
+    const roomsFor = (name) => [...(taskRooms.get(name) || [])];
+
+    for (const room of roomsFor('Accept Diverted Power')) {
+        taskTemplates.short.push({
+            name: 'Divert Power',
+            steps: () => [{ name: 'Divert Power', room: 'Electrical' }, { name: 'Accept Diverted Power', room }]
+        });
+    }
+
+    for (const room of roomsFor('Download Data')) {
+        taskTemplates.short.push({
+            name: 'Download Data',
+            steps: () => [{ name: 'Download Data', room }, { name: 'Upload Data', room: 'Admin' }]
+        });
+    }
+
+    // Fix Wiring: 3 random panels, picked fresh each time the task is assigned
+    const wiringRooms = roomsFor('Fix Wiring');
+    if (wiringRooms.length >= 3) {
+        taskTemplates.common.push({
+            name: 'Fix Wiring',
+            steps: () => shuffle(wiringRooms).slice(0, 3).map(room => ({ name: 'Fix Wiring', room }))
+        });
+    }
+
+    for (const [name, category] of Object.entries(TASK_CATEGORIES)) {
+        if (name === 'Divert Power' || name === 'Download Data' || name === 'Fix Wiring') continue;
+        for (const room of roomsFor(name)) {
+            taskTemplates[category].push({ name, steps: () => [{ name, room }] });
+        }
+    }
+    console.log(`Loaded task templates: ${taskTemplates.common.length} common, ${taskTemplates.short.length} short, ${taskTemplates.long.length} long`);
+} catch (e) {
+    console.log('Could not load task templates:', e.message);
+}
+
+function shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Pick up to `count` templates from a category, at most one per task name
+function pickTaskTemplates(category, count) {
+    const picked = [];
+    const usedNames = new Set();
+    for (const template of shuffle(taskTemplates[category])) {
+        if (picked.length >= count) break;
+        if (usedNames.has(template.name)) continue;
+        usedNames.add(template.name);
+        picked.push(template);
+    }
+    return picked;
+}
+
+// ============================================
+// MAP CONSOLES
+// ============================================
+
+// Box shapes in map-shapes.json with a "console" name (e.g. Vitals), same source as
+// Game.processMapShapes(). Stored as centre points in game coordinates.
+const VITALS_RANGE = 60; // Mirrors vitalsRadius in Game.js
+const mapConsoles = {};
+try {
+    const shapesPath = path.join(__dirname, '../public/assets/map-shapes.json');
+    for (const shape of JSON.parse(fs.readFileSync(shapesPath, 'utf8'))) {
+        if (!shape.console || shape.type !== 'box') continue;
+        mapConsoles[shape.console] = {
+            x: (shape.x + shape.width / 2) * 0.25,
+            y: (shape.y + shape.height / 2) * 0.25
+        };
+    }
+    console.log(`Loaded map consoles: ${Object.keys(mapConsoles).join(', ') || 'none'}`);
+} catch (e) {
+    console.log('Could not load map consoles:', e.message);
+}
+
 const server = http.createServer(app);
 const io = new Server(server, {
     cors: {
@@ -220,7 +962,9 @@ app.get('/', (req, res) => {
 class GameRoomManager {
     constructor() {
         this.rooms = new Map();      // code -> GameRoom
-        this.playerRooms = new Map(); // socketId -> roomCode
+        this.playerRooms = new Map(); // playerId -> roomCode
+        this.sessions = new Map();    // sessionToken -> playerId, presented by rejoin_room
+        this.spectatorRooms = new Map(); // spectatorId -> roomCode
     }
 
     // Generate unique 6-letter code
@@ -238,7 +982,7 @@ class GameRoomManager {
 
     createRoom(hostSocket, hostName, isPublic = true) {
         const code = this.generateCode();
-        const room = new GameRoom(code, hostSocket.id, hostName, isPublic);
+        const room = new GameRoom(code, hostSocket.data.playerId, hostName, isPublic);
         this.rooms.set(code, room);
         console.log(`Room created: ${code} by ${hostName} (${isPublic ? 'public' : 'private'})`);
         return room;
@@ -277,10 +1021,14 @@ class GameRoomManager {
         }
 
         const player = room.addPlayer(socket, { name: playerName, color: playerColor, walletAddress });
-        this.playerRooms.set(socket.id, code);
+        this.playerRooms.set(socket.data.playerId, code);
         socket.join(code);
 
-        return { success: true, room, player };
+        // Private to the joining player - lets them take their slot back after a dropped connection
+        const sessionToken = crypto.randomBytes(16).toString('hex');
+        this.sessions.set(sessionToken, player.id);
+
+        return { success: true, room, player, sessionToken };
     }
 
     getPlayerRoom(socketId) {
@@ -289,6 +1037,32 @@ class GameRoomManager {
         return this.rooms.get(code);
     }
 
+    // Watch a game that's already running. Spectators never enter playerRooms, so every
+    // gameplay handler (chat included) ignores them.
+    spectateRoom(socket, code, playerName) {
+        const room = this.getRoom(code);
+        if (!room) {
+            return { error: 'Room not found' };
+        }
+        if (room.state === 'lobby') {
+            return { error: 'Game has not started' };
+        }
+
+        const spectator = room.addSpectator(socket, { name: playerName });
+        this.spectatorRooms.set(spectator.id, room.code);
+        socket.join(spectatorChannel(room.code));
+        return { success: true, room, spectator };
+    }
+
+    stopSpectating(spectatorId) {
+        const code = this.spectatorRooms.get(spectatorId);
+        if (!code) return null;
+
+        this.spectatorRooms.delete(spectatorId);
+        this.rooms.get(code)?.spectators.delete(spectatorId);
+        return { code };
+    }
+
     leaveRoom(socketId) {
         const code = this.playerRooms.get(socketId);
         if (!code) return null;
@@ -299,13 +1073,20 @@ class GameRoomManager {
         const wasHost = room.hostId === socketId;
         room.removePlayer(socketId);
         this.playerRooms.delete(socketId);
+        for (const [token, playerId] of this.sessions) {
+            if (playerId === socketId) this.sessions.delete(token);
+        }
 
         // If room is empty, delete it
         if (room.players.size === 0) {
-            // Clean up room occupancy interval if exists
-            if (room.occupancyInterval) {
-                clearInterval(room.occupancyInterval);
-            }
+            for (const spectatorId of room.spectators.keys()) this.spectatorRooms.delete(spectatorId);
+            clearInterval(room.tickInterval);
+            clearTimeout(room.meetingTimeout);
+            room.clearCriticalSabotage();
+            room.clearHideAndSeek();
+            for (const timeout of room.reconnectTimeouts.values()) clearTimeout(timeout);
+            room.resetDoors();
+            room.resetShapeshifts();
             this.rooms.delete(code);
             console.log(`Room ${code} deleted (empty)`);
             return { roomDeleted: true, code };
@@ -343,14 +1124,34 @@ class GameRoom {
         this.state = 'lobby'; // lobby, starting, playing, meeting, ended
         this.impostors = new Set();
         this.deadPlayers = new Set();
-        this.settings = {
-            maxPlayers: 10,
-            numImpostors: 1,
-            killCooldown: 30,
-            discussionTime: 15,
-            votingTime: 120,
-            map: 'The Skeld'
-        };
+        this.disconnectedPlayers = new Map(); // id -> { name, color } for players who left mid-game (vitals)
+        this.bodies = new Map(); // targetId -> { x, y } for corpses not yet reported (cleared by any meeting)
+        this.roundStartedAt = 0; // Game start / end of the last meeting, for emergencyCooldown
+        this.criticalSabotage = null; // { type, endsAt, holders, solved, code } while reactor / O2 is running
+        this.criticalTimeout = null; // Fires the impostor win when the countdown runs out
+        this.sabotageReadyAt = 0; // Shared reactor / O2 / lights / comms cooldown (sabotageCooldown)
+        this.lightsSabotage = null; // { switches: [bool] } while the lights are out (true = switch up)
+        this.commsSabotage = null; // { frequency } dial target (0..1) while comms are down
+        this.closedDoors = new Map(); // room -> reopenAt timestamp
+        this.doorCooldowns = new Map(); // room -> timestamp its doors can be shut again
+        this.doorTimeouts = new Map(); // room -> reopen timer (set by the sabotage handler)
+        this.cameraViewers = new Set(); // Players sitting at the security console
+        this.shapeshiftTimeouts = new Map(); // playerId -> revert timer (set by the use_ability handler)
+        this.reconnectTimeouts = new Map(); // playerId -> end of a dropped player's grace period (set by the disconnect handler)
+        this.victoryData = null; // Last game_over payload, for players who rejoin after the game ended
+        this.hideAndSeek = null; // { endsAt } while a Hide and Seek game runs - the crew wins at endsAt
+        this.hideAndSeekTimeout = null; // Fires the crewmate win when the hide timer runs out
+        this.tick = 0; // Snapshot sequence number, bumped by every tickRoom()
+        this.tickInterval = null; // Runs tickRoom() every TICK_MS (set by the create_room handler)
+        this.spectators = new Map(); // id -> { id, name, socketId } watching the running game
+        this.spectatorFrames = []; // Spectator frames waiting out SPECTATOR_DELAY_MS (filled by tickRoom)
+        this.matchId = null; // `${startedAt}-${code}` of the current/last match - keys its replay and payouts
+        this.matchStartedAt = 0;
+        this.matchEnded = false; // endGame() has run for matchId
+        this.matchPlayers = new Map(); // id -> { walletAddress, moved, tasksCompleted, kills } for payout eligibility; outlives leavers
+        this.replay = null; // Event log of the running match, written out by saveReplay() when it ends
+        this.meeting = null; // Active meeting: { phase, endsAt, votes: Map(voterId -> targetId | null), result, call }
+        this.settings = getDefaultSettings();
         this.createdAt = Date.now();
     }
 
@@ -368,9 +1169,9 @@ class GameRoom {
         }
 
         const player = {
-            id: socket.id,
+            id: socket.data.playerId,
             name: data.name || `Player ${this.players.size + 1}`,
-            walletAddress: data.walletAddress || null, // Full Solana address for payouts
+            walletAddress: data.walletAddress || null, // Verified Solana address for payouts - none until verify_wallet
             color: color,
             x: 1500,
             y: 350,
@@ -380,28 +1181,118 @@ class GameRoom {
             facingLeft: false,
             isDead: false,
             isImpostor: false,
-            isHost: socket.id === this.hostId,
+            role: 'crewmate', // Key into GAME_ROLES, rolled in assignRoles()
+            ability: { readyAt: 0, activeUntil: 0, targetId: null }, // Role ability timers (ms timestamps)
+            protectedUntil: 0, // Guardian Angel shield - kills on this player fail until then
+            shapeshiftedInto: null, // { id, name, color } a Shapeshifter is currently disguised as
+            isHost: socket.data.playerId === this.hostId,
+            socketId: socket.id, // Current connection - differs from id once the player has rejoined
+            connected: true, // False while a dropped player's slot is held for them
             currentRoom: null, // Track which room player is in for admin table
-            lastKillTime: 0 // Server-side kill cooldown tracking
+            lastKillTime: 0, // Server-side kill cooldown tracking
+            emergencyMeetingsUsed: 0,
+            lastMoveTime: 0, // Time of the last accepted player_move
+            moveBudget: 0, // Pixels earned by elapsed time and not yet moved (validateMove)
+            lastMoveSeq: 0, // Sequence number of the last processed player_move (acked in snapshots)
+            inVent: false,
+            ventId: null, // Vent the player is hiding in (enterVent / exitVent)
+            ventEnteredAt: 0, // Crawling between vents doesn't restart the time-in-vent limit
+            ventReadyAt: 0, // Vent cooldown runs from the last exit
+            tasks: [] // Assigned in assignTasks(): { id, name, category, steps, completedSteps }
         };
-        this.players.set(socket.id, player);
+        this.players.set(socket.data.playerId, player);
         return player;
     }
 
+    addSpectator(socket, data) {
+        const spectator = {
+            id: socket.data.playerId,
+            name: data.name || 'Spectator',
+            socketId: socket.id
+        };
+        this.spectators.set(spectator.id, spectator);
+        return spectator;
+    }
+
+    // Everything spectators see at one tick - full vision: roles, ghosts, bodies, votes
+    getSpectatorFrame() {
+        const players = [...this.players.values()].map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.shapeshiftedInto ? p.shapeshiftedInto.color : p.color,
+            x: p.x,
+            y: p.y,
+            velocityX: p.velocityX,
+            velocityY: p.velocityY,
+            moving: p.moving,
+            facingLeft: p.facingLeft,
+            isDead: p.isDead,
+            isImpostor: p.isImpostor,
+            role: p.role,
+            connected: p.connected
+        }));
+        // winResult (with the winners' wallets) stays on the server, as in getRejoinState()
+        const { winResult, ...result } = this.meeting?.result || {};
+        const meeting = this.meeting && {
+            phase: this.meeting.phase,
+            remainingMs: Math.max(0, this.meeting.endsAt - Date.now()),
+            callerId: this.meeting.call?.callerId || null,
+            voterIds: [...this.meeting.votes.keys()],
+            result: this.meeting.result ? result : null
+        };
+        return {
+            state: this.state,
+            players,
+            bodies: [...this.bodies].map(([id, body]) => ({ id, x: body.x, y: body.y })),
+            taskProgress: this.getTaskProgress(),
+            meeting,
+            gameOver: this.victoryData
+        };
+    }
+
     removePlayer(socketId) {
+        // A leaver can't keep a reactor panel held
+        if (this.criticalSabotage) {
+            this.criticalSabotage.holders = this.criticalSabotage.holders.map(id => (id === socketId ? null : id));
+        }
+        this.cameraViewers.delete(socketId);
+        // Drop the leaver's vote and any votes cast for them - they can't be ejected
+        if (this.meeting) {
+            for (const [voterId, targetId] of this.meeting.votes) {
+                if (voterId === socketId || targetId === socketId) this.meeting.votes.delete(voterId);
+            }
+        }
+        clearTimeout(this.shapeshiftTimeouts.get(socketId));
+        this.shapeshiftTimeouts.delete(socketId);
+        clearTimeout(this.reconnectTimeouts.get(socketId));
+        this.reconnectTimeouts.delete(socketId);
+        const player = this.players.get(socketId);
+        if (player && this.state !== 'lobby') {
+            this.disconnectedPlayers.set(socketId, { name: player.name, color: player.color });
+        }
         this.players.delete(socketId);
         this.impostors.delete(socketId);
         this.deadPlayers.delete(socketId);
     }
 
     updateSettings(settings) {
+        if (this.state !== 'lobby') return { error: 'Settings can only be changed in the lobby' };
+
+        const result = validateSettings(settings);
+        if (result.error) return result;
+
         Object.assign(this.settings, settings);
+        return { success: true };
     }
 
     startGame() {
-        // Require 4 players minimum to start
-        if (this.players.size < 4) {
-            return { success: false, error: 'Need at least 4 players to start' };
+        // A restart mid-match would drop a running meeting into the new game (and let a
+        // losing host void a paid match) - games only start from the lobby
+        if (this.state !== 'lobby') {
+            return { success: false, error: 'Game already in progress' };
+        }
+        if (this.players.size < MIN_PLAYERS_TO_START) {
+            return { success: false, error: `Need at least ${MIN_PLAYERS_TO_START} players to start` };
         }
 
         this.state = 'starting';
@@ -413,8 +1304,9 @@ class GameRoom {
         // For 4 players: max 1 impostor
         // For 5-6 players: max 2 impostors
         // For 7+ players: max 3 impostors (but settings default is 2)
+        // Hide and Seek always has exactly one impostor (the seeker)
         const maxImpostors = Math.max(1, Math.floor((playerIds.length - 1) / 2));
-        const numImpostors = Math.max(1, Math.min(this.settings.numImpostors, maxImpostors));
+        const numImpostors = this.isHideAndSeek() ? 1 : Math.max(1, Math.min(this.settings.numImpostors, maxImpostors));
 
         // Randomly select impostors
         this.impostors.clear();
@@ -453,50 +1345,381 @@ class GameRoom {
         console.log(`Impostors assigned: ${[...this.impostors].join(', ')}`);
         console.log(`Total players: ${playerIds.length}, Impostors: ${this.impostors.size}`);
 
-        // Spawn players in cafeteria
-        const spawnPoints = this.getSpawnPoints();
-        let i = 0;
-        for (const [id, player] of this.players) {
-            const spawn = spawnPoints[i % spawnPoints.length];
-            player.x = spawn.x;
-            player.y = spawn.y;
-            // Set initial room for admin table
-            player.currentRoom = getPlayerRoom(spawn.x, spawn.y);
-            i++;
+        this.resetShapeshifts();
+        this.assignRoles();
+
+        // Spawn players around the cafeteria table
+        this.seatAtTable([...this.players.values()]);
+        for (const player of this.players.values()) {
+            player.inVent = false;
+            player.ventId = null;
+            player.ventReadyAt = 0;
+        }
+
+        this.assignTasks();
+
+        for (const player of this.players.values()) {
+            player.emergencyMeetingsUsed = 0;
         }
+        this.bodies.clear();
+        this.cameraViewers.clear();
+        this.disconnectedPlayers.clear();
+        this.clearCriticalSabotage();
+        this.sabotageReadyAt = 0;
+        this.lightsSabotage = null;
+        this.commsSabotage = null;
+        this.resetDoors();
+        this.clearHideAndSeek();
+        if (this.isHideAndSeek()) this.startHideAndSeek();
+        this.victoryData = null;
+        this.roundStartedAt = Date.now();
 
         this.state = 'playing';
+        this.matchStartedAt = Date.now();
+        this.matchId = `${this.matchStartedAt}-${this.code}`;
+        this.matchEnded = false;
+        this.matchPlayers = new Map([...this.players.values()].map(p => [p.id, {
+            walletAddress: p.walletAddress,
+            moved: false,
+            tasksCompleted: 0,
+            kills: 0
+        }]));
+        this.startReplay();
         return { success: true };
     }
 
-    getSpawnPoints() {
-        // Cafeteria spawn points in a circle
-        const center = { x: 1500, y: 350 };
-        const radius = 100;
-        const points = [];
-        const count = Math.max(this.players.size, 1);
+    // Give every player their task list. Common tasks are shared by the whole crew;
+    // short and long tasks are rolled per player. Impostors get a list too (fake tasks)
+    // but it never counts towards the task bar.
+    assignTasks() {
+        const common = pickTaskTemplates('common', this.settings.commonTasks)
+            .map(template => ({ name: template.name, category: 'common', steps: template.steps() }));
 
-        for (let i = 0; i < count; i++) {
-            const angle = (i / count) * Math.PI * 2;
-            points.push({
-                x: center.x + Math.cos(angle) * radius,
-                y: center.y + Math.sin(angle) * radius
-            });
+        for (const [id, player] of this.players) {
+            const rolled = [
+                ...pickTaskTemplates('short', this.settings.shortTasks)
+                    .map(template => ({ name: template.name, category: 'short', steps: template.steps() })),
+                ...pickTaskTemplates('long', this.settings.longTasks)
+                    .map(template => ({ name: template.name, category: 'long', steps: template.steps() }))
+            ];
+            player.tasks = [...common, ...rolled].map((task, i) => ({
+                id: `task-${i}`,
+                ...task,
+                completedSteps: 0
+            }));
+        }
+    }
+
+    // Everyone starts as a plain crewmate / impostor; then each special role gets
+    // <role>Count slots on its team, each filled with a <role>Chance percent roll.
+    // Hide and Seek is played without special roles.
+    assignRoles() {
+        for (const player of this.players.values()) {
+            player.role = player.isImpostor ? 'impostor' : 'crewmate';
+            player.ability = { readyAt: 0, activeUntil: 0, targetId: null };
+            player.protectedUntil = 0;
+            player.shapeshiftedInto = null;
+        }
+        if (this.isHideAndSeek()) return;
+
+        for (const [role, def] of Object.entries(GAME_ROLES)) {
+            const count = this.settings[`${role}Count`] || 0;
+            const chance = this.settings[`${role}Chance`] || 0;
+            for (let i = 0; i < count; i++) {
+                if (Math.random() * 100 >= chance) continue;
+
+                const candidates = [...this.players.values()].filter(p => p.role === def.team);
+                if (candidates.length === 0) break;
+                const player = candidates[Math.floor(Math.random() * candidates.length)];
+                player.role = role;
+                console.log(`Role assigned: ${player.id} is ${def.name}`);
+            }
+        }
+    }
+
+    canVent(playerId) {
+        const player = this.players.get(playerId);
+        if (!player || player.isDead) return false;
+        return this.impostors.has(playerId) || player.role === 'engineer';
+    }
+
+    // Impostors use the vent settings; Engineers vent on their own cooldown and time limit
+    getVentLimits(player) {
+        return player.role === 'engineer'
+            ? { cooldown: this.settings.engineerCooldown, maxTime: this.settings.engineerDuration }
+            : { cooldown: this.settings.ventCooldown, maxTime: this.settings.maxVentTime };
+    }
+
+    // Climb into the vent the player is standing at. The client's moveToVent() sends an
+    // exit + enter for the vent it arrives at; the exit already moved us there, so an enter
+    // for the vent we're in just re-announces it.
+    enterVent(playerId, ventId) {
+        if (!this.canVent(playerId)) return { error: 'Cannot vent' };
+        const player = this.players.get(playerId);
+        const vent = VENTS.get(ventId);
+        if (!vent) return { error: 'Unknown vent' };
+        if (player.inVent) {
+            return player.ventId === ventId ? { success: true, vent } : { error: 'Already in a vent' };
+        }
+        if (Math.hypot(vent.x - player.x, vent.y - player.y) > VENT_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Not at the vent' };
+        }
+        const now = Date.now();
+        if (now < player.ventReadyAt - VENT_TIMER_SLACK) return { error: 'Vent on cooldown' };
+
+        player.inVent = true;
+        player.ventId = ventId;
+        player.ventEnteredAt = now;
+        player.x = vent.x;
+        player.y = vent.y;
+        return { success: true, vent };
+    }
+
+    // Leave through the vent the player is in, or crawl to one connected to it (staying
+    // inside). Either way the player ends up on the vent, never at client coordinates.
+    exitVent(playerId, ventId) {
+        const player = this.players.get(playerId);
+        if (!player || !player.inVent) return { error: 'Not in a vent' };
+        const current = VENTS.get(player.ventId);
+        const vent = VENTS.get(ventId);
+        if (!vent || (ventId !== current.id && !current.connections.includes(ventId))) {
+            return { error: 'Vent not connected' };
+        }
+
+        player.x = vent.x;
+        player.y = vent.y;
+        player.currentRoom = getPlayerRoom(vent.x, vent.y);
+        if (ventId === current.id) {
+            player.inVent = false;
+            player.ventId = null;
+            player.ventReadyAt = Date.now() + this.getVentLimits(player).cooldown * 1000;
+        } else {
+            player.ventId = ventId;
+        }
+        return { success: true, vent };
+    }
+
+    // Push out anyone who has overstayed their vent time. Clients eject themselves first,
+    // so this only catches ones that don't. Returns [{ player, vent }] for the exits.
+    ejectOverdueVenters() {
+        const now = Date.now();
+        const ejected = [];
+        for (const player of this.players.values()) {
+            if (!player.inVent) continue;
+            if (now - player.ventEnteredAt <= this.getVentLimits(player).maxTime * 1000 + VENT_TIMER_SLACK) continue;
+            const result = this.exitVent(player.id, player.ventId);
+            if (result.success) ejected.push({ player, vent: result.vent });
+        }
+        return ejected;
+    }
+
+    // Use the player's role ability. Scientists switch on portable vitals, ghost Guardian
+    // Angels shield a nearby player and Shapeshifters take on someone else's look (using
+    // it again while disguised shifts back early).
+    useAbility(playerId, targetId) {
+        const player = this.players.get(playerId);
+        if (!player) return { error: 'Player not found' };
+
+        const def = GAME_ROLES[player.role];
+        if (!def || !def.ability || def.ability === 'vent') return { error: 'No ability to use' };
+        if (!!def.ghostAbility !== player.isDead) {
+            return { error: def.ghostAbility ? 'Only usable as a ghost' : 'Ghosts cannot use this ability' };
+        }
+
+        if (player.role === 'shapeshifter' && player.shapeshiftedInto) {
+            this.revertShapeshift(playerId);
+            return { success: true, shapeshift: null };
+        }
+
+        const now = Date.now();
+        if (now < player.ability.readyAt - ABILITY_COOLDOWN_SLACK) return { error: 'Ability on cooldown' };
+
+        const durationMs = this.settings[`${player.role}Duration`] * 1000;
+        let shapeshift;
+        if (def.ability === 'protect') {
+            const target = this.players.get(targetId);
+            if (!target || target.isDead || targetId === playerId) return { error: 'Invalid protect target' };
+            if (Math.hypot(target.x - player.x, target.y - player.y) > PROTECT_RANGE * RANGE_TOLERANCE) {
+                return { error: 'Target out of range' };
+            }
+            target.protectedUntil = now + durationMs;
+        } else if (def.ability === 'shapeshift') {
+            if (this.state !== 'playing') return { error: 'Cannot shapeshift during a meeting' };
+            if (player.inVent) return { error: 'Cannot shapeshift in a vent' };
+            const target = this.players.get(targetId);
+            if (!target || targetId === playerId) return { error: 'Invalid shapeshift target' };
+            player.shapeshiftedInto = { id: target.id, name: target.name, color: target.color };
+            shapeshift = player.shapeshiftedInto;
         }
-        return points;
+
+        player.ability.targetId = targetId || null;
+        player.ability.activeUntil = now + durationMs;
+        player.ability.readyAt = player.ability.activeUntil + this.settings[`${player.role}Cooldown`] * 1000;
+        return { success: true, shapeshift };
+    }
+
+    // Drop a Shapeshifter's disguise; the cooldown restarts from now
+    revertShapeshift(playerId) {
+        clearTimeout(this.shapeshiftTimeouts.get(playerId));
+        this.shapeshiftTimeouts.delete(playerId);
+
+        const player = this.players.get(playerId);
+        if (!player || !player.shapeshiftedInto) return false;
+
+        const now = Date.now();
+        player.shapeshiftedInto = null;
+        player.ability.activeUntil = 0;
+        player.ability.targetId = null;
+        player.ability.readyAt = now + this.settings.shapeshifterCooldown * 1000;
+        return true;
+    }
+
+    // Meetings (and game start/end) show everyone as themselves. Returns who shifted back.
+    resetShapeshifts() {
+        const reverted = [];
+        for (const player of this.players.values()) {
+            if (this.revertShapeshift(player.id)) reverted.push(player.id);
+        }
+        for (const timeout of this.shapeshiftTimeouts.values()) clearTimeout(timeout);
+        this.shapeshiftTimeouts.clear();
+        return reverted;
+    }
+
+    // Private cooldown / active timers for the player's own ability HUD
+    getAbilityState(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return null;
+
+        const now = Date.now();
+        const active = player.ability.activeUntil > now;
+        return {
+            role: player.role,
+            cooldownMs: Math.max(0, player.ability.readyAt - now),
+            activeMs: active ? player.ability.activeUntil - now : 0,
+            targetId: active ? player.ability.targetId : null
+        };
+    }
+
+    // Steps must be completed in order. Returns whether the whole task is now done.
+    completeTaskStep(playerId, taskId, step) {
+        const player = this.players.get(playerId);
+        if (!player) return { error: 'Player not found' };
+
+        const task = player.tasks.find(t => t.id === taskId);
+        if (!task) return { error: 'Unknown task' };
+        if (task.completedSteps >= task.steps.length) return { error: 'Task already complete' };
+        if (step !== task.completedSteps) return { error: 'Task step out of order' };
+
+        // The step has to be done at its console, like the sabotage panels
+        const stepInfo = task.steps[step];
+        const location = taskLocations.get(`${stepInfo.name}|${stepInfo.room}`);
+        if (location && Math.hypot(location.x - player.x, location.y - player.y) > PANEL_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Not at the task' };
+        }
+
+        task.completedSteps++;
+        const taskDone = task.completedSteps === task.steps.length;
+        const stats = this.matchPlayers.get(playerId);
+        if (taskDone && stats && !player.isImpostor) stats.tasksCompleted++;
+        return { success: true, taskDone };
+    }
+
+    // Check a reported move against the last accepted position. Returns the position
+    // to accept and whether the client needs a correction.
+    validateMove(player, move) {
+        const { x, y } = move;
+        const now = Date.now();
+        // Elapsed time tops up the budget however the moves are split into packets
+        const speed = GAME_SETTINGS.basePlayerSpeed * this.settings.playerSpeed * MOVE_SPEED_TOLERANCE;
+        const budgetMax = speed * MOVE_BUDGET_MAX_MS / 1000 + MOVE_SLACK;
+        player.moveBudget = Math.min(player.moveBudget + speed * (now - player.lastMoveTime) / 1000, budgetMax);
+        player.lastMoveTime = now;
+
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return { x: player.x, y: player.y, corrected: true };
+        }
+
+        // A player in a vent stays put; vent_exit moves them between vents
+        if (player.inVent) {
+            return { x: player.x, y: player.y, corrected: x !== player.x || y !== player.y };
+        }
+
+        // Ordinary moves apply the client's displacement since its previous packet, so
+        // packets still in flight after a correction continue from the corrected spot -
+        // exactly what the client replays when it reconciles
+        const dx = Number.isFinite(move.dx) ? move.dx : x - player.x;
+        const dy = Number.isFinite(move.dy) ? move.dy : y - player.y;
+        let targetX = player.x + dx;
+        let targetY = player.y + dy;
+        let corrected = false;
+
+        // Speed check - clamp the move to what is left in the budget
+        const distance = Math.hypot(dx, dy);
+        if (distance > player.moveBudget) {
+            const scale = player.moveBudget / distance;
+            targetX = player.x + dx * scale;
+            targetY = player.y + dy * scale;
+            corrected = true;
+        }
+
+        // Wall check - ghosts float through walls (and closed doors)
+        if (!player.isDead && (isPathBlocked(player.x, player.y, targetX, targetY) ||
+            this.isDoorBlocking(player.x, player.y, targetX, targetY))) {
+            return { x: player.x, y: player.y, corrected: true };
+        }
+
+        player.moveBudget -= Math.min(distance, player.moveBudget);
+        return { x: targetX, y: targetY, corrected };
+    }
+
+    // Global task bar: completed vs total crewmate tasks
+    getTaskProgress() {
+        let completed = 0;
+        let total = 0;
+        for (const player of this.players.values()) {
+            if (player.isImpostor) continue;
+            for (const task of player.tasks) {
+                total++;
+                if (task.completedSteps === task.steps.length) completed++;
+            }
+        }
+        return { completed, total };
+    }
+
+    // Seat players around the cafeteria table (game start, and the living after a meeting).
+    // These positions are authoritative - clients are sent them rather than picking their
+    // own, and moving away from them is charged against a fresh, empty movement budget.
+    // Returns { playerId: { x, y } }.
+    seatAtTable(players) {
+        const positions = {};
+        players.forEach((player, i) => {
+            const seat = SPAWN_POINTS[i % SPAWN_POINTS.length];
+            player.x = seat.x;
+            player.y = seat.y;
+            player.currentRoom = getPlayerRoom(seat.x, seat.y); // For the admin table
+            player.lastMoveTime = Date.now();
+            player.moveBudget = 0;
+            positions[player.id] = { x: seat.x, y: seat.y };
+        });
+        return positions;
     }
 
     killPlayer(killerId, targetId) {
+        // Reporting a body flips the room to 'meeting' immediately, so a kill racing a
+        // report (or arriving during any meeting phase) is rejected here
+        if (this.state !== 'playing' || this.meeting) return { error: 'Meeting in progress' };
         if (!this.impostors.has(killerId)) return { error: 'Not an impostor' };
+        if (this.impostors.has(targetId)) return { error: 'Cannot kill an impostor' };
         if (this.deadPlayers.has(targetId)) return { error: 'Target already dead' };
         if (this.deadPlayers.has(killerId)) return { error: 'You are dead' };
 
         const killer = this.players.get(killerId);
         if (!killer) return { error: 'Killer not found' };
+        if (killer.inVent) return { error: 'Cannot kill from a vent' };
 
-        // Server-side cooldown check (22.5 seconds)
+        // Server-side cooldown check (killCooldown setting) - the Hide and Seek seeker has none
         const now = Date.now();
-        const cooldownMs = 22500; // 22.5 seconds in milliseconds
+        const cooldownMs = this.hideAndSeek ? 0 : this.settings.killCooldown * 1000;
         if (killer.lastKillTime && (now - killer.lastKillTime) < cooldownMs) {
             const remaining = ((cooldownMs - (now - killer.lastKillTime)) / 1000).toFixed(1);
             console.log(`Kill rejected - cooldown: ${remaining}s remaining`);
@@ -506,9 +1729,27 @@ class GameRoom {
         const target = this.players.get(targetId);
         if (!target) return { error: 'Target not found' };
 
+        // Range and line of sight from the server-tracked positions
+        const killRange = GAME_SETTINGS.killRanges[this.settings.killDistance] * RANGE_TOLERANCE;
+        if (Math.hypot(target.x - killer.x, target.y - killer.y) > killRange) {
+            return { error: 'Target out of range' };
+        }
+        if (!hasLineOfSight(killer.x, killer.y, target.x, target.y, this.getClosedDoorSegments())) {
+            return { error: 'Target not in line of sight' };
+        }
+
+        // A Guardian Angel's shield bounces the kill, but the killer still loses their cooldown
+        if (target.protectedUntil > now) {
+            killer.lastKillTime = now;
+            return { error: 'Target is protected', protected: true };
+        }
+
         target.isDead = true;
         this.deadPlayers.add(targetId);
+        this.bodies.set(targetId, { x: target.x, y: target.y });
         killer.lastKillTime = now; // Set cooldown
+        const stats = this.matchPlayers.get(killerId);
+        if (stats) stats.kills++;
 
         // Check win condition
         const winResult = this.checkWinCondition();
@@ -540,7 +1781,8 @@ class GameRoom {
                 .map(p => p.walletAddress);
         }
 
-        return { winner, impostorIds, players: allPlayers, winnerWallets };
+        this.victoryData = { winner, impostorIds, players: allPlayers, winnerWallets };
+        return this.victoryData;
     }
 
     checkWinCondition() {
@@ -552,6 +1794,22 @@ class GameRoom {
             return this.buildVictoryData('crewmates');
         }
 
+        // Hide and Seek: the seeker has to catch everyone. The crew wins by outlasting the
+        // hide timer (expireHideAndSeek) - finished tasks only shorten it.
+        if (this.hideAndSeek) {
+            if (aliveCrewmates === 0) {
+                this.state = 'ended';
+                return this.buildVictoryData('impostors');
+            }
+            return null;
+        }
+
+        const taskProgress = this.getTaskProgress();
+        if (taskProgress.total > 0 && taskProgress.completed === taskProgress.total) {
+            this.state = 'ended';
+            return this.buildVictoryData('crewmates');
+        }
+
         if (aliveImpostors >= aliveCrewmates) {
             this.state = 'ended';
             return this.buildVictoryData('impostors');
@@ -560,6 +1818,490 @@ class GameRoom {
         return null;
     }
 
+    isHideAndSeek() {
+        return this.settings.gameMode === 'hideAndSeek';
+    }
+
+    // Start the hide timer. The caller arms hideAndSeekTimeout for the crewmate win.
+    startHideAndSeek() {
+        this.hideAndSeek = { endsAt: Date.now() + this.settings.hideTime * 1000 };
+    }
+
+    // A finished crewmate task takes taskTimeReduction seconds off the hide timer,
+    // but never cuts into the final hide
+    shortenHideAndSeek() {
+        const now = Date.now();
+        const finalHideEndsAt = Math.min(this.hideAndSeek.endsAt, now + this.settings.finalHideTime * 1000);
+        this.hideAndSeek.endsAt = Math.max(finalHideEndsAt, this.hideAndSeek.endsAt - this.settings.taskTimeReduction * 1000);
+    }
+
+    clearHideAndSeek() {
+        clearTimeout(this.hideAndSeekTimeout);
+        this.hideAndSeekTimeout = null;
+        this.hideAndSeek = null;
+    }
+
+    getHideAndSeekState() {
+        if (!this.hideAndSeek) return { active: false };
+        return {
+            active: true,
+            seekerId: [...this.impostors][0] || null,
+            remainingMs: Math.max(0, this.hideAndSeek.endsAt - Date.now()),
+            finalHideMs: this.settings.finalHideTime * 1000
+        };
+    }
+
+    isCriticalSabotageActive() {
+        return !!this.criticalSabotage && Date.now() < this.criticalSabotage.endsAt;
+    }
+
+    // Start the reactor / O2 countdown. The caller arms criticalTimeout for the impostor win.
+    startCriticalSabotage(type) {
+        let code = null;
+        if (type === '02') {
+            code = String(Math.floor(Math.random() * 10000)).padStart(4, '0');
+        }
+        this.criticalSabotage = {
+            type,
+            endsAt: Date.now() + CRITICAL_SABOTAGE_MS,
+            holders: [null, null], // Reactor: socket id holding each handprint panel
+            solved: [false, false], // O2: keypads that have taken the code
+            code // O2: the code both keypads show
+        };
+    }
+
+    clearCriticalSabotage() {
+        clearTimeout(this.criticalTimeout);
+        this.criticalTimeout = null;
+        this.criticalSabotage = null;
+    }
+
+    // Living player at a reactor panel puts their hand on it / takes it off.
+    // The meltdown stops while two different players hold both panels at once.
+    holdReactorPanel(playerId, index, holding) {
+        const sabotage = this.criticalSabotage;
+        if (!sabotage || sabotage.type !== 'reactor') return { error: 'Reactor is not melting down' };
+
+        const player = this.players.get(playerId);
+        if (!player || player.isDead) return { error: 'Dead players cannot fix sabotages' };
+        if (!Number.isInteger(index) || index < 0 || index >= CRITICAL_PANELS.reactor.length) {
+            return { error: 'Invalid panel' };
+        }
+
+        if (!holding) {
+            if (sabotage.holders[index] === playerId) sabotage.holders[index] = null;
+            return { success: true };
+        }
+
+        const panel = CRITICAL_PANELS.reactor[index];
+        if (Math.hypot(panel.x - player.x, panel.y - player.y) > PANEL_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Too far from the reactor panel' };
+        }
+        if (sabotage.holders[index] && sabotage.holders[index] !== playerId) {
+            return { error: 'Panel is already held' };
+        }
+
+        sabotage.holders = sabotage.holders.map(id => (id === playerId ? null : id));
+        sabotage.holders[index] = playerId;
+        if (sabotage.holders.every(id => id)) {
+            this.clearCriticalSabotage();
+        }
+        return { success: true };
+    }
+
+    // Living player at an O2 keypad enters the code; O2 is restored once both keypads have it
+    enterO2Code(playerId, index, code) {
+        const sabotage = this.criticalSabotage;
+        if (!sabotage || sabotage.type !== '02') return { error: 'O2 is not depleting' };
+
+        const player = this.players.get(playerId);
+        if (!player || player.isDead) return { error: 'Dead players cannot fix sabotages' };
+        if (!Number.isInteger(index) || index < 0 || index >= CRITICAL_PANELS['02'].length) {
+            return { error: 'Invalid keypad' };
+        }
+
+        const keypad = CRITICAL_PANELS['02'][index];
+        if (Math.hypot(keypad.x - player.x, keypad.y - player.y) > PANEL_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Too far from the O2 keypad' };
+        }
+        if (code !== sabotage.code) return { error: 'Wrong code' };
+
+        sabotage.solved[index] = true;
+        if (sabotage.solved.every(done => done)) {
+            this.clearCriticalSabotage();
+        }
+        return { success: true };
+    }
+
+    getCriticalState() {
+        const sabotage = this.criticalSabotage;
+        if (!sabotage) return { active: false };
+        return {
+            active: true,
+            type: sabotage.type,
+            remainingMs: Math.max(0, sabotage.endsAt - Date.now()),
+            held: sabotage.holders.map(id => !!id),
+            solved: [...sabotage.solved],
+            code: sabotage.code
+        };
+    }
+
+    isSabotageOnCooldown() {
+        return Date.now() < this.sabotageReadyAt - SABOTAGE_COOLDOWN_SLACK;
+    }
+
+    // Shut every door of a room. Doors don't count as an active sabotage, so they can
+    // stack with reactor / O2 / lights / comms; each room has its own cooldown instead.
+    closeDoors(room) {
+        if (!doorSegments.some(door => door.room === room)) return { error: 'Room has no doors' };
+        if (this.closedDoors.has(room)) return { error: 'Doors are already closed' };
+
+        const now = Date.now();
+        if ((this.doorCooldowns.get(room) || 0) > now) return { error: 'Doors on cooldown' };
+
+        this.closedDoors.set(room, now + DOOR_CLOSE_MS);
+        this.doorCooldowns.set(room, now + DOOR_COOLDOWN_MS);
+        return { success: true };
+    }
+
+    openDoors(room) {
+        this.closedDoors.delete(room);
+        clearTimeout(this.doorTimeouts.get(room));
+        this.doorTimeouts.delete(room);
+    }
+
+    openAllDoors() {
+        for (const room of [...this.closedDoors.keys()]) {
+            this.openDoors(room);
+        }
+    }
+
+    resetDoors() {
+        this.openAllDoors();
+        this.doorCooldowns.clear();
+    }
+
+    getClosedDoorSegments() {
+        return doorSegments.filter(door => this.closedDoors.has(door.room));
+    }
+
+    isDoorBlocking(fromX, fromY, toX, toY) {
+        return this.getClosedDoorSegments().some(door =>
+            segmentsIntersect(fromX, fromY, toX, toY, door.x1, door.y1, door.x2, door.y2));
+    }
+
+    getDoorsState() {
+        const now = Date.now();
+        const cooldowns = {};
+        for (const [room, readyAt] of this.doorCooldowns) {
+            if (readyAt > now) cooldowns[room] = readyAt - now;
+        }
+        return { closed: [...this.closedDoors.keys()], cooldowns };
+    }
+
+    // Reactor, O2, lights and comms can't overlap - only one of them runs at a time
+    hasActiveSabotage() {
+        return this.isCriticalSabotageActive() || !!this.lightsSabotage || !!this.commsSabotage;
+    }
+
+    // Flip a random subset of the Electrical switches down (at least one)
+    startLightsSabotage() {
+        const switches = Array.from({ length: LIGHT_SWITCH_COUNT }, () => Math.random() < 0.5);
+        if (switches.every(on => on)) {
+            switches[Math.floor(Math.random() * switches.length)] = false;
+        }
+        this.lightsSabotage = { switches };
+    }
+
+    // Living players at the Electrical panel can flip switches; the lights come back once all are up
+    toggleLightSwitch(playerId, index) {
+        if (!this.lightsSabotage) return { error: 'Lights are not sabotaged' };
+
+        const player = this.players.get(playerId);
+        if (!player || player.isDead) return { error: 'Dead players cannot fix sabotages' };
+        if (!Number.isInteger(index) || index < 0 || index >= LIGHT_SWITCH_COUNT) {
+            return { error: 'Invalid switch' };
+        }
+        if (Math.hypot(LIGHTS_PANEL.x - player.x, LIGHTS_PANEL.y - player.y) > PANEL_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Too far from the lights panel' };
+        }
+
+        const switches = this.lightsSabotage.switches;
+        switches[index] = !switches[index];
+        if (switches.every(on => on)) {
+            this.lightsSabotage = null;
+        }
+        return { success: true };
+    }
+
+    getLightsState() {
+        return {
+            active: !!this.lightsSabotage,
+            switches: this.lightsSabotage ? [...this.lightsSabotage.switches] : []
+        };
+    }
+
+    // Pick the carrier the Communications dial has to be tuned to (kept away from the ends)
+    startCommsSabotage() {
+        this.commsSabotage = { frequency: 0.15 + Math.random() * 0.7 };
+    }
+
+    // A living player at the Communications panel reports the dial setting they locked onto
+    fixComms(playerId, frequency) {
+        if (!this.commsSabotage) return { error: 'Comms are not sabotaged' };
+
+        const player = this.players.get(playerId);
+        if (!player || player.isDead) return { error: 'Dead players cannot fix sabotages' };
+        if (Math.hypot(COMMS_PANEL.x - player.x, COMMS_PANEL.y - player.y) > PANEL_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Too far from the comms panel' };
+        }
+        if (typeof frequency !== 'number' || Math.abs(frequency - this.commsSabotage.frequency) > COMMS_TUNE_TOLERANCE) {
+            return { error: 'Dial is not tuned' };
+        }
+
+        this.commsSabotage = null;
+        return { success: true };
+    }
+
+    getCommsState() {
+        return {
+            active: !!this.commsSabotage,
+            frequency: this.commsSabotage ? this.commsSabotage.frequency : null
+        };
+    }
+
+    // Sit down at / get up from the security console
+    setWatchingCameras(playerId, watching) {
+        const player = this.players.get(playerId);
+        if (!player) return { error: 'Player not found' };
+
+        if (!watching) {
+            this.cameraViewers.delete(playerId);
+            return { success: true };
+        }
+
+        if (player.isDead) return { error: 'Ghosts cannot use cameras' };
+        if (Math.hypot(SECURITY_CONSOLE.x - player.x, SECURITY_CONSOLE.y - player.y) > SECURITY_CONSOLE_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Too far from the security console' };
+        }
+        this.cameraViewers.add(playerId);
+        return { success: true };
+    }
+
+    // The camera lights are on while anyone watches - comms sabotage cuts the feeds (and the lights)
+    getCamerasState() {
+        return { inUse: this.cameraViewers.size > 0 && !this.commsSabotage };
+    }
+
+    // Heartbeat of every player for someone at the vitals console (blocked while comms are down)
+    getVitals(playerId) {
+        const pos = mapConsoles.Vitals;
+        if (!pos) return { error: 'No vitals console on this map' };
+        if (this.commsSabotage) return { error: 'Comms are sabotaged' };
+
+        const player = this.players.get(playerId);
+        if (!player) return { error: 'Player not found' };
+        if (player.isDead) return { error: 'Ghosts cannot use vitals' };
+        // A Scientist reads vitals from anywhere while their battery is running
+        const portable = player.role === 'scientist' && player.ability.activeUntil > Date.now();
+        if (!portable && Math.hypot(pos.x - player.x, pos.y - player.y) > VITALS_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Too far from vitals' };
+        }
+
+        const players = [...this.players.values()].map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            // A dropped player whose slot is being held shows as gone, same as one who left
+            status: p.connected === false ? 'disconnected' : (this.deadPlayers.has(p.id) ? 'dead' : 'alive')
+        }));
+        for (const [id, p] of this.disconnectedPlayers) {
+            players.push({ id, name: p.name, color: p.color, status: 'disconnected' });
+        }
+        return { success: true, players };
+    }
+
+    // A report needs a living reporter standing near a corpse nobody has reported yet
+    validateBodyReport(reporterId, bodyId) {
+        const reporter = this.players.get(reporterId);
+        if (!reporter || reporter.isDead) return { error: 'Dead players cannot report' };
+        if (this.hideAndSeek) return { error: 'There are no meetings in Hide and Seek' };
+        if (this.isCriticalSabotageActive()) return { error: 'Cannot call a meeting during a critical sabotage' };
+
+        const body = this.bodies.get(bodyId);
+        if (!body) return { error: 'No unreported body' };
+        if (Math.hypot(body.x - reporter.x, body.y - reporter.y) > REPORT_RANGE * RANGE_TOLERANCE) {
+            return { error: 'Body out of range' };
+        }
+        return { success: true };
+    }
+
+    // Check the caller's emergencyMeetings allowance and the emergencyCooldown, then spend one
+    useEmergencyMeeting(playerId) {
+        const player = this.players.get(playerId);
+        if (!player || player.isDead) return { error: 'Dead players cannot call meetings' };
+        if (this.hideAndSeek) return { error: 'There are no meetings in Hide and Seek' };
+        if (this.isCriticalSabotageActive()) return { error: 'Cannot call a meeting during a critical sabotage' };
+        if (player.emergencyMeetingsUsed >= this.settings.emergencyMeetings) {
+            return { error: 'No emergency meetings left' };
+        }
+
+        const cooldownLeft = this.roundStartedAt + this.settings.emergencyCooldown * 1000 - Date.now();
+        if (cooldownLeft > 0) {
+            return { error: `Emergency button on cooldown (${Math.ceil(cooldownLeft / 1000)}s)` };
+        }
+
+        player.emergencyMeetingsUsed++;
+        return { success: true };
+    }
+
+    // Open a meeting. The phase machine in setMeetingPhase() drives it from here.
+    // call is the meeting_called payload ({ callerId, bodyId?, type }), kept for rejoins.
+    startMeeting(call) {
+        this.bodies.clear(); // Every body on the map is cleaned up by the meeting
+        this.cameraViewers.clear(); // Everyone is pulled off the console
+        for (const player of this.players.values()) {
+            player.protectedUntil = 0; // Guardian Angel shields don't last through a meeting
+        }
+        this.state = 'meeting';
+        this.meeting = {
+            phase: null,
+            endsAt: 0,
+            votes: new Map(),
+            result: null,
+            call
+        };
+    }
+
+    endMeeting() {
+        this.meeting = null;
+        if (this.state === 'meeting') {
+            this.state = 'playing';
+            this.roundStartedAt = Date.now();
+            // Game.endMeeting() restarts the sabotage cooldown too
+            this.sabotageReadyAt = this.roundStartedAt + this.settings.sabotageCooldown * 1000;
+            // ...and the kill cooldown, so it runs in full from the end of the meeting
+            for (const impostorId of this.impostors) {
+                const impostor = this.players.get(impostorId);
+                if (impostor) impostor.lastKillTime = this.roundStartedAt;
+            }
+        }
+    }
+
+    // Record a vote (targetId null = skip). Each living player gets exactly one vote.
+    recordVote(voterId, targetId) {
+        if (!this.meeting || this.meeting.phase !== 'voting') return { error: 'Voting is not open' };
+
+        const voter = this.players.get(voterId);
+        if (!voter || voter.isDead) return { error: 'Dead players cannot vote' };
+        if (this.meeting.votes.has(voterId)) return { error: 'Already voted' };
+
+        if (targetId !== null) {
+            const target = this.players.get(targetId);
+            if (!target || target.isDead) return { error: 'Invalid vote target' };
+        }
+
+        this.meeting.votes.set(voterId, targetId);
+        return { success: true };
+    }
+
+    allVotesIn() {
+        if (!this.meeting || this.meeting.phase !== 'voting') return false;
+        const alive = [...this.players.values()].filter(p => !p.isDead);
+        return alive.every(p => this.meeting.votes.has(p.id));
+    }
+
+    // Close voting and decide the outcome. The most-voted player is ejected unless
+    // they tie with another player or with skip. Returns the meeting_result payload.
+    tallyVotes() {
+        const votes = this.meeting.votes;
+
+        const voteCounts = new Map(); // targetId -> count
+        let skipVotes = 0;
+        for (const targetId of votes.values()) {
+            if (targetId === null) {
+                skipVotes++;
+            } else if (this.players.has(targetId)) { // Ignore votes for players who have left
+                voteCounts.set(targetId, (voteCounts.get(targetId) || 0) + 1);
+            }
+        }
+
+        let maxVotes = skipVotes;
+        let ejectedId = null;
+        let isTie = false;
+        for (const [targetId, count] of voteCounts) {
+            if (count > maxVotes) {
+                maxVotes = count;
+                ejectedId = targetId;
+                isTie = false;
+            } else if (count === maxVotes && maxVotes > 0) {
+                isTie = true;
+            }
+        }
+        if (isTie) ejectedId = null;
+
+        let wasImpostor = false;
+        if (ejectedId) {
+            const target = this.players.get(ejectedId);
+            target.isDead = true;
+            this.deadPlayers.add(ejectedId);
+            wasImpostor = target.isImpostor;
+        }
+
+        this.meeting.result = {
+            ejectedId,
+            wasImpostor: this.settings.confirmEjects ? wasImpostor : null, // null = role not revealed
+            isTie,
+            skipped: !ejectedId && !isTie,
+            votes: Object.fromEntries([...votes].map(([voterId, targetId]) => [voterId, targetId || 'skip'])),
+            winResult: this.checkWinCondition()
+        };
+        return this.meeting.result;
+    }
+
+    // Start the match's event log. Players are listed once up front; frames then refer
+    // to them by index to keep the file small.
+    startReplay() {
+        const startedAt = Date.now();
+        this.replay = {
+            version: REPLAY_VERSION,
+            id: this.matchId,
+            code: this.code,
+            startedAt,
+            endedAt: null,
+            settings: { ...this.settings },
+            players: [...this.players.values()].map(p => ({
+                id: p.id,
+                name: p.name,
+                color: p.color,
+                isImpostor: p.isImpostor,
+                role: p.role,
+                walletAddress: p.walletAddress
+            })),
+            events: [], // { t (ms since startedAt), type, ...data }
+            result: null
+        };
+    }
+
+    recordReplay(type, data = {}) {
+        if (!this.replay) return;
+        this.replay.events.push({ t: Date.now() - this.replay.startedAt, ...data, type });
+    }
+
+    // Every player's position as [x, y, flags] in replay.players order (null once they've left)
+    recordReplayFrame() {
+        const positions = this.replay.players.map(({ id }) => {
+            const p = this.players.get(id);
+            if (!p) return null;
+            const flags = (p.facingLeft ? REPLAY_FLAG_FACING_LEFT : 0) |
+                (p.moving ? REPLAY_FLAG_MOVING : 0) |
+                (p.isDead ? REPLAY_FLAG_DEAD : 0) |
+                (p.inVent ? REPLAY_FLAG_IN_VENT : 0);
+            return [Math.round(p.x), Math.round(p.y), flags];
+        });
+        this.recordReplay('frame', { positions });
+    }
+
     getPlayersData() {
         return [...this.players.values()].map(p => ({
             id: p.id,
@@ -576,78 +2318,421 @@ class GameRoom {
         }));
     }
 
-    getRoomInfo() {
-        return {
-            code: this.code,
-            hostId: this.hostId,
-            hostName: this.hostName,
-            isPublic: this.isPublic,
-            state: this.state,
-            playerCount: this.players.size,
-            maxPlayers: this.settings.maxPlayers,
-            settings: this.settings,
-            players: this.getPlayersData()
-        };
+    getRoomInfo() {
+        return {
+            code: this.code,
+            hostId: this.hostId,
+            hostName: this.hostName,
+            isPublic: this.isPublic,
+            state: this.state,
+            playerCount: this.players.size,
+            spectatorCount: this.spectators.size,
+            maxPlayers: this.settings.maxPlayers,
+            settings: this.settings,
+            lights: this.getLightsState(),
+            comms: this.getCommsState(),
+            doors: this.getDoorsState(),
+            critical: this.getCriticalState(),
+            cameras: this.getCamerasState(),
+            players: this.getPlayersData()
+        };
+    }
+
+    // A dropped player keeps their slot (and role, tasks, body...) until they rejoin or
+    // the grace period runs out. They let go of the cameras and any reactor panel meanwhile.
+    disconnectPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+        player.connected = false;
+        this.cameraViewers.delete(playerId);
+        if (this.criticalSabotage) {
+            this.criticalSabotage.holders = this.criticalSabotage.holders.map(id => (id === playerId ? null : id));
+        }
+    }
+
+    reconnectPlayer(playerId, socketId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+        player.connected = true;
+        player.socketId = socketId;
+        clearTimeout(this.reconnectTimeouts.get(playerId));
+        this.reconnectTimeouts.delete(playerId);
+    }
+
+    // Everything a rejoining player may have missed: their own role, tasks and position,
+    // and the room's meeting, sabotage and body state
+    getRejoinState(playerId) {
+        const player = this.players.get(playerId);
+        let meeting = null;
+        if (this.meeting) {
+            const { winResult, ...result } = this.meeting.result || {};
+            meeting = {
+                ...this.meeting.call,
+                phase: this.meeting.phase,
+                endsAt: this.meeting.endsAt,
+                serverNow: Date.now(),
+                voterIds: [...this.meeting.votes.keys()],
+                result: this.meeting.result ? result : null
+            };
+        }
+
+        return {
+            playerId,
+            roomInfo: this.getRoomInfo(),
+            isImpostor: player.isImpostor,
+            impostorIds: player.isImpostor || this.hideAndSeek ? [...this.impostors] : [],
+            role: player.role,
+            ability: this.getAbilityState(playerId),
+            x: player.x,
+            y: player.y,
+            isDead: player.isDead,
+            tasks: player.tasks.map(t => ({ id: t.id, name: t.name, category: t.category, steps: t.steps, completedSteps: t.completedSteps })),
+            taskProgress: this.getTaskProgress(),
+            bodies: [...this.bodies].map(([id, body]) => ({ id, x: body.x, y: body.y })),
+            disguises: [...this.players.values()]
+                .filter(p => p.shapeshiftedInto)
+                .map(p => ({ playerId: p.id, into: p.shapeshiftedInto })),
+            meeting,
+            hideAndSeek: this.getHideAndSeekState(),
+            gameOver: this.state === 'ended' ? this.victoryData : null
+        };
+    }
+
+    // Reset room back to lobby state (for play again)
+    returnToLobby() {
+        this.state = 'lobby';
+        this.meeting = null;
+        this.victoryData = null;
+        this.replay = null;
+        this.bodies.clear();
+        this.cameraViewers.clear();
+        this.disconnectedPlayers.clear();
+        this.clearCriticalSabotage();
+        this.clearHideAndSeek();
+        this.lightsSabotage = null;
+        this.commsSabotage = null;
+        this.resetDoors();
+        this.resetShapeshifts();
+        clearTimeout(this.meetingTimeout);
+        this.impostors.clear();
+        this.deadPlayers.clear();
+
+        // Reset all player states
+        for (const [id, player] of this.players) {
+            player.isDead = false;
+            player.isImpostor = false;
+            player.role = 'crewmate';
+            player.x = 1500;
+            player.y = 350;
+            player.velocityX = 0;
+            player.velocityY = 0;
+            player.moving = false;
+            player.lastKillTime = 0;
+            player.tasks = [];
+        }
+
+        return { success: true };
+    }
+}
+
+// ============================================
+// INITIALIZE MANAGER
+// ============================================
+
+const roomManager = new GameRoomManager();
+
+// ============================================
+// ADMIN TABLE - ROOM OCCUPANCY BROADCAST
+// ============================================
+
+// Broadcast room occupancy to all players in a game room
+function broadcastRoomOccupancy(gameRoom) {
+    if (gameRoom.state !== 'playing') return;
+
+    // Comms sabotage scrambles the admin table - send nothing until it's fixed
+    if (gameRoom.commsSabotage) {
+        io.to(gameRoom.code).emit('room_occupancy', {});
+        return;
+    }
+
+    // Build room occupancy data: { roomLabel: [{ id, color, name }] }
+    const roomOccupancy = {};
+
+    for (const [playerId, player] of gameRoom.players) {
+        // Only include alive players (dead players don't show on admin)
+        if (player.isDead) continue;
+
+        const roomLabel = player.currentRoom;
+        if (roomLabel) {
+            if (!roomOccupancy[roomLabel]) {
+                roomOccupancy[roomLabel] = [];
+            }
+            roomOccupancy[roomLabel].push({
+                id: player.id,
+                color: player.color,
+                name: player.name
+            });
+        }
+    }
+
+    // Broadcast to all players in this room
+    io.to(gameRoom.code).emit('room_occupancy', roomOccupancy);
+}
+
+// ============================================
+// SIMULATION TICK - BATCHED PLAYER SNAPSHOTS
+// ============================================
+
+const TICK_RATE = 20; // Snapshots per second - matches positionSendRate in Network.js
+const TICK_MS = 1000 / TICK_RATE;
+const OCCUPANCY_TICKS = 10; // Admin table refresh, every 10th tick (500ms)
+
+// Show a vent move to the other impostors (only they can see venting). Engineers vent
+// too, but impostors must not be able to spot them, so only an impostor's moves are sent.
+function relayVentEvent(room, playerId, event, data) {
+    if (!room.impostors.has(playerId)) return;
+    for (const impostorId of room.impostors) {
+        if (impostorId !== playerId) {
+            io.to(impostorId).emit(event, data);
+        }
+    }
+}
+
+// Record a vent exit and relay it to the other impostors
+function broadcastVentExit(room, playerId, vent) {
+    room.recordReplay('vent_exit', { playerId, ventId: vent.id });
+    relayVentEvent(room, playerId, 'player_vent_exit', { playerId, ventId: vent.id, x: vent.x, y: vent.y });
+}
+
+// One snapshot of every player per tick, whoever moved. seq lets clients drop stale
+// snapshots; time (server clock) is what they interpolate against.
+function tickRoom(gameRoom) {
+    gameRoom.tick++;
+
+    const states = [];
+    const ghostIds = [];
+    for (const p of gameRoom.players.values()) {
+        states.push({
+            id: p.id,
+            x: p.x,
+            y: p.y,
+            velocityX: p.velocityX,
+            velocityY: p.velocityY,
+            moving: p.moving,
+            facingLeft: p.facingLeft,
+            isDead: p.isDead,
+            ack: p.lastMoveSeq // Last input the position includes - the owner replays the rest
+        });
+        if (p.isDead) ghostIds.push(p.id);
+    }
+
+    // Ghosts are only visible to other ghosts
+    const snapshot = { seq: gameRoom.tick, time: Date.now() };
+    const living = states.filter(state => !state.isDead);
+    io.to(gameRoom.code).except(ghostIds).emit('snapshot', { ...snapshot, players: living });
+    if (ghostIds.length > 0) {
+        io.to(ghostIds).emit('snapshot', { ...snapshot, players: states });
+    }
+
+    if (gameRoom.tick % OCCUPANCY_TICKS === 0) {
+        broadcastRoomOccupancy(gameRoom);
+    }
+
+    if (gameRoom.state === 'playing') {
+        for (const { player, vent } of gameRoom.ejectOverdueVenters()) {
+            io.to(player.id).emit('vent_ejected', { ventId: vent.id });
+            broadcastVentExit(gameRoom, player.id, vent);
+        }
+    }
+
+    feedSpectators(gameRoom);
+
+    if (gameRoom.replay && gameRoom.tick % REPLAY_FRAME_TICKS === 0) {
+        gameRoom.recordReplayFrame();
+    }
+}
+
+// ============================================
+// SPECTATORS - DELAYED FULL-VISION FEED
+// ============================================
+
+const SPECTATOR_DELAY_MS = 5000; // Spectators watch this far behind, so they can't call out live positions
+
+function spectatorChannel(code) {
+    return `${code}:spectators`;
+}
+
+// Buffer this tick's frame and release the ones that have waited out the delay
+function feedSpectators(gameRoom) {
+    if (gameRoom.spectators.size === 0 || gameRoom.state === 'lobby') {
+        gameRoom.spectatorFrames = [];
+        return;
+    }
+
+    const now = Date.now();
+    gameRoom.spectatorFrames.push({ seq: gameRoom.tick, time: now, ...gameRoom.getSpectatorFrame() });
+
+    let due = null;
+    while (gameRoom.spectatorFrames.length > 0 && gameRoom.spectatorFrames[0].time <= now - SPECTATOR_DELAY_MS) {
+        due = gameRoom.spectatorFrames.shift();
     }
+    if (due) {
+        io.to(spectatorChannel(gameRoom.code)).emit('spectate_frame', due);
+    }
+}
 
-    // Reset room back to lobby state (for play again)
-    returnToLobby() {
-        this.state = 'lobby';
-        this.impostors.clear();
-        this.deadPlayers.clear();
+// The game is over and the room is back in its lobby - seat spectators as players
+// while there's room; anyone left over stops spectating
+function promoteSpectators(gameRoom) {
+    for (const spectator of [...gameRoom.spectators.values()]) {
+        roomManager.stopSpectating(spectator.id);
+        const socket = io.sockets.sockets.get(spectator.socketId);
+        if (!socket) continue;
+        socket.leave(spectatorChannel(gameRoom.code));
 
-        // Reset all player states
-        for (const [id, player] of this.players) {
-            player.isDead = false;
-            player.isImpostor = false;
-            player.x = 1500;
-            player.y = 350;
-            player.velocityX = 0;
-            player.velocityY = 0;
-            player.moving = false;
-            player.lastKillTime = 0;
+        const result = roomManager.joinRoom(socket, gameRoom.code, spectator.name, undefined, socket.data.walletAddress);
+        if (result.success) {
+            announceJoin(socket, result);
+        } else {
+            socket.emit('spectate_ended', { message: result.error });
         }
-
-        return { success: true };
     }
 }
 
 // ============================================
-// INITIALIZE MANAGER
+// GHOSTS - RELAYING WHAT DEAD PLAYERS DO
 // ============================================
 
-const roomManager = new GameRoomManager();
+// Ghosts are only visible to other ghosts, so their task visuals must not reach
+// living players (a patched client could otherwise track them). Movement is
+// filtered the same way in tickRoom().
+function relayFromPlayer(socket, gameRoom, event, data) {
+    const sender = gameRoom.players.get(socket.data.playerId);
+    if (!sender || !sender.isDead) {
+        socket.to(gameRoom.code).emit(event, data);
+        return;
+    }
+
+    for (const [id, p] of gameRoom.players) {
+        if (id !== socket.data.playerId && p.isDead) {
+            io.to(id).emit(event, data);
+        }
+    }
+}
 
 // ============================================
-// ADMIN TABLE - ROOM OCCUPANCY BROADCAST
+// REPLAYS - MATCH EVENT LOGS ON DISK
 // ============================================
 
-// Broadcast room occupancy to all players in a game room
-function broadcastRoomOccupancy(gameRoom) {
-    if (gameRoom.state !== 'playing') return;
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'replays');
+const REPLAY_VERSION = 1; // Bump when the file format changes
+const REPLAY_FRAME_TICKS = 2; // Positions are recorded every 2nd tick (10 per second)
+const REPLAY_ID_PATTERN = /^\d+-[A-Z]{6}$/; // <startedAt>-<room code>
+const REPLAY_ACCESS_KEY = process.env.REPLAY_ACCESS_KEY || null; // Unset = replay API closed
+// Bits of a frame entry's flags
+const REPLAY_FLAG_FACING_LEFT = 1;
+const REPLAY_FLAG_MOVING = 2;
+const REPLAY_FLAG_DEAD = 4;
+const REPLAY_FLAG_IN_VENT = 8;
+
+// Replays are for settling disputes, not for the public: they carry every role and
+// the wallets that were paid. Callers send REPLAY_ACCESS_KEY as a bearer token.
+function requireReplayAccess(req, res, next) {
+    const auth = req.get('authorization') || '';
+    const key = auth.startsWith('Bearer ') ? auth.slice('Bearer '.length) : '';
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    if (!REPLAY_ACCESS_KEY || !crypto.timingSafeEqual(hash(key), hash(REPLAY_ACCESS_KEY))) {
+        return res.status(401).json({ error: 'Replay access key required' });
+    }
+    next();
+}
 
-    // Build room occupancy data: { roomLabel: [{ id, color, name }] }
-    const roomOccupancy = {};
+// Close the match's log and write it to REPLAY_DIR/<id>.json
+function saveReplay(room, winResult) {
+    const replay = room.replay;
+    if (!replay) return;
+    room.replay = null;
+
+    replay.endedAt = Date.now();
+    replay.result = {
+        winner: winResult.winner,
+        impostorIds: winResult.impostorIds,
+        winnerWallets: winResult.winnerWallets
+    };
+    replay.events.push({ t: replay.endedAt - replay.startedAt, type: 'game_over', winner: winResult.winner });
+
+    fs.promises.mkdir(REPLAY_DIR, { recursive: true })
+        .then(() => fs.promises.writeFile(path.join(REPLAY_DIR, `${replay.id}.json`), JSON.stringify(replay)))
+        .then(() => console.log(`Replay saved: ${replay.id} (${replay.events.length} events)`))
+        .catch(err => console.error('Replay save failed:', err));
+}
 
-    for (const [playerId, player] of gameRoom.players) {
-        // Only include alive players (dead players don't show on admin)
-        if (player.isDead) continue;
+// ============================================
+// WALLET OWNERSHIP - SIGNED CHALLENGES
+// ============================================
 
-        const roomLabel = player.currentRoom;
-        if (roomLabel) {
-            if (!roomOccupancy[roomLabel]) {
-                roomOccupancy[roomLabel] = [];
-            }
-            roomOccupancy[roomLabel].push({
-                id: player.id,
-                color: player.color,
-                name: player.name
-            });
-        }
+const WALLET_CHALLENGE_TTL_MS = 5 * 60 * 1000; // How long a client has to sign a nonce
+
+// The exact text the client signs. Plain text, so a signature over it can never be
+// mistaken for a signed transaction.
+function walletChallengeMessage(nonce) {
+    return `Among Us Web Clone wallet verification\n` +
+        `Sign this message to prove you own this wallet so match winnings can be paid to it.\n` +
+        `Nonce: ${nonce}`;
+}
+
+// Check a base58 ed25519 signature over message against a base58 Solana address
+function verifyWalletSignature(walletAddress, message, signature) {
+    if (typeof walletAddress !== 'string' || typeof signature !== 'string') return false;
+    try {
+        const publicKey = bs58.decode(walletAddress);
+        const signatureBytes = bs58.decode(signature);
+        if (publicKey.length !== 32 || signatureBytes.length !== 64) return false;
+        const key = crypto.createPublicKey({
+            key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey).toString('base64url') },
+            format: 'jwk'
+        });
+        return crypto.verify(null, Buffer.from(message), key, signatureBytes);
+    } catch (err) {
+        return false; // Not base58, or not a valid curve point
     }
+}
 
-    // Broadcast to all players in this room
-    io.to(gameRoom.code).emit('room_occupancy', roomOccupancy);
+// ============================================
+// RECONNECTION - HOLDING SLOTS FOR DROPPED PLAYERS
+// ============================================
+
+const RECONNECT_GRACE_MS = 30000; // How long a dropped player's slot is held mid-game
+
+// Tell a player who just got a slot (joinRoom result) and everyone already in the room
+function announceJoin(socket, result) {
+    const room = result.room;
+    socket.emit('room_joined', {
+        code: room.code,
+        sessionToken: result.sessionToken,
+        roomInfo: room.getRoomInfo()
+    });
+    socket.to(room.code).emit('player_joined', {
+        player: result.player,
+        roomInfo: room.getRoomInfo()
+    });
+}
+
+// Take a player out of their room for good and tell everyone else
+function removeFromRoom(playerId) {
+    const result = roomManager.leaveRoom(playerId);
+    if (result?.roomDeleted) {
+        io.to(spectatorChannel(result.code)).emit('spectate_ended', { message: 'The room was closed' });
+        io.socketsLeave(spectatorChannel(result.code));
+    } else if (result) {
+        io.to(result.code).emit('player_left', {
+            playerId,
+            newHostId: result.newHostId,
+            roomInfo: result.room?.getRoomInfo()
+        });
+        handleMidGameLeave(result);
+    }
+    return result;
 }
 
 // ============================================
@@ -662,6 +2747,29 @@ app.get('/api/lobbies', (req, res) => {
     res.json(lobbies);
 });
 
+// List saved replays, newest first
+app.get('/api/replays', requireReplayAccess, (req, res) => {
+    fs.promises.readdir(REPLAY_DIR)
+        .then(files => {
+            const ids = files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length));
+            res.json(ids.filter(id => REPLAY_ID_PATTERN.test(id)).sort().reverse().map(id => {
+                const [startedAt, code] = id.split('-');
+                return { id, code, startedAt: Number(startedAt) };
+            }));
+        })
+        .catch(() => res.json([])); // No replay saved yet
+});
+
+// Get a replay's full event log
+app.get('/api/replays/:id', requireReplayAccess, (req, res) => {
+    if (!REPLAY_ID_PATTERN.test(req.params.id)) {
+        return res.status(404).json({ error: 'Replay not found' });
+    }
+    res.sendFile(path.join(REPLAY_DIR, `${req.params.id}.json`), (err) => {
+        if (err && !res.headersSent) res.status(404).json({ error: 'Replay not found' });
+    });
+});
+
 // Get room info by code
 app.get('/api/room/:code', (req, res) => {
     const room = roomManager.getRoom(req.params.code);
@@ -677,24 +2785,33 @@ app.get('/api/room/:code', (req, res) => {
 
 io.on('connection', (socket) => {
     console.log(`Player connected: ${socket.id}`);
+    // Player id for everything this connection does - rejoin_room swaps in the id of the held slot
+    socket.data.playerId = socket.id;
+    socket.data.walletAddress = null; // Set by verify_wallet once the wallet's owner has signed our challenge
+    socket.data.walletChallenge = null; // { nonce, expiresAt } from request_wallet_challenge
 
     // Create a new game room
     socket.on('create_room', (data) => {
-        const { playerName, isPublic = true, walletAddress } = data;
+        const { playerName, isPublic = true } = data;
+        const walletAddress = socket.data.walletAddress; // Only a verified wallet is attached
 
         // Leave any existing room first
-        const existingRoom = roomManager.getPlayerRoom(socket.id);
+        const existingRoom = roomManager.getPlayerRoom(socket.data.playerId);
         if (existingRoom) {
-            roomManager.leaveRoom(socket.id);
+            roomManager.leaveRoom(socket.data.playerId);
             socket.leave(existingRoom.code);
         }
+        const watched = roomManager.stopSpectating(socket.data.playerId);
+        if (watched) socket.leave(spectatorChannel(watched.code));
 
         const room = roomManager.createRoom(socket, playerName, isPublic);
+        room.tickInterval = setInterval(() => tickRoom(room), TICK_MS);
         const result = roomManager.joinRoom(socket, room.code, playerName, 0, walletAddress);
 
         if (result.success) {
             socket.emit('room_created', {
                 code: room.code,
+                sessionToken: result.sessionToken,
                 roomInfo: room.getRoomInfo()
             });
             console.log(`${playerName} created room ${room.code} (wallet: ${walletAddress ? walletAddress.slice(0,8) + '...' : 'none'})`);
@@ -705,32 +2822,41 @@ io.on('connection', (socket) => {
 
     // Join an existing room by code
     socket.on('join_room', (data) => {
-        const { code, playerName, playerColor, walletAddress } = data;
+        const { code, playerName, playerColor } = data;
+        const walletAddress = socket.data.walletAddress; // Only a verified wallet is attached
 
         // Leave any existing room first
-        const existingRoom = roomManager.getPlayerRoom(socket.id);
+        const existingRoom = roomManager.getPlayerRoom(socket.data.playerId);
         if (existingRoom) {
-            roomManager.leaveRoom(socket.id);
+            roomManager.leaveRoom(socket.data.playerId);
             socket.leave(existingRoom.code);
         }
+        const watched = roomManager.stopSpectating(socket.data.playerId);
+        if (watched) socket.leave(spectatorChannel(watched.code));
+
+        // The game is already running - watch it until the next lobby
+        const target = roomManager.getRoom(code);
+        if (target && target.state !== 'lobby') {
+            const result = roomManager.spectateRoom(socket, code, playerName);
+            if (result.success) {
+                // Just who is playing - positions, deaths and sabotages only arrive in the
+                // delayed spectate_frames
+                socket.emit('spectate_started', {
+                    code: result.room.code,
+                    delayMs: SPECTATOR_DELAY_MS,
+                    roster: [...result.room.players.values()].map(p => ({ id: p.id, name: p.name, color: p.color }))
+                });
+                console.log(`${playerName} is spectating room ${result.room.code}`);
+            } else {
+                socket.emit('join_error', { message: result.error });
+            }
+            return;
+        }
 
         const result = roomManager.joinRoom(socket, code, playerName, playerColor, walletAddress);
 
         if (result.success) {
-            const room = result.room;
-
-            // Notify the joining player
-            socket.emit('room_joined', {
-                code: room.code,
-                roomInfo: room.getRoomInfo()
-            });
-
-            // Notify others in the room
-            socket.to(code).emit('player_joined', {
-                player: result.player,
-                roomInfo: room.getRoomInfo()
-            });
-
+            announceJoin(socket, result);
             console.log(`${playerName} joined room ${code}`);
         } else {
             socket.emit('join_error', { message: result.error });
@@ -745,96 +2871,169 @@ io.on('connection', (socket) => {
 
     // Leave current room
     socket.on('leave_room', () => {
-        const result = roomManager.leaveRoom(socket.id);
+        const watched = roomManager.stopSpectating(socket.data.playerId);
+        if (watched) {
+            socket.leave(spectatorChannel(watched.code));
+            socket.emit('room_left');
+            return;
+        }
+
+        const result = removeFromRoom(socket.data.playerId);
         if (result) {
             socket.leave(result.code);
             socket.emit('room_left');
+        }
+    });
 
-            if (!result.roomDeleted) {
-                // Notify others
-                io.to(result.code).emit('player_left', {
-                    playerId: socket.id,
-                    newHostId: result.newHostId,
-                    roomInfo: result.room?.getRoomInfo()
-                });
-                handleMidGameLeave(result);
-            }
+    // Prove ownership of a payout wallet: we hand out a one-time nonce, the client signs
+    // the challenge text with the wallet's key and sends back the signature
+    socket.on('request_wallet_challenge', () => {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        socket.data.walletChallenge = { nonce, expiresAt: Date.now() + WALLET_CHALLENGE_TTL_MS };
+        socket.emit('wallet_challenge', { message: walletChallengeMessage(nonce) });
+    });
+
+    socket.on('verify_wallet', (data) => {
+        const challenge = socket.data.walletChallenge;
+        socket.data.walletChallenge = null; // One attempt per nonce
+        if (!challenge) {
+            socket.emit('wallet_rejected', { message: 'No wallet challenge pending - request one first' });
+            return;
+        }
+        if (challenge.expiresAt < Date.now()) {
+            socket.emit('wallet_rejected', { message: 'Wallet challenge expired - request a new one' });
+            return;
+        }
+
+        const walletAddress = data?.walletAddress;
+        if (!verifyWalletSignature(walletAddress, walletChallengeMessage(challenge.nonce), data?.signature)) {
+            socket.emit('wallet_rejected', { message: 'Signature does not match the wallet' });
+            return;
+        }
+
+        socket.data.walletAddress = walletAddress;
+        // Already seated in a lobby (e.g. verification raced the join) - attach it now.
+        // Mid-game the wallet waits for the return to the lobby so a match's winners can't change.
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        const player = room?.players.get(socket.data.playerId);
+        if (player && room.state === 'lobby') player.walletAddress = walletAddress;
+
+        socket.emit('wallet_verified', { walletAddress });
+        console.log(`Player ${socket.data.playerId} verified wallet ${walletAddress.slice(0, 8)}...`);
+    });
+
+    // Take back a slot held since our connection dropped (sessionToken from room_created / room_joined)
+    socket.on('rejoin_room', (data) => {
+        const playerId = roomManager.sessions.get(data?.sessionToken);
+        const room = playerId && roomManager.getPlayerRoom(playerId);
+        const player = room?.players.get(playerId);
+        if (!player) {
+            socket.emit('rejoin_failed', { message: 'Your session has expired' });
+            return;
+        }
+
+        // The old connection may not have timed out yet - this one takes over from it
+        const oldSocketId = player.socketId;
+        room.reconnectPlayer(playerId, socket.id);
+        if (oldSocketId !== socket.id) {
+            io.sockets.sockets.get(oldSocketId)?.disconnect(true);
         }
+
+        socket.data.playerId = playerId;
+        socket.join(room.code);
+        socket.join(playerId); // Private events are sent with io.to(playerId)
+        socket.emit('rejoined', room.getRejoinState(playerId));
+        console.log(`Player ${playerId} rejoined room ${room.code}`);
     });
 
     // Return to lobby (play again) - only HOST can return everyone to lobby
     socket.on('return_to_lobby', () => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (room) {
             // Only host can return everyone to lobby
-            if (socket.id !== room.hostId) {
-                console.log(`Non-host ${socket.id} tried to return to lobby, ignoring`);
+            if (socket.data.playerId !== room.hostId) {
+                console.log(`Non-host ${socket.data.playerId} tried to return to lobby, ignoring`);
                 socket.emit('error', { message: 'Only the host can start a new game' });
                 return;
             }
 
             room.returnToLobby();
+            // Pick up wallets verified during the match (verify_wallet held them back)
+            for (const player of room.players.values()) {
+                const walletAddress = io.sockets.sockets.get(player.socketId)?.data.walletAddress;
+                if (walletAddress) player.walletAddress = walletAddress;
+            }
             // Notify all players in the room
             io.to(room.code).emit('returned_to_lobby', {
                 roomInfo: room.getRoomInfo()
             });
+            promoteSpectators(room);
             console.log(`Room ${room.code} returned to lobby by host`);
         }
     });
 
     // Update game settings (host only)
     socket.on('update_settings', (settings) => {
-        const room = roomManager.getPlayerRoom(socket.id);
-        if (room && room.hostId === socket.id) {
-            room.updateSettings(settings);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (room && room.hostId === socket.data.playerId) {
+            const result = room.updateSettings(settings);
+            if (result.error) {
+                socket.emit('error', { message: result.error });
+                return;
+            }
             io.to(room.code).emit('settings_updated', room.settings);
         }
     });
 
     // Player movement
     socket.on('player_move', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) return;
 
-        const player = room.players.get(socket.id);
+        const player = room.players.get(socket.data.playerId);
         if (player) {
-            player.x = data.x;
-            player.y = data.y;
+            // In-game positions are validated (the lobby uses its own coordinate space)
+            let position = { x: data.x, y: data.y, corrected: false };
+            if (room.state === 'playing' || room.state === 'meeting') {
+                position = room.validateMove(player, data);
+                if (Number.isInteger(data.seq)) player.lastMoveSeq = data.seq;
+                if (position.corrected) {
+                    socket.emit('position_correction', { x: position.x, y: position.y, seq: player.lastMoveSeq });
+                }
+                // Idle tabs don't count as players for payout eligibility
+                const stats = room.matchPlayers.get(player.id);
+                if (stats && room.state === 'playing' && (position.x !== player.x || position.y !== player.y)) {
+                    stats.moved = true;
+                }
+            }
+
+            player.x = position.x;
+            player.y = position.y;
             player.velocityX = data.velocityX;
             player.velocityY = data.velocityY;
             player.moving = data.moving;
             player.facingLeft = data.facingLeft;
 
             // Update which room player is in for admin table
-            const newRoom = getPlayerRoom(data.x, data.y);
-            if (newRoom !== player.currentRoom) {
-                player.currentRoom = newRoom;
-                // Room changed - broadcast updated room occupancy
-                broadcastRoomOccupancy(room);
-            }
+            player.currentRoom = getPlayerRoom(player.x, player.y);
 
-            // Broadcast to others in room
-            socket.to(room.code).emit('player_update', {
-                id: socket.id,
-                ...data
-            });
+            // Everyone else sees the move in the next tick's snapshot (tickRoom)
         }
     });
 
     // Start countdown (host only) - syncs countdown to all players
     socket.on('start_countdown', () => {
-        const room = roomManager.getPlayerRoom(socket.id);
-        if (!room) return;
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (!room || room.state !== 'lobby') return;
 
-        if (room.hostId !== socket.id) {
+        if (room.hostId !== socket.data.playerId) {
             socket.emit('error', { message: 'Only host can start countdown' });
             return;
         }
 
         // Check minimum player count before starting countdown
-        // TODO: Change back to 4 for production
-        if (room.players.size < 1) {
-            io.to(room.code).emit('countdown_error', { message: 'At least 1 player must join to start' });
+        if (room.players.size < MIN_PLAYERS_TO_START) {
+            io.to(room.code).emit('countdown_error', { message: `At least ${MIN_PLAYERS_TO_START} players must join to start` });
             return;
         }
 
@@ -845,41 +3044,37 @@ io.on('connection', (socket) => {
 
     // Start game (host only)
     socket.on('start_game', () => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) {
             socket.emit('error', { message: 'Not in a room' });
             return;
         }
 
-        if (room.hostId !== socket.id) {
+        if (room.hostId !== socket.data.playerId) {
             socket.emit('error', { message: 'Only host can start' });
             return;
         }
 
         const result = room.startGame();
         if (result.success) {
-            // Send role info to each player privately
+            // Send role info to each player privately. The Hide and Seek seeker is revealed to everyone.
             for (const [id, player] of room.players) {
                 io.to(id).emit('game_start', {
                     isImpostor: player.isImpostor,
-                    impostorIds: player.isImpostor ? [...room.impostors] : [],
+                    impostorIds: player.isImpostor || room.hideAndSeek ? [...room.impostors] : [],
                     x: player.x,
                     y: player.y,
-                    players: room.getPlayersData()
+                    role: player.role,
+                    players: room.getPlayersData(),
+                    settings: room.settings,
+                    tasks: player.tasks.map(t => ({ id: t.id, name: t.name, category: t.category, steps: t.steps }))
                 });
             }
             io.to(room.code).emit('game_state', 'playing');
+            io.to(room.code).emit('task_progress', room.getTaskProgress());
+            if (room.hideAndSeek) armHideAndSeekTimer(room);
+            io.to(room.code).emit('hide_and_seek_state', room.getHideAndSeekState());
             console.log(`Game started in room ${room.code}`);
-            // Broadcast initial room occupancy for admin table
-            setTimeout(() => broadcastRoomOccupancy(room), 100);
-            // Set up periodic room occupancy broadcasts every 500ms for admin table live updates
-            room.occupancyInterval = setInterval(() => {
-                if (room.state === 'playing') {
-                    broadcastRoomOccupancy(room);
-                } else {
-                    clearInterval(room.occupancyInterval);
-                }
-            }, 500);
         } else {
             socket.emit('error', { message: result.error });
         }
@@ -887,112 +3082,103 @@ io.on('connection', (socket) => {
 
     // Kill player
     socket.on('kill', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room || room.state !== 'playing') return;
 
-        const result = room.killPlayer(socket.id, data.targetId);
+        const result = room.killPlayer(socket.data.playerId, data.targetId);
         if (result.success) {
             io.to(room.code).emit('player_killed', {
-                killerId: socket.id,
+                killerId: socket.data.playerId,
                 targetId: data.targetId,
                 x: result.target.x,
                 y: result.target.y
             });
+            room.recordReplay('kill', {
+                killerId: socket.data.playerId,
+                targetId: data.targetId,
+                x: Math.round(result.target.x),
+                y: Math.round(result.target.y)
+            });
 
             // Broadcast updated room occupancy (dead player removed)
             broadcastRoomOccupancy(room);
 
             if (result.winResult) {
-                io.to(room.code).emit('game_over', result.winResult);
-                triggerPayout(room, result.winResult);
+                endGame(room, result.winResult);
             }
+        } else {
+            console.log(`Kill rejected from ${socket.data.playerId}: ${result.error}`);
+            socket.emit('kill_rejected', { targetId: data.targetId, reason: result.error, protected: !!result.protected });
         }
     });
 
     // Report body
     socket.on('report_body', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room || room.state !== 'playing') return;
 
-        room.state = 'meeting';
-        io.to(room.code).emit('meeting_called', {
-            callerId: socket.id,
+        const result = room.validateBodyReport(socket.data.playerId, data.targetId);
+        if (result.error) {
+            socket.emit('error', { message: result.error });
+            return;
+        }
+
+        callMeeting(room, {
+            callerId: socket.data.playerId,
             bodyId: data.targetId,
             type: 'body'
         });
-        io.to(room.code).emit('game_state', 'meeting');
     });
 
     // Emergency meeting
     socket.on('emergency_meeting', () => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room || room.state !== 'playing') return;
 
-        const player = room.players.get(socket.id);
-        if (!player || player.isDead) return;
+        const result = room.useEmergencyMeeting(socket.data.playerId);
+        if (result.error) {
+            socket.emit('error', { message: result.error });
+            return;
+        }
 
-        room.state = 'meeting';
-        io.to(room.code).emit('meeting_called', {
-            callerId: socket.id,
+        callMeeting(room, {
+            callerId: socket.data.playerId,
             type: 'emergency'
         });
-        io.to(room.code).emit('game_state', 'meeting');
     });
 
-    // Vote
+    // Vote - recorded and validated by the room; the outcome is decided server-side
     socket.on('vote', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room || room.state !== 'meeting') return;
 
+        const targetId = (data && data.targetId) || null; // null = skip
+        const result = room.recordVote(socket.data.playerId, targetId);
+        if (result.error) {
+            console.log(`Vote rejected from ${socket.data.playerId}: ${result.error}`);
+            return;
+        }
+
         io.to(room.code).emit('player_voted', {
-            voterId: socket.id,
-            targetId: data.targetId // null = skip
+            voterId: socket.data.playerId,
+            targetId
         });
-    });
-
-    // Ejection result (host-authoritative). The host reports who was voted out;
-    // the server marks them dead and runs its own win check, then emits the
-    // authoritative game_over so the defeat screen always knows the real impostors.
-    socket.on('player_ejected', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
-        if (!room || room.hostId !== socket.id) return;
-
-        const ejectedId = data && data.ejectedId; // null = skip / tie
-        if (ejectedId) {
-            const target = room.players.get(ejectedId);
-            if (target) {
-                target.isDead = true;
-                room.deadPlayers.add(ejectedId);
-            }
-        }
+        room.recordReplay('vote', { voterId: socket.data.playerId, targetId });
 
-        const winResult = room.checkWinCondition();
-        if (winResult) {
-            io.to(room.code).emit('game_over', winResult);
-            triggerPayout(room, winResult);
+        // Close voting early once every living player has voted
+        if (room.allVotesIn()) {
+            resolveMeeting(room);
         }
     });
 
-    // Sabotage win (host-authoritative): a critical sabotage timer ran out -> impostors win.
-    socket.on('sabotage_win', () => {
-        const room = roomManager.getPlayerRoom(socket.id);
-        if (!room || room.hostId !== socket.id) return;
-        if (room.state === 'ended') return;
-
-        room.state = 'ended';
-        const winResult = room.buildVictoryData('impostors');
-        io.to(room.code).emit('game_over', winResult);
-        triggerPayout(room, winResult);
-    });
-
     // Task started (for visual sync - show others you're doing a task)
     socket.on('task_start', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) return;
 
         // Broadcast to others that this player started a task
-        socket.to(room.code).emit('player_task_start', {
-            playerId: socket.id,
+        relayFromPlayer(socket, room, 'player_task_start', {
+            playerId: socket.data.playerId,
             taskId: data.taskId,
             taskName: data.taskName
         });
@@ -1000,148 +3186,323 @@ io.on('connection', (socket) => {
 
     // Task completed
     socket.on('task_complete', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) return;
 
-        // Broadcast task completion to all in room
-        io.to(room.code).emit('player_task_complete', {
-            playerId: socket.id,
+        if (room.state !== 'playing') return;
+        const result = room.completeTaskStep(socket.data.playerId, data.taskId, data.step);
+        if (result.error) {
+            console.log(`Task completion rejected from ${socket.data.playerId}: ${result.error}`);
+            return;
+        }
+
+        // Broadcast task completion to the others in the room
+        relayFromPlayer(socket, room, 'player_task_complete', {
+            playerId: socket.data.playerId,
             taskId: data.taskId,
             taskName: data.taskName
         });
+
+        room.recordReplay('task', { playerId: socket.data.playerId, taskId: data.taskId, step: data.step, done: result.taskDone });
+
+        // Only finished crewmate tasks move the global task bar
+        const player = room.players.get(socket.data.playerId);
+        if (!result.taskDone || player.isImpostor) return;
+
+        io.to(room.code).emit('task_progress', room.getTaskProgress());
+        if (room.hideAndSeek) {
+            room.shortenHideAndSeek();
+            armHideAndSeekTimer(room);
+            io.to(room.code).emit('hide_and_seek_state', room.getHideAndSeekState());
+        }
+        const winResult = room.checkWinCondition();
+        if (winResult) {
+            endGame(room, winResult);
+        }
     });
 
     // Task cancelled/closed
     socket.on('task_cancel', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) return;
 
-        socket.to(room.code).emit('player_task_cancel', {
-            playerId: socket.id
+        relayFromPlayer(socket, room, 'player_task_cancel', {
+            playerId: socket.data.playerId
         });
     });
 
     // MedScan started scanning (player clicked panel, now in scan animation)
     socket.on('medscan_start', () => {
-        console.log('Received medscan_start from', socket.id);
-        const room = roomManager.getPlayerRoom(socket.id);
+        console.log('Received medscan_start from', socket.data.playerId);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) {
             console.log('Player not in a room');
             return;
         }
 
+        // The scan animation is a visual task - hidden from others when visualTasks is off
+        if (!room.settings.visualTasks) return;
+
         console.log('Broadcasting player_medscan_start to room', room.code);
         // Broadcast to others that this player started MedScan animation
-        socket.to(room.code).emit('player_medscan_start', {
-            playerId: socket.id
+        relayFromPlayer(socket, room, 'player_medscan_start', {
+            playerId: socket.data.playerId
         });
     });
 
     // MedScan finished scanning
     socket.on('medscan_end', () => {
-        console.log('Received medscan_end from', socket.id);
-        const room = roomManager.getPlayerRoom(socket.id);
+        console.log('Received medscan_end from', socket.data.playerId);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) {
             console.log('Player not in a room');
             return;
         }
 
+        if (!room.settings.visualTasks) return;
+
         console.log('Broadcasting player_medscan_end to room', room.code);
         // Broadcast to others that this player finished MedScan animation
-        socket.to(room.code).emit('player_medscan_end', {
-            playerId: socket.id
+        relayFromPlayer(socket, room, 'player_medscan_end', {
+            playerId: socket.data.playerId
         });
     });
 
     // Sabotage triggered by impostor
     socket.on('sabotage', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room || room.state !== 'playing') return;
 
-        // Only impostors can sabotage
-        if (!room.impostors.has(socket.id)) return;
+        // Only impostors can sabotage - ghost impostors keep sabotage (but not kills).
+        // The Hide and Seek seeker has no sabotages.
+        if (!room.impostors.has(socket.data.playerId) || room.hideAndSeek) return;
+
+        const type = data?.sabotageType;
+        if (!SABOTAGE_TYPES.includes(type)) return;
+        if (type !== 'doors' && room.hasActiveSabotage()) {
+            socket.emit('error', { message: 'Another sabotage is already active' });
+            socket.emit('critical_state', room.getCriticalState());
+            return;
+        }
+        if (type !== 'doors' && room.isSabotageOnCooldown()) {
+            socket.emit('error', { message: 'Sabotage on cooldown' });
+            socket.emit('critical_state', room.getCriticalState());
+            return;
+        }
+
+        if (type === 'doors') {
+            const result = room.closeDoors(data.room);
+            if (result.error) {
+                // Resync the sender's door cooldowns
+                socket.emit('doors_state', room.getDoorsState());
+                return;
+            }
+
+            const doorRoom = data.room;
+            room.doorTimeouts.set(doorRoom, setTimeout(() => {
+                room.openDoors(doorRoom);
+                io.to(room.code).emit('doors_state', room.getDoorsState());
+            }, DOOR_CLOSE_MS));
+        }
+
+        console.log(`Sabotage triggered in room ${room.code}: ${type}`);
 
-        console.log(`Sabotage triggered in room ${room.code}: ${data.sabotageType}`);
+        // Critical sabotages block meetings until they are fixed or the timer runs out
+        if (type === 'reactor' || type === '02') {
+            room.startCriticalSabotage(type);
+            room.criticalTimeout = setTimeout(() => expireCriticalSabotage(room), CRITICAL_SABOTAGE_MS);
+        } else if (type === 'electrical') {
+            room.startLightsSabotage();
+        } else if (type === 'comms') {
+            room.startCommsSabotage();
+        }
 
         // Broadcast to all players in room
         io.to(room.code).emit('sabotage_triggered', {
-            sabotageType: data.sabotageType,
-            triggeredBy: socket.id
+            sabotageType: type,
+            room: type === 'doors' ? data.room : undefined,
+            triggeredBy: socket.data.playerId
+        });
+        room.recordReplay('sabotage', {
+            sabotageType: type,
+            room: type === 'doors' ? data.room : undefined,
+            playerId: socket.data.playerId
         });
+
+        if (type !== 'doors') {
+            room.sabotageReadyAt = Date.now() + room.settings.sabotageCooldown * 1000;
+        }
+
+        if (type === 'doors') {
+            io.to(room.code).emit('doors_state', room.getDoorsState());
+        } else if (type === 'reactor' || type === '02') {
+            io.to(room.code).emit('critical_state', room.getCriticalState());
+        } else if (type === 'electrical') {
+            io.to(room.code).emit('lights_state', room.getLightsState());
+        } else if (type === 'comms') {
+            io.to(room.code).emit('comms_state', room.getCommsState());
+            io.to(room.code).emit('cameras_state', room.getCamerasState());
+        }
     });
 
-    // Vent enter/exit
-    socket.on('vent_enter', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+    // Role ability (Scientist portable vitals, Guardian Angel shield, Shapeshifter disguise)
+    socket.on('use_ability', (data) => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room || room.state !== 'playing') return;
 
-        // Only impostors can vent
-        if (!room.impostors.has(socket.id)) return;
-
-        const player = room.players.get(socket.id);
-        if (player) player.inVent = true;
+        const result = room.useAbility(socket.data.playerId, data?.targetId);
+        if (result.error) {
+            console.log(`Ability rejected from ${socket.data.playerId}: ${result.error}`);
+            socket.emit('ability_state', room.getAbilityState(socket.data.playerId));
+            return;
+        }
 
-        // Broadcast to other impostors (only they can see venting)
-        for (const impostorId of room.impostors) {
-            if (impostorId !== socket.id) {
-                io.to(impostorId).emit('player_vent_enter', {
-                    playerId: socket.id,
-                    ventId: data.ventId
-                });
+        // Disguises are public; everything else only changes the user's own HUD
+        if (result.shapeshift !== undefined) {
+            const playerId = socket.data.playerId;
+            if (result.shapeshift) {
+                room.shapeshiftTimeouts.set(playerId, setTimeout(() => {
+                    if (!room.revertShapeshift(playerId)) return;
+                    io.to(room.code).emit('player_shapeshift', { playerId, into: null });
+                    io.to(playerId).emit('ability_state', room.getAbilityState(playerId));
+                }, room.settings.shapeshifterDuration * 1000));
             }
+            io.to(room.code).emit('player_shapeshift', { playerId, into: result.shapeshift });
         }
+
+        socket.emit('ability_state', room.getAbilityState(socket.data.playerId));
     });
 
-    socket.on('vent_exit', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+    // Vitals panel refresh (polled while the panel is open)
+    socket.on('vitals_request', () => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room || room.state !== 'playing') return;
 
-        if (!room.impostors.has(socket.id)) return;
+        const result = room.getVitals(socket.data.playerId);
+        if (result.error) return;
 
-        const player = room.players.get(socket.id);
-        if (player) {
-            player.inVent = false;
-            player.x = data.x;
-            player.y = data.y;
-        }
-
-        // Broadcast to other impostors
-        for (const impostorId of room.impostors) {
-            if (impostorId !== socket.id) {
-                io.to(impostorId).emit('player_vent_exit', {
-                    playerId: socket.id,
-                    ventId: data.ventId,
-                    x: data.x,
-                    y: data.y
-                });
-            }
+        socket.emit('vitals_state', { players: result.players });
+    });
+
+    // Sit down at / get up from the security console
+    socket.on('cameras_use', (data) => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (!room || room.state !== 'playing') return;
+
+        const result = room.setWatchingCameras(socket.data.playerId, !!data?.watching);
+        if (result.error) return;
+
+        io.to(room.code).emit('cameras_state', room.getCamerasState());
+    });
+
+    // Hand on / off a reactor handprint panel
+    socket.on('reactor_hold', (data) => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (!room || room.state !== 'playing') return;
+
+        const result = room.holdReactorPanel(socket.data.playerId, data?.index, !!data?.holding);
+        if (result.error) {
+            socket.emit('critical_state', room.getCriticalState());
+            return;
+        }
+
+        io.to(room.code).emit('critical_state', room.getCriticalState());
+    });
+
+    // Code typed into an O2 keypad
+    socket.on('o2_code', (data) => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (!room || room.state !== 'playing') return;
+
+        const result = room.enterO2Code(socket.data.playerId, data?.index, data?.code);
+        if (result.error) {
+            // Tell the sender the keypad didn't take the code
+            socket.emit('critical_state', room.getCriticalState());
+            return;
+        }
+
+        io.to(room.code).emit('critical_state', room.getCriticalState());
+    });
+
+    // Flip one of the Electrical light switches (server owns the switch positions)
+    socket.on('lights_switch', (data) => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (!room || room.state !== 'playing') return;
+
+        const result = room.toggleLightSwitch(socket.data.playerId, data?.index);
+        if (result.error) {
+            // Snap the sender's panel back to the real switch positions
+            socket.emit('lights_state', room.getLightsState());
+            return;
         }
+
+        io.to(room.code).emit('lights_state', room.getLightsState());
+    });
+
+    // Retune the Communications dial (server owns the carrier frequency)
+    socket.on('comms_fix', (data) => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (!room || room.state !== 'playing') return;
+
+        const result = room.fixComms(socket.data.playerId, data?.frequency);
+        if (result.error) {
+            // Tell the sender the fix didn't take so their panel keeps tuning
+            socket.emit('comms_state', room.getCommsState());
+            return;
+        }
+
+        io.to(room.code).emit('comms_state', room.getCommsState());
+        io.to(room.code).emit('cameras_state', room.getCamerasState());
+        broadcastRoomOccupancy(room);
+    });
+
+    // Vent enter/exit
+    socket.on('vent_enter', (data) => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (!room || room.state !== 'playing' || !data) return;
+
+        const result = room.enterVent(socket.data.playerId, data.ventId);
+        if (result.error) return;
+        room.recordReplay('vent_enter', { playerId: socket.data.playerId, ventId: result.vent.id });
+        relayVentEvent(room, socket.data.playerId, 'player_vent_enter', {
+            playerId: socket.data.playerId,
+            ventId: result.vent.id
+        });
+    });
+
+    socket.on('vent_exit', (data) => {
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
+        if (!room || room.state !== 'playing' || !data) return;
+
+        const result = room.exitVent(socket.data.playerId, data.ventId);
+        if (result.error) return;
+        broadcastVentExit(room, socket.data.playerId, result.vent);
     });
 
     // Sound sync - broadcast important game sounds to all players
     socket.on('play_sound', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) return;
 
-        // Broadcast sound to all other players in room
-        socket.to(room.code).emit('play_sound', {
+        // Broadcast sound to all other players in room (a ghost's only to ghosts)
+        relayFromPlayer(socket, room, 'play_sound', {
             sound: data.sound,
-            playerId: socket.id
+            playerId: socket.data.playerId
         });
     });
 
     // Chat message
     socket.on('chat', (data) => {
-        const room = roomManager.getPlayerRoom(socket.id);
+        const room = roomManager.getPlayerRoom(socket.data.playerId);
         if (!room) return;
 
-        const player = room.players.get(socket.id);
+        const player = room.players.get(socket.data.playerId);
         if (!player) return;
 
         // Only allow chat in meetings, and dead players can only chat with dead
         if (room.state === 'meeting' || room.state === 'lobby') {
             const chatData = {
-                playerId: socket.id,
+                playerId: socket.data.playerId,
                 playerName: player.name,
                 message: data.message,
                 isDead: player.isDead
@@ -1162,16 +3523,36 @@ io.on('connection', (socket) => {
 
     // Handle disconnect
     socket.on('disconnect', () => {
-        const result = roomManager.leaveRoom(socket.id);
-        if (result && !result.roomDeleted) {
-            io.to(result.code).emit('player_left', {
-                playerId: socket.id,
-                newHostId: result.newHostId,
-                roomInfo: result.room?.getRoomInfo()
-            });
-            handleMidGameLeave(result);
+        const playerId = socket.data.playerId;
+        if (roomManager.stopSpectating(playerId)) {
+            console.log(`Spectator disconnected: ${playerId}`);
+            return;
+        }
+
+        const room = roomManager.getPlayerRoom(playerId);
+        const player = room?.players.get(playerId);
+
+        // A rejoin already moved this player onto a newer connection
+        if (player && player.socketId !== socket.id) return;
+
+        // Mid-game the slot is held so a brief drop doesn't cost the game (or the payout)
+        if (player && room.state !== 'lobby') {
+            room.disconnectPlayer(playerId);
+            room.reconnectTimeouts.set(playerId, setTimeout(() => {
+                room.reconnectTimeouts.delete(playerId);
+                removeFromRoom(playerId);
+                console.log(`Player ${playerId} did not reconnect in time`);
+            }, RECONNECT_GRACE_MS));
+            io.to(room.code).emit('cameras_state', room.getCamerasState());
+            if (room.criticalSabotage) {
+                io.to(room.code).emit('critical_state', room.getCriticalState());
+            }
+            console.log(`Player disconnected: ${playerId} (slot held for ${RECONNECT_GRACE_MS / 1000}s)`);
+            return;
         }
-        console.log(`Player disconnected: ${socket.id}`);
+
+        removeFromRoom(playerId);
+        console.log(`Player disconnected: ${playerId}`);
     });
 });
 
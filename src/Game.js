@@ -4,11 +4,15 @@ import { Player } from './Player.js';
 import { GameMap } from './Map.js';
 import { assetLoader } from './AssetLoader.js';
 import { NetworkManager } from './Network.js';
-import { WiresTask, DivertPowerTask, ReceivePowerTask, MedScanTask, StabilizeSteeringTask, DownloadDataTask, UploadDataTask, ClearAsteroidsTask, ReactorMeltdownTask, EnterCodeTask, SwipeCardTask, UnlockManifoldsTask, SimonSaysTask, ShieldsTask, EngineAlignTask } from './Task.js';
+import { WiresTask, DivertPowerTask, ReceivePowerTask, MedScanTask, StabilizeSteeringTask, DownloadDataTask, UploadDataTask, ClearAsteroidsTask, ReactorMeltdownTask, EnterCodeTask, FixLightsTask, FixCommsTask, SwipeCardTask, UnlockManifoldsTask, SimonSaysTask, ShieldsTask, EngineAlignTask } from './Task.js';
 import { MainMenu } from './MainMenu.js';
 import { OnlineScreen } from './OnlineScreen.js';
 import { LobbyScreen } from './LobbyScreen.js';
 import { GameLobbyScreen } from './GameLobbyScreen.js';
+import { SpectatorScreen } from './SpectatorScreen.js';
+import { ReplayScreen } from './ReplayScreen.js';
+import { getDefaultSettings, KILL_RANGES, BASE_VISION_RADIUS, BASE_PLAYER_SPEED } from './GameSettings.js';
+import { ROLES, getRole } from './Roles.js';
 
 export class Game {
     constructor(canvas) {
@@ -46,6 +50,8 @@ export class Game {
 
         // Game lobby screen (after hosting/joining a game)
         this.gameLobbyScreen = new GameLobbyScreen();
+        this.spectatorScreen = new SpectatorScreen();
+        this.replayScreen = new ReplayScreen(); // Only used by the replay viewer (replay.html)
 
         // Camera follows local player
         this.camera = { x: 0, y: 0 };
@@ -58,10 +64,12 @@ export class Game {
 
         // Emergency meeting state
         this.meetingActive = false;
-        this.meetingPhase = 'none'; // none, intro, voting, results, ejection
+        this.meetingPhase = 'none'; // none, intro, discussion, voting, results, ejection
         this.meetingTimer = 0;
+        this.meetingEndsAt = null; // Server deadline (server clock ms) for the current phase when online
+        this.serverClockOffset = 0; // serverNow - Date.now(), refreshed on each meeting_phase
         this.introDuration = 2.0; // Show "DISCUSS!" for 2 seconds
-        this.votingDuration = 30.0; // 30 seconds to vote
+        this.votingDuration = 30.0; // Offline voting time (votingTime setting)
         this.voteResultsDuration = 2.0; // Show vote results for 2 seconds
         this.ejectionDuration = 5.0; // Ejection screen duration (typing + 2 seconds)
         // Emergency button location in cafeteria (scaled coordinates)
@@ -98,6 +106,50 @@ export class Game {
         this.adminTableRadius = 60; // Interaction radius
         this.loadMinimapData();
 
+        // Security cameras state
+        this.camerasOpen = false;
+        this.camerasInUse = false; // Someone is watching the cameras (from the server; drives the red lights)
+        // Security console location in Security (mirrors SECURITY_CONSOLE on the server)
+        this.securityConsolePos = { x: 680, y: 505 };
+        this.securityConsoleRadius = 60; // Interaction radius
+        // Fixed camera positions shown on the console, in panel order
+        this.securityCameras = [
+            { label: 'Navigation', x: 1850, y: 530 },
+            { label: 'Admin', x: 1290, y: 610 },
+            { label: 'Security', x: 520, y: 560 },
+            { label: 'MedBay', x: 830, y: 270 }
+        ];
+        this.securityCameraViewWidth = 420; // World units across each camera panel
+
+        // Hide and Seek state (online only - the server runs the hide timer)
+        this.hideAndSeek = null; // { seekerId, timer, finalHideTime } in seconds while a Hide and Seek game runs
+        this.dangerRange = 250; // Seeker distance at which the danger meter starts to fill
+
+        // Client-side prediction (online only) - our own moves apply immediately and are
+        // replayed on top of each authoritative position until the server acks them
+        this.moveSeq = 0; // Sequence number of the last player_move sent
+        this.pendingMoves = []; // [{ seq, dx, dy, x, y, teleport }] sent but not yet acked
+        this.lastSentPos = { x: 0, y: 0 }; // Predicted position as of the last player_move
+        this.localTeleported = false; // Position jumped (spawn, vent, respawn) since the last send
+        this.maxPendingMoves = 60; // ~3s of moves at the send rate - older ones are dropped
+
+        // Vitals console state (position comes from the "Vitals" console shape in map-shapes.json)
+        this.vitalsOpen = false;
+        this.vitals = []; // [{ id, name, color, status: 'alive' | 'dead' | 'disconnected' }]
+        this.vitalsRadius = 60; // Interaction radius
+        this.vitalsPollInterval = 1; // Seconds between vitals requests while the panel is open
+        this.vitalsPollTimer = 0;
+        this.mapConsoles = {}; // console name -> { x, y } in game coords
+
+        // Role state (catalog in shared/roles.json; online the server picks our role)
+        this.localRole = 'crewmate';
+        this.abilityCooldown = 0; // Seconds until the role ability can be used again
+        this.abilityActive = 0; // Seconds left on the running ability (battery, shield, disguise)
+        this.abilityTargetId = null; // Player the running ability is on (shielded / mimicked)
+        this.protectRange = 100; // Guardian Angel shield reach (mirrors PROTECT_RANGE on the server)
+        this.shapeshiftMenuOpen = false;
+        this.shapeshiftButtons = []; // Player picker rows (populated during render)
+
         // Vote buttons (populated during render)
         this.voteButtons = [];
         this.skipVoteButton = null;
@@ -105,26 +157,25 @@ export class Game {
 
         // Task system
         this.tasks = [];
+        this.taskProgress = null; // Global task bar from the server ({ completed, total }); null = offline
         this.sabotages = []; // Separate from tasks - don't count toward task bar
         this.activeTask = null;
         this.sabotageMenuOpen = false; // Imposter sabotage map overlay
-        this.sabotageCooldown = 0; // Cooldown timer in seconds (30 sec max)
-        this.sabotageCooldownMax = 35; // 35 seconds cooldown
+        this.sabotageCooldown = 0; // Cooldown timer in seconds
 
         // Kill cooldown state (imposter)
         this.killCooldown = 0; // Cooldown timer in seconds
-        this.killCooldownMax = 22.5; // 22.5 seconds cooldown
-        this.killRange = 100; // 1 meter = 100 pixels (approximately)
 
         // Vision settings (in game pixels)
-        this.crewmateVision = 600; // Crewmate vision radius
-        this.impostorVision = 800; // Impostor vision radius
         this.ghostVision = null; // null = infinite vision for ghosts
 
         // Vent cooldown state (imposter)
         this.ventCooldown = 0; // Cooldown timer in seconds
-        this.ventCooldownMax = 17; // 17 seconds cooldown
-        this.ventAutoEjectTime = 10; // Auto-eject after 10 seconds in vent
+
+        // Cooldown maximums, kill range, vision radii, vent time etc. come from the
+        // lobby settings - defaults until the server sends the room's settings
+        this.applyGameSettings(getDefaultSettings());
+
         this.ventTimer = 0; // Time spent in current vent
         this.currentVent = null; // Track which vent player is in
         this.ventArrows = []; // Arrows pointing to connected vents
@@ -135,6 +186,8 @@ export class Game {
         this.sabotageButtons = [
             { name: "reactor", x: 29, y: 272, sprite: { x: 1573, y: 2, w: 70, h: 69 } },
             { name: "02", x: 689, y: 221, sprite: { x: 1500, y: 2, w: 73, h: 73 } },
+            { name: "electrical", x: 350, y: 375, sprite: { x: 1507, y: 71, w: 71, h: 71 } },
+            { name: "comms", x: 632, y: 512, sprite: { x: 1437, y: 141, w: 71, h: 71 } },
         ];
         this.sabotageButtonScale = 0.5;
 
@@ -145,11 +198,37 @@ export class Game {
         this.sabotageAlarmSound = null;
         this.loadSabotageAlarmSound();
 
+        // Lights sabotage state (crewmate vision shrinks until the Electrical switches are fixed)
+        this.lightsOut = false;
+        this.lightsOutVision = 0.25; // Fraction of crewmate vision left in the dark
+        this.lightsVisionFactor = 1; // Eases toward lightsOutVision (and back) instead of snapping
+
+        // Comms sabotage state (task list, task arrows and admin table are blacked out until fixed)
+        this.commsDown = false;
+
+        // Door sabotage - one button per room with doors, each with its own cooldown
+        this.doorButtons = [
+            { room: 'Cafeteria', x: 525, y: 130 },
+            { room: 'Upper Engine', x: 148, y: 132 },
+            { room: 'Lower Engine', x: 148, y: 416 },
+            { room: 'Security', x: 239, y: 263 },
+            { room: 'MedBay', x: 335, y: 215 },
+            { room: 'Electrical', x: 340, y: 412 },
+            { room: 'Storage', x: 492, y: 452 }
+        ];
+        this.doorButtonSprite = { x: 1437, y: 71, w: 71, h: 71 };
+        this.doorCooldowns = {}; // room -> seconds until its doors can be shut again
+        this.doorCooldownMax = 30; // Mirrors DOOR_COOLDOWN_MS on the server
+        this.doorCloseTime = 10; // Mirrors DOOR_CLOSE_MS on the server
+        this.doorCloseTimers = {}; // room -> seconds until the doors reopen (offline only)
+
         // Sabotage target locations (map coordinates for arrow pointing)
         // O2 has two locations - we point to the closer one
         this.sabotageLocations = {
             reactor: { x: 550, y: 920 },  // Reactor room position
-            '02': { x: 1542, y: 459 }     // O2 room position (first keypad)
+            '02': { x: 1542, y: 459 },    // O2 room position (first keypad)
+            electrical: { x: 805, y: 800 }, // Fix Lights panel in Electrical
+            comms: { x: 1330, y: 995 }      // Fix Comms panel in Communications
         };
         this.o2Locations = [
             { x: 1542, y: 459 },  // First O2 keypad
@@ -206,6 +285,8 @@ export class Game {
         this.network = new NetworkManager(this);
         // Pass network to game lobby for position syncing
         this.gameLobbyScreen.network = this.network;
+        // An imported wallet starts unverified - prove we own it before the next join
+        this.mainMenu.onWalletChanged = () => this.network.verifyWallet();
         this.setupNetworkCallbacks();
 
         // Setup
@@ -234,6 +315,7 @@ export class Game {
             this.state = 'game_lobby';
             this.lobbyScreen.hide();
             this.onlineScreen.hide();
+            this.spectatorScreen.hide(); // Spectators are seated in the next lobby this way
             this.stopThemeMusic();
             // Get players from roomInfo if available, mark which one is local
             const players = (data.roomInfo?.players || data.players || []).map(p => ({
@@ -281,7 +363,7 @@ export class Game {
             this.gameLobbyScreen.removePlayer(data.playerId);
 
             // Check if we became the new host
-            if (data.newHostId && this.network.socket && data.newHostId === this.network.socket.id) {
+            if (data.newHostId && data.newHostId === this.network.playerId) {
                 console.log('We are now the host!');
                 this.gameLobbyScreen.isHost = true;
             }
@@ -304,6 +386,9 @@ export class Game {
         this.network.onGameStart = (data) => {
             console.log('Game starting! Impostor:', data.isImpostor, 'Players:', data.players?.length);
             this.state = 'playing';
+            if (data.settings) {
+                this.applyGameSettings(data.settings);
+            }
             this.gameLobbyScreen.hide();
 
             // Stop theme music and start game ambience
@@ -332,7 +417,8 @@ export class Game {
                             false
                         );
                         player.name = playerData.name;
-                        player.isImpostor = data.isImpostor && data.impostorIds?.includes(playerData.id);
+                        // Only impostors get impostorIds - except in Hide and Seek, where everyone knows the seeker
+                        player.isImpostor = !!data.impostorIds?.includes(playerData.id);
                         this.players.set(playerData.id, player);
                         console.log('Added remote player:', playerData.id, playerData.name);
                     }
@@ -342,12 +428,15 @@ export class Game {
                 this.spawnLocalPlayer(data);
             }
 
-            // Re-initialize tasks for this game (randomize task assignments)
+            // Re-initialize tasks for this game from the server's assignment
             this.tasks = [];
-            this.initTasks();
+            this.taskProgress = null;
+            this.initTasks(data.tasks);
             console.log('Initialized', this.tasks.length, 'tasks for this game');
 
-            // Start role reveal screen (Crewmate for now)
+            // Special roles are private to each player and only exist online
+            this.setLocalRole(data.role);
+
             this.startRoleReveal();
 
         };
@@ -447,6 +536,13 @@ export class Game {
             console.warn('No collision mask found, using fallback rectangles', e);
         }
 
+        // Load sabotageable doors
+        try {
+            await this.map.loadDoors('/assets/skeld-doors.json');
+        } catch (e) {
+            console.warn('Failed to load doors', e);
+        }
+
         // Load spawn animation frames
         try {
             const spawnFrames = [];
@@ -670,8 +766,10 @@ export class Game {
         // Load map shapes from JSON (custom drawn task areas)
         await this.loadMapShapes();
 
-        // Start theme music on menu
-        this.playThemeMusic();
+        // Start theme music on menu (the replay viewer stays quiet)
+        if (this.state === 'menu') {
+            this.playThemeMusic();
+        }
     }
 
     async loadMapShapes() {
@@ -695,8 +793,14 @@ export class Game {
         // Process shapes - use embedded taskName/taskRoom if present (from Task Outliner),
         // otherwise fall back to proximity matching
 
-        // First pass: convert "Clean O2 Filter" shapes to vent indicators
+        // First pass: convert "Clean O2 Filter" shapes to vent indicators and pick up consoles
         for (const shape of this.mapShapes) {
+            if (shape.console && shape.type === 'box') {
+                this.mapConsoles[shape.console] = {
+                    x: (shape.x + shape.width / 2) * 0.25,
+                    y: (shape.y + shape.height / 2) * 0.25
+                };
+            }
             if (shape.taskName === 'Clean O2 Filter') {
                 // These are vent locations, not tasks - mark them as vents
                 shape.isVent = true;
@@ -819,6 +923,199 @@ export class Game {
         this.roomOccupancy = data;
     }
 
+    // Check if player is near the security console
+    isNearSecurityConsole() {
+        if (!this.localPlayer) return false;
+        const dx = this.localPlayer.x - this.securityConsolePos.x;
+        const dy = this.localPlayer.y - this.securityConsolePos.y;
+        return Math.sqrt(dx * dx + dy * dy) < this.securityConsoleRadius;
+    }
+
+    openCameras() {
+        this.camerasOpen = true;
+        this.adminMapOpen = false;
+        if (this.network && this.network.connected) {
+            this.network.sendCamerasUse(true);
+        } else {
+            this.camerasInUse = true;
+        }
+    }
+
+    closeCameras() {
+        if (!this.camerasOpen) return;
+        this.camerasOpen = false;
+        if (this.network && this.network.connected) {
+            this.network.sendCamerasUse(false);
+        } else {
+            this.camerasInUse = false;
+        }
+    }
+
+    // Whether anyone is watching the cameras (server-synced)
+    onCamerasState(data) {
+        this.camerasInUse = data.inUse;
+    }
+
+    // Check if player is near the vitals console
+    isNearVitals() {
+        const pos = this.mapConsoles.Vitals;
+        if (!this.localPlayer || !pos) return false;
+        const dx = this.localPlayer.x - pos.x;
+        const dy = this.localPlayer.y - pos.y;
+        return Math.sqrt(dx * dx + dy * dy) < this.vitalsRadius;
+    }
+
+    openVitals() {
+        this.vitalsOpen = true;
+        this.adminMapOpen = false;
+        this.vitalsPollTimer = 0;
+        this.requestVitals();
+    }
+
+    // Online the server answers with vitals_state; offline read the local players
+    requestVitals() {
+        if (this.network && this.network.connected) {
+            this.network.requestVitals();
+            return;
+        }
+
+        this.vitals = [...this.players.values()].map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            status: p.isDead ? 'dead' : 'alive'
+        }));
+    }
+
+    // Heartbeat of every player from the server's deadPlayers / disconnect tracking
+    onVitalsState(data) {
+        this.vitals = data.players || [];
+    }
+
+    // Take on a role (unknown / missing = plain crewmate or impostor) and clear its timers
+    setLocalRole(roleKey) {
+        this.localRole = ROLES[roleKey] ? roleKey : (this.localPlayer?.isImpostor ? 'impostor' : 'crewmate');
+        this.abilityCooldown = 0;
+        this.abilityActive = 0;
+        this.abilityTargetId = null;
+        this.shapeshiftMenuOpen = false;
+        this.applyGameSettings(this.gameSettings);
+    }
+
+    // Our role's catalog entry. The team always follows isImpostor, so offline games
+    // (which have no special roles) still reveal the right one.
+    getLocalRoleInfo() {
+        const role = ROLES[this.localRole];
+        const isImpostor = !!this.localPlayer?.isImpostor;
+        if (role && (role.team === 'impostor') === isImpostor) return role;
+        return getRole(null, isImpostor);
+    }
+
+    canVent() {
+        if (!this.localPlayer || this.localPlayer.isDead) return false;
+        return this.localPlayer.isImpostor || this.getLocalRoleInfo().ability === 'vent';
+    }
+
+    // Role ability button: Scientist battery, Guardian Angel shield, Shapeshifter picker
+    tryUseAbility() {
+        switch (this.getLocalRoleInfo().ability) {
+            case 'vitals':
+                if (this.abilityActive > 0) {
+                    this.openVitals();
+                } else {
+                    this.useAbility();
+                }
+                break;
+            case 'protect': {
+                const target = this.getProtectTarget();
+                if (target) this.useAbility(target.id);
+                break;
+            }
+            case 'shapeshift':
+                if (this.abilityActive > 0) {
+                    this.useAbility(); // Shift back early
+                } else {
+                    this.shapeshiftMenuOpen = !this.shapeshiftMenuOpen;
+                }
+                break;
+        }
+    }
+
+    // The server owns the timers and answers with ability_state (roles are online-only)
+    useAbility(targetId = null) {
+        const reverting = this.getLocalRoleInfo().ability === 'shapeshift' && this.abilityActive > 0;
+        if (this.abilityCooldown > 0 && !reverting) return;
+        if (this.network && this.network.connected) {
+            this.network.sendUseAbility(targetId);
+        }
+    }
+
+    // Nearest living player a ghost Guardian Angel can shield
+    getProtectTarget() {
+        if (!this.localPlayer) return null;
+
+        let nearest = null;
+        let nearestDist = this.protectRange;
+        for (const player of this.players.values()) {
+            if (player === this.localPlayer || player.isDead) continue;
+            const dist = Math.hypot(player.x - this.localPlayer.x, player.y - this.localPlayer.y);
+            if (dist < nearestDist) {
+                nearest = player;
+                nearestDist = dist;
+            }
+        }
+        return nearest;
+    }
+
+    // Our ability timers from the server (sent after every use, rejection and revert)
+    onAbilityState(data) {
+        if (!data) return;
+        const wasActive = this.abilityActive > 0;
+        this.abilityCooldown = data.cooldownMs / 1000;
+        this.abilityActive = data.activeMs / 1000;
+        this.abilityTargetId = data.targetId;
+
+        // A Scientist's battery just came on - bring up the portable vitals
+        if (this.getLocalRoleInfo().ability === 'vitals' && this.abilityActive > 0 && !wasActive) {
+            this.openVitals();
+        }
+    }
+
+    // A Shapeshifter took on someone's look (into = { id, name, color }) or dropped it (null)
+    onPlayerShapeshift(data) {
+        const player = this.players.get(data.playerId);
+        if (!player) return;
+        player.disguise = data.into ? { color: data.into.color, name: data.into.name } : null;
+    }
+
+    // Hide and Seek timer from the server: sent at the start and whenever a task shortens it
+    onHideAndSeekState(data) {
+        if (!data.active) {
+            this.hideAndSeek = null;
+            return;
+        }
+        this.hideAndSeek = {
+            seekerId: data.seekerId,
+            timer: data.remainingMs / 1000,
+            finalHideTime: data.finalHideMs / 1000
+        };
+    }
+
+    // The last finalHideTime seconds, when the seeker can see everyone
+    isFinalHide() {
+        return !!this.hideAndSeek && this.hideAndSeek.timer <= this.hideAndSeek.finalHideTime;
+    }
+
+    // 0..1 - how close the seeker is to us (always 0 for the seeker and for ghosts)
+    getDangerLevel() {
+        if (!this.hideAndSeek || !this.localPlayer || this.localPlayer.isDead) return 0;
+        const seeker = this.players.get(this.hideAndSeek.seekerId);
+        if (!seeker || seeker === this.localPlayer || seeker.isDead) return 0;
+
+        const dist = Math.hypot(seeker.x - this.localPlayer.x, seeker.y - this.localPlayer.y);
+        return Math.max(0, Math.min(1, 1 - dist / this.dangerRange));
+    }
+
     // Check if player is near admin table
     isNearAdminTable() {
         if (!this.localPlayer) return false;
@@ -828,7 +1125,30 @@ export class Game {
         return dist < this.adminTableRadius;
     }
 
-    initTasks() {
+    // Derive the gameplay rules from the lobby settings (shared/game-settings.json)
+    applyGameSettings(settings) {
+        this.gameSettings = { ...getDefaultSettings(), ...settings };
+        const gs = this.gameSettings;
+
+        this.killCooldownMax = gs.gameMode === 'hideAndSeek' ? 0 : gs.killCooldown; // The seeker kills freely
+        this.killRange = KILL_RANGES[gs.killDistance];
+        this.crewmateVision = BASE_VISION_RADIUS * gs.crewmateVision;
+        this.impostorVision = BASE_VISION_RADIUS * gs.impostorVision;
+        // Auto-eject after maxVentTime seconds in a vent; Engineers have their own limits
+        const engineer = this.localRole === 'engineer';
+        this.ventCooldownMax = engineer ? gs.engineerCooldown : gs.ventCooldown;
+        this.ventAutoEjectTime = engineer ? gs.engineerDuration : gs.maxVentTime;
+        this.sabotageCooldownMax = gs.sabotageCooldown;
+        this.votingDuration = gs.votingTime;
+
+        if (this.localPlayer) {
+            this.localPlayer.speed = BASE_PLAYER_SPEED * gs.playerSpeed;
+        }
+    }
+
+    // assignedTasks: the task list the server rolled for us (online). Without it the
+    // tasks are picked randomly here (offline / practice).
+    initTasks(assignedTasks = null) {
         // Dynamically create tasks based on shapes in mapShapes
         const s = 0.25;
 
@@ -865,6 +1185,12 @@ export class Game {
         // Find Upload Data location (in Admin)
         const uploadLocation = taskLocations['Upload Data|Admin'] || { x: Math.round(5403.50 * s), y: Math.round(2343.15 * s) };
 
+        if (assignedTasks) {
+            this.tasks = this.buildAssignedTasks(assignedTasks, taskLocations);
+            this.initSabotagePanels();
+            return;
+        }
+
         // Build multi-step tasks dynamically
         const allMultiTasks = [];
 
@@ -1011,6 +1337,65 @@ export class Game {
             this.tasks.push(shuffledSingle[i]());
         }
 
+        this.initSabotagePanels();
+    }
+
+    // Build Task instances for the server-assigned list. Each instance is tagged with
+    // the server task id and its step index so completions can be validated.
+    buildAssignedTasks(assignedTasks, taskLocations) {
+        const singleTaskClasses = {
+            'Swipe Card': SwipeCardTask,
+            'Submit Scan': MedScanTask,
+            'Clear Asteroids': ClearAsteroidsTask,
+            'Unlock Manifolds': UnlockManifoldsTask,
+            'Start Reactor': SimonSaysTask,
+            'Prime Shields': ShieldsTask,
+            'Align Engine Output': EngineAlignTask,
+            'Stabilize Steering': StabilizeSteeringTask
+        };
+
+        const tasks = [];
+        for (const assigned of assignedTasks) {
+            const locs = assigned.steps.map(step => taskLocations[`${step.name}|${step.room}`]);
+            if (locs.some(loc => !loc)) {
+                console.warn('No map location for assigned task:', assigned);
+                continue;
+            }
+
+            let steps;
+            if (assigned.name === 'Fix Wiring') {
+                steps = locs.map(loc => new WiresTask(loc.room, loc.x, loc.y));
+                steps.forEach((wire, i) => {
+                    wire.name = `Fix Wiring (${i + 1}/${steps.length})`;
+                    wire.enabled = i === 0;
+                    wire.nextWire = steps[i + 1] || null;
+                });
+            } else if (assigned.name === 'Divert Power') {
+                const receive = new ReceivePowerTask(locs[1].room, locs[1].x, locs[1].y);
+                const divert = new DivertPowerTask(locs[0].room, locs[0].x, locs[0].y, locs[1].room, receive);
+                steps = [divert, receive];
+            } else if (assigned.name === 'Download Data') {
+                const upload = new UploadDataTask(locs[1].room, locs[1].x, locs[1].y);
+                const download = new DownloadDataTask(locs[0].room, locs[0].x, locs[0].y, upload);
+                steps = [download, upload];
+            } else if (singleTaskClasses[assigned.name]) {
+                const TaskClass = singleTaskClasses[assigned.name];
+                steps = [new TaskClass(locs[0].room, locs[0].x, locs[0].y)];
+            } else {
+                console.warn('Unknown assigned task:', assigned.name);
+                continue;
+            }
+
+            steps.forEach((task, i) => {
+                task.id = assigned.id;
+                task.step = i;
+            });
+            tasks.push(...steps);
+        }
+        return tasks;
+    }
+
+    initSabotagePanels() {
         // Sabotage panels (always available, not counted as tasks)
         const reactorPanel1 = new ReactorMeltdownTask('Reactor', 291, 704);
         const reactorPanel2 = new ReactorMeltdownTask('Reactor', 283, 400);
@@ -1022,7 +1407,25 @@ export class Game {
         o2Keypad1.partnerTask = o2Keypad2;
         o2Keypad2.partnerTask = o2Keypad1;
 
-        this.sabotages = [reactorPanel1, reactorPanel2, o2Keypad1, o2Keypad2];
+        // Indices match CRITICAL_PANELS on the server
+        this.reactorPanels = [reactorPanel1, reactorPanel2];
+        this.o2Keypads = [o2Keypad1, o2Keypad2];
+        this.reactorPanels.forEach((panel, index) => {
+            panel.onHoldChange = (holding) => this.holdReactorPanel(index, holding);
+        });
+        this.o2Keypads.forEach((keypad, index) => {
+            keypad.onCodeEntered = (code) => this.enterO2Code(index, code);
+        });
+
+        const lightsPanel = new FixLightsTask('Electrical', 805, 800);
+        lightsPanel.onSwitchToggle = (index) => this.toggleLightSwitch(index);
+        this.lightsPanel = lightsPanel;
+
+        const commsPanel = new FixCommsTask('Communications', 1330, 995);
+        commsPanel.onTuned = (frequency) => this.tuneComms(frequency);
+        this.commsPanel = commsPanel;
+
+        this.sabotages = [reactorPanel1, reactorPanel2, o2Keypad1, o2Keypad2, lightsPanel, commsPanel];
     }
 
     setupInput() {
@@ -1084,6 +1487,17 @@ export class Game {
             return;
         }
 
+        // Shapeshifter picking who to turn into (a click anywhere else closes the picker)
+        if (this.shapeshiftMenuOpen) {
+            const row = this.shapeshiftButtons.find(btn => this.isInRect(x, y, btn));
+            if (row) {
+                this.useAbility(row.playerId);
+                this.playUIClick();
+            }
+            this.shapeshiftMenuOpen = false;
+            return;
+        }
+
         // Handle active task clicks
         if (this.activeTask) {
             this.activeTask.handleClick(x, y);
@@ -1095,6 +1509,11 @@ export class Game {
     }
 
     handleMouseMove(e) {
+        if (this.state === 'replay') {
+            const { x, y } = this.getMousePos(e);
+            this.replayScreen.handleDrag(x, y);
+            return;
+        }
         if (this.activeTask) {
             const { x, y } = this.getMousePos(e);
             this.activeTask.handleDrag(x, y);
@@ -1102,6 +1521,10 @@ export class Game {
     }
 
     handleMouseUp(e) {
+        if (this.state === 'replay') {
+            this.replayScreen.handleRelease();
+            return;
+        }
         if (this.activeTask && !this.taskCompleteOverlay) {
             this.activeTask.handleRelease();
 
@@ -1116,7 +1539,7 @@ export class Game {
                 } else {
                     // Notify network of task completion
                     if (this.network && this.network.connected) {
-                        this.network.sendTaskComplete(this.activeTask.id, this.activeTask.name);
+                        this.network.sendTaskComplete(this.activeTask.id, this.activeTask.name, this.activeTask.step);
                     }
                     // Play task complete sound
                     if (this.taskCompleteSound) {
@@ -1222,6 +1645,22 @@ export class Game {
             return;
         }
 
+        // Replay viewer - playback controls, timeline and roster
+        if (this.state === 'replay') {
+            if (this.replayScreen.handleClick(x, y)) this.playUIClick();
+            return;
+        }
+
+        // Spectating a running game - only the leave button and roster rows are clickable
+        if (this.state === 'spectating') {
+            const result = this.spectatorScreen.handleClick(x, y);
+            if (result) this.playUIClick();
+            if (result === 'leave') {
+                this.quitToMainMenu();
+            }
+            return;
+        }
+
         // Game lobby (pre-game waiting room)
         if (this.state === 'game_lobby') {
             const result = this.gameLobbyScreen.handleClick(x, y);
@@ -1247,7 +1686,7 @@ export class Game {
         }
 
         // Handle chat during any meeting phase (voting, results, ejection)
-        if (this.meetingActive && (this.meetingPhase === 'voting' || this.meetingPhase === 'results' || this.meetingPhase === 'ejection')) {
+        if (this.meetingActive && ['discussion', 'voting', 'results', 'ejection'].includes(this.meetingPhase)) {
             const isGhost = this.localPlayer && this.localPlayer.isDead;
 
             // Check chat icon click - ghosts can't chat
@@ -1326,7 +1765,7 @@ export class Game {
                 this.tryKill();
                 return;
             }
-            // Vent button (impostor only)
+            // Vent button (impostors and Engineers)
             if (this.ventButtonHitbox && this.isInRect(x, y, this.ventButtonHitbox)) {
                 this.tryVent();
                 return;
@@ -1338,6 +1777,11 @@ export class Game {
                 console.log('Sabotage menu:', this.sabotageMenuOpen ? 'opened' : 'closed');
                 return;
             }
+            // Role ability button (Scientist, Guardian Angel, Shapeshifter)
+            if (this.abilityButtonHitbox && this.isInRect(x, y, this.abilityButtonHitbox)) {
+                this.tryUseAbility();
+                return;
+            }
             // Report button (any player near dead body)
             if (this.reportButtonHitbox && this.isInRect(x, y, this.reportButtonHitbox)) {
                 this.tryReportBody();
@@ -1349,6 +1793,18 @@ export class Game {
                 this.playUIClick();
                 return;
             }
+            // Security button (near security console)
+            if (this.securityButtonHitbox && this.isInRect(x, y, this.securityButtonHitbox)) {
+                this.openCameras();
+                this.playUIClick();
+                return;
+            }
+            // Vitals button (near vitals console)
+            if (this.vitalsButtonHitbox && this.isInRect(x, y, this.vitalsButtonHitbox)) {
+                this.openVitals();
+                this.playUIClick();
+                return;
+            }
             // Use button (tasks or emergency)
             if (this.useButtonHitbox && this.isInRect(x, y, this.useButtonHitbox)) {
                 const nearbyTask = this.getNearbyTask();
@@ -1364,7 +1820,7 @@ export class Game {
                 const dx = this.localPlayer.x - this.emergencyButtonPos.x;
                 const dy = this.localPlayer.y - this.emergencyButtonPos.y;
                 const dist = Math.sqrt(dx * dx + dy * dy);
-                if (dist < this.emergencyButtonRadius * 2) {
+                if (dist < this.emergencyButtonRadius * 2 && !this.localPlayer.isDead) {
                     this.startEmergencyMeeting();
                     return;
                 }
@@ -1377,6 +1833,11 @@ export class Game {
     }
 
     handleKeyDown(e) {
+        // The wallet dialog's fields take the keyboard (MainMenu has its own keydown handler)
+        if (this.state === 'menu' && this.mainMenu.showWallet) {
+            return;
+        }
+
         // Let OnlineScreen handle keyboard input for code entry
         if (this.state === 'online_select') {
             return; // OnlineScreen has its own keydown handler
@@ -1392,18 +1853,47 @@ export class Game {
             return;
         }
 
+        // SpectatorScreen has its own keydown handler for the camera - ESC leaves
+        if (this.state === 'spectating') {
+            if (e.key === 'Escape') this.quitToMainMenu();
+            return;
+        }
+
+        // ReplayScreen has its own keydown handler
+        if (this.state === 'replay') {
+            return;
+        }
+
         // Close sabotage menu with ESC
         if (this.sabotageMenuOpen && e.key === 'Escape') {
             this.sabotageMenuOpen = false;
             return;
         }
 
+        // Close the shapeshift picker with ESC
+        if (this.shapeshiftMenuOpen && e.key === 'Escape') {
+            this.shapeshiftMenuOpen = false;
+            return;
+        }
+
         // Close admin map with ESC
         if (this.adminMapOpen && e.key === 'Escape') {
             this.adminMapOpen = false;
             return;
         }
 
+        // Leave the security console with ESC
+        if (this.camerasOpen && e.key === 'Escape') {
+            this.closeCameras();
+            return;
+        }
+
+        // Close vitals with ESC
+        if (this.vitalsOpen && e.key === 'Escape') {
+            this.vitalsOpen = false;
+            return;
+        }
+
         // Close active task with ESC
         if (this.activeTask && e.key === 'Escape') {
             // Notify network that task was cancelled
@@ -1501,8 +1991,9 @@ export class Game {
     }
 
     spawnLocalPlayer(data = {}) {
-        // Create local player - use color from lobby if available, otherwise random
-        const spawn = this.map.getSpawnPoint();
+        // Create local player at the seat the server picked (offline: the first table seat),
+        // color from lobby if available, otherwise random
+        const spawn = Number.isFinite(data.x) && Number.isFinite(data.y) ? { x: data.x, y: data.y } : this.map.getSpawnPoint();
 
         // Get color from lobby player if available
         let playerColor;
@@ -1518,9 +2009,11 @@ export class Game {
         const playerId = this.network?.playerId || 'local';
 
         this.localPlayer = new Player(playerId, spawn.x, spawn.y, playerColor, true);
+        this.localPlayer.speed = BASE_PLAYER_SPEED * this.gameSettings.playerSpeed;
         // Use truncated Solana address as name, or 'You' as fallback
         this.localPlayer.name = this.onlineScreen?.playerName || 'You';
         this.players.set(playerId, this.localPlayer);
+        this.resetPrediction();
         console.log('Player spawned with ID:', playerId, 'color:', playerColor);
 
         // Impostor assignment is handled by server (host is always impostor for testing)
@@ -1587,8 +2080,9 @@ export class Game {
                         console.log('Host sending start_game to server');
                         this.network.startGame();
                     } else {
-                        // Offline mode - start directly
+                        // Offline mode - start directly with the settings picked in the lobby
                         this.state = 'playing';
+                        this.applyGameSettings(this.gameLobbyScreen.settings);
                         this.gameLobbyScreen.hide();
                         this.spawnLocalPlayer();
                     }
@@ -1600,6 +2094,18 @@ export class Game {
             return;
         }
 
+        // Update spectator view (camera and interpolation over the delayed feed)
+        if (this.state === 'spectating') {
+            this.spectatorScreen.update(dt, this.width, this.height, this.map);
+            return;
+        }
+
+        // Update replay playback
+        if (this.state === 'replay') {
+            this.replayScreen.update(dt, this.width, this.height, this.map);
+            return;
+        }
+
         if (this.state !== 'playing' && this.state !== 'lobby' && this.state !== 'meeting') return;
 
         // Update role reveal timer
@@ -1608,8 +2114,14 @@ export class Game {
         // Skip other updates while role reveal is active
         if (this.roleRevealActive) return;
 
-        // Update meeting timer
-        if (this.meetingActive) {
+        // Online meetings: the server owns the phase transitions, we just count down to its deadline
+        if (this.meetingActive && this.meetingEndsAt !== null) {
+            this.meetingTimer = Math.max(0, (this.meetingEndsAt - (Date.now() + this.serverClockOffset)) / 1000);
+            if (this.meetingPhase === 'ejection') {
+                this.updateEjectionAnimation(dt);
+            }
+        } else if (this.meetingActive) {
+            // Offline meetings run on the local timer
             this.meetingTimer -= dt;
             if (this.meetingTimer <= 0) {
                 if (this.meetingPhase === 'intro') {
@@ -1672,6 +2184,41 @@ export class Game {
             if (this.sabotageCooldown < 0) this.sabotageCooldown = 0;
         }
 
+        // Role ability timers - a Scientist's portable vitals shut off with the battery
+        if (this.abilityCooldown > 0) {
+            this.abilityCooldown = Math.max(0, this.abilityCooldown - dt);
+        }
+        if (this.abilityActive > 0) {
+            this.abilityActive = Math.max(0, this.abilityActive - dt);
+            if (this.abilityActive === 0) {
+                this.abilityTargetId = null;
+                if (this.getLocalRoleInfo().ability === 'vitals' && this.vitalsOpen && !this.isNearVitals()) {
+                    this.vitalsOpen = false;
+                }
+            }
+        }
+
+        // Keep the vitals panel fresh while it's open
+        if (this.vitalsOpen) {
+            this.vitalsPollTimer += dt;
+            if (this.vitalsPollTimer >= this.vitalsPollInterval) {
+                this.vitalsPollTimer = 0;
+                this.requestVitals();
+            }
+        }
+
+        // Per-room door cooldowns, and reopening doors when offline (online the server reopens them)
+        for (const room of Object.keys(this.doorCooldowns)) {
+            this.doorCooldowns[room] = Math.max(0, this.doorCooldowns[room] - dt);
+        }
+        for (const room of Object.keys(this.doorCloseTimers)) {
+            this.doorCloseTimers[room] -= dt;
+            if (this.doorCloseTimers[room] <= 0) {
+                delete this.doorCloseTimers[room];
+                this.map.setRoomDoorsClosed(room, false);
+            }
+        }
+
         // Update kill cooldown
         if (this.killCooldown > 0) {
             this.killCooldown -= dt;
@@ -1713,22 +2260,39 @@ export class Game {
             }
         }
 
+        // Fade crewmate vision out / back in with the lights
+        const lightsTarget = this.lightsOut ? this.lightsOutVision : 1;
+        if (this.lightsVisionFactor !== lightsTarget) {
+            const step = dt * 1.5;
+            this.lightsVisionFactor = lightsTarget < this.lightsVisionFactor
+                ? Math.max(lightsTarget, this.lightsVisionFactor - step)
+                : Math.min(lightsTarget, this.lightsVisionFactor + step);
+        }
+
+        // Hide and Seek timer - the server ends the game when it runs out
+        if (this.hideAndSeek && this.hideAndSeek.timer > 0) {
+            this.hideAndSeek.timer = Math.max(0, this.hideAndSeek.timer - dt);
+        }
+
         // Update critical sabotage timer (reactor/O2)
         if (this.activeSabotage && this.sabotageTimer > 0) {
             this.sabotageTimer -= dt;
             if (this.sabotageTimer <= 0) {
                 this.sabotageTimer = 0;
-                this.onSabotageTimerExpired();
+                // Online the server runs its own countdown and sends game_over
+                if (!this.network?.connected) this.onSabotageTimerExpired();
             }
 
-            // Check if sabotage has been fixed (all relevant tasks completed)
-            if (this.activeSabotage === 'reactor') {
+            // Check if sabotage has been fixed (all relevant tasks completed).
+            // Online the server tracks the panels and sends critical_state instead.
+            const offline = !this.network?.connected;
+            if (offline && this.activeSabotage === 'reactor') {
                 // Reactor needs BOTH panels to show success simultaneously
                 const reactorPanels = this.sabotages.filter(s => s.name === 'Stop Reactor Meltdown');
                 if (reactorPanels.length >= 2 && reactorPanels[0].showSuccess && reactorPanels[1].showSuccess) {
                     this.stopCriticalSabotage();
                 }
-            } else if (this.activeSabotage === '02') {
+            } else if (offline && this.activeSabotage === '02') {
                 // O2 needs BOTH keypads to be completed
                 const o2Keypads = this.sabotages.filter(s => s.name === 'Enter Code');
                 if (o2Keypads.length >= 2 && o2Keypads[0].completed && o2Keypads[1].completed) {
@@ -1752,8 +2316,8 @@ export class Game {
             const oldY = this.localPlayer.y;
             const oldFrame = this.localPlayer.animationFrame;
 
-            // Only process input if not scanning
-            this.localPlayer.update(dt, isScanning ? {} : this.input);
+            // Only process input if not scanning (sitting at the security or vitals console holds the player still too)
+            this.localPlayer.update(dt, (isScanning || this.camerasOpen || this.vitalsOpen) ? {} : this.input);
 
             // Play footstep sound every 3rd animation frame change while walking
             if (this.localPlayer.moving && this.localPlayer.animationFrame !== oldFrame) {
@@ -1766,23 +2330,20 @@ export class Game {
                 this.footstepCounter = 0;
             }
 
-            // Check collision and revert if needed (ghosts can walk through walls)
-            if (!this.localPlayer.isDead && this.map.checkCollision(this.localPlayer.x, this.localPlayer.y)) {
-                this.localPlayer.x = oldX;
-                this.localPlayer.y = oldY;
-            }
-
-            // Clamp to map bounds
-            this.localPlayer.x = Math.max(30, Math.min(this.map.width - 30, this.localPlayer.x));
-            this.localPlayer.y = Math.max(30, Math.min(this.map.height - 30, this.localPlayer.y));
+            // Collision and map bounds - the same step reconciliation replays
+            const step = this.predictStep(oldX, oldY, this.localPlayer.x - oldX, this.localPlayer.y - oldY);
+            this.localPlayer.x = step.x;
+            this.localPlayer.y = step.y;
 
             // Send position to server
-            this.network.sendPosition(this.localPlayer);
+            this.sendLocalMove();
         }
 
         // Update other players (not the local player)
+        const renderTime = this.network.getInterpolationTime();
         for (const [id, player] of this.players) {
             if (player !== this.localPlayer) {
+                player.interpolate(renderTime);
                 player.update(dt, null);
 
                 // Update MedScan animation for other players
@@ -1836,7 +2397,7 @@ export class Game {
                 } else {
                     // Notify network of task completion
                     if (this.network && this.network.connected) {
-                        this.network.sendTaskComplete(this.activeTask.id, this.activeTask.name);
+                        this.network.sendTaskComplete(this.activeTask.id, this.activeTask.name, this.activeTask.step);
                     }
                     if (this.taskCompleteSound) {
                         this.taskCompleteSound.currentTime = 0;
@@ -1875,20 +2436,20 @@ export class Game {
             const dy = this.localPlayer.y - this.emergencyButtonPos.y;
             const dist = Math.sqrt(dx * dx + dy * dy);
 
-            if (dist < this.emergencyButtonRadius) {
+            if (dist < this.emergencyButtonRadius && !this.localPlayer.isDead) {
                 // Trigger emergency meeting!
                 this.startEmergencyMeeting();
             } else {
                 const vent = this.map.getVentAt(this.localPlayer.x, this.localPlayer.y);
-                if (vent && this.localPlayer.isImpostor) {
+                if (vent && this.canVent()) {
                     console.log(`Near vent ${vent.id} in ${vent.room}`);
                 }
             }
             this.input.use = false; // Consume input
         }
 
-        // Vent action (V) - for impostor
-        if (this.input.vent && this.localPlayer.isImpostor) {
+        // Vent action (V) - for impostors and Engineers
+        if (this.input.vent && this.canVent()) {
             const vent = this.map.getVentAt(this.localPlayer.x, this.localPlayer.y);
             if (vent) {
                 if (!this.localPlayer.inVent) {
@@ -1901,6 +2462,7 @@ export class Game {
                     if (nextVent) {
                         this.localPlayer.x = nextVent.x;
                         this.localPlayer.y = nextVent.y;
+                        this.localTeleported = true;
                     }
                 }
             } else if (this.localPlayer.inVent) {
@@ -1916,6 +2478,10 @@ export class Game {
 
         const taskRadius = 50; // How close player needs to be to use task
 
+        // Ghosts keep doing their own tasks but can't fix sabotages (impostor tasks are fake)
+        const isGhost = this.localPlayer.isDead;
+        if (isGhost && this.localPlayer.isImpostor) return null;
+
         // Check regular tasks
         for (const task of this.tasks) {
             // Skip disabled tasks (like ReceivePower before Divert is done)
@@ -1930,6 +2496,7 @@ export class Game {
         }
 
         // Check sabotages (reactor panels, etc.)
+        if (isGhost) return null;
         for (const sabotage of this.sabotages) {
             const dx = this.localPlayer.x - sabotage.x;
             const dy = this.localPlayer.y - sabotage.y;
@@ -2044,6 +2611,24 @@ export class Game {
             const drawY = (screenH - drawH) / 2;
 
             ctx.drawImage(revealBg, drawX, drawY, drawW, drawH);
+
+            // The backgrounds have "Crewmate" / "Impostor" baked in - special roles
+            // black that out and write their own title
+            const role = this.getLocalRoleInfo();
+            if (role !== ROLES.crewmate && role !== ROLES.impostor) {
+                ctx.fillStyle = '#000000';
+                ctx.fillRect(0, 0, screenW, drawY + drawH * 0.46);
+
+                ctx.save();
+                ctx.textAlign = 'center';
+                ctx.font = `bold ${Math.round(Math.min(screenW / 9, 96))}px "VCR OSD Mono", monospace`;
+                ctx.fillStyle = role.color;
+                ctx.fillText(role.name, screenW / 2, drawY + drawH * 0.28);
+                ctx.font = `${Math.round(Math.min(screenW / 40, 24))}px "VCR OSD Mono", monospace`;
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillText(role.blurb, screenW / 2, drawY + drawH * 0.4);
+                ctx.restore();
+            }
         }
 
         // Draw the local player sprite in the center
@@ -2112,6 +2697,19 @@ export class Game {
             return;
         }
 
+        // Render spectator view - full vision, so no vision overlay and ghosts are drawn too
+        if (this.state === 'spectating') {
+            this.renderWatchedView(this.spectatorScreen);
+            return;
+        }
+
+        // Render replay - full vision unless a player's vision is toggled on
+        if (this.state === 'replay') {
+            const view = this.replayScreen;
+            this.renderWatchedView(view, view.players.get(view.visionId));
+            return;
+        }
+
         // Don't render game if no local player (shouldn't happen but safety check)
         if (!this.localPlayer) return;
 
@@ -2133,6 +2731,9 @@ export class Game {
         // Draw MedScan world sprite for other players who are scanning
         this.renderOtherPlayersMedScan(this.ctx, assetLoader, this.camera);
 
+        // Draw security cameras (red light while someone is watching)
+        this.renderSecurityCameras(this.ctx, this.camera);
+
         // Draw dead bodies at death locations (before players so they appear under ghosts)
         this.renderDeadBodies(this.ctx, assetLoader, this.camera);
 
@@ -2161,6 +2762,8 @@ export class Game {
             }
         }
 
+        this.renderProtectShield(this.ctx, this.camera);
+
         // Draw task debug outlines (only when DEBUG_TASKS is enabled)
         if (window.DEBUG_TASKS) {
             this.renderTaskDebug(this.ctx);
@@ -2176,6 +2779,38 @@ export class Game {
         this.renderUI();
     }
 
+    // Draw a spectator / replay view. With a viewer, only what they could see is drawn
+    // and the rest of the map is shaded like their own vision overlay.
+    renderWatchedView(view, viewer = null) {
+        let visibility = null;
+        if (viewer && !viewer.isDead) {
+            const visionRadius = viewer.isImpostor ? this.impostorVision : this.crewmateVision;
+            visibility = this.castVisionPolygon(viewer.x, viewer.y, visionRadius);
+        }
+        const canSee = (x, y) => !visibility || this.pointInPolygon(x, y, visibility);
+
+        this.ctx.save();
+        this.ctx.scale(view.cameraZoom, view.cameraZoom);
+        this.map.render(this.ctx, view.camera, assetLoader);
+        const bodies = [...view.players.values()].filter(p => p.deathX !== undefined && canSee(p.deathX, p.deathY));
+        this.renderDeadBodies(this.ctx, assetLoader, view.camera, new Map(bodies.map(p => [p.id, p])));
+        for (const player of [...view.players.values()].sort((a, b) => a.y - b.y)) {
+            // The living don't see ghosts
+            if (visibility && player.isDead) continue;
+            if (player !== viewer && !canSee(player.x, player.y)) continue;
+            player.render(this.ctx, assetLoader, view.camera, null, player.isDead);
+        }
+        this.ctx.restore();
+
+        if (visibility) {
+            this.drawVisionShadow(this.ctx, visibility.map(point => ({
+                x: (point.x - view.camera.x) * view.cameraZoom,
+                y: (point.y - view.camera.y) * view.cameraZoom
+            })));
+        }
+        view.renderUI(this.ctx, this.width, this.height);
+    }
+
     drawVisionOverlay(ctx) {
         if (!this.localPlayer) return;
 
@@ -2183,13 +2818,13 @@ export class Game {
         if (this.state !== 'playing') return;
 
         // Skip vision during meetings or full-screen overlays (not tasks - keep vision during tasks)
-        if (this.meetingActive || this.adminMapOpen || this.sabotageMenuOpen) return;
+        if (this.meetingActive || this.adminMapOpen || this.camerasOpen || this.vitalsOpen || this.sabotageMenuOpen) return;
 
         // Ghosts have infinite vision
         if (this.localPlayer.isDead && this.ghostVision === null) return;
 
-        // Determine vision radius
-        let visionRadius = this.localPlayer.isImpostor ? this.impostorVision : this.crewmateVision;
+        // Determine vision radius (lights sabotage only darkens crewmates)
+        let visionRadius = this.localPlayer.isImpostor ? this.impostorVision : this.crewmateVision * this.lightsVisionFactor;
 
         const playerX = this.localPlayer.x;
         const playerY = this.localPlayer.y;
@@ -2199,8 +2834,23 @@ export class Game {
         // Store player room for visibility checks
         this._playerRoom = this.getPlayerRoom(playerX, playerY, this.getRoomPolygons());
 
-        // Get wall segments (load once)
-        const wallSegments = this.getWallSegments();
+        // Visibility polygon in screen coords (the camera is centered on us)
+        const visibilityPoints = this.castVisionPolygon(playerX, playerY, visionRadius).map(point => ({
+            x: centerX + (point.x - playerX) * this.cameraZoom,
+            y: centerY + (point.y - playerY) * this.cameraZoom
+        }));
+
+        // Store for visibility checks
+        this._visibilityPolygon = visibilityPoints;
+
+        this.drawVisionShadow(ctx, visibilityPoints);
+    }
+
+    // Cast rays from (originX, originY) out to visionRadius, stopping at walls and shut
+    // doors. Returns the visibility polygon in world coords.
+    castVisionPolygon(originX, originY, visionRadius) {
+        // Get wall segments (load once) plus any doors that are currently shut
+        const wallSegments = [...this.getWallSegments(), ...this.map.getClosedDoorSegments()];
 
         // Cast rays to build visibility polygon
         const numRays = 360;
@@ -2216,28 +2866,26 @@ export class Game {
             // Check intersection with each wall segment
             for (const wall of wallSegments) {
                 const intersection = this.raySegmentIntersect(
-                    playerX, playerY,
-                    playerX + cos * visionRadius, playerY + sin * visionRadius,
+                    originX, originY,
+                    originX + cos * visionRadius, originY + sin * visionRadius,
                     wall.x1, wall.y1, wall.x2, wall.y2
                 );
                 if (intersection) {
-                    const dist = Math.sqrt((intersection.x - playerX) ** 2 + (intersection.y - playerY) ** 2);
+                    const dist = Math.sqrt((intersection.x - originX) ** 2 + (intersection.y - originY) ** 2);
                     if (dist < hitDist) {
                         hitDist = dist;
                     }
                 }
             }
 
-            // Convert to screen coords
-            const screenX = centerX + cos * hitDist * this.cameraZoom;
-            const screenY = centerY + sin * hitDist * this.cameraZoom;
-            visibilityPoints.push({ x: screenX, y: screenY });
+            visibilityPoints.push({ x: originX + cos * hitDist, y: originY + sin * hitDist });
         }
 
-        // Store for visibility checks
-        this._visibilityPolygon = visibilityPoints;
+        return visibilityPoints;
+    }
 
-        // Draw gray shadow outside visibility polygon
+    // Draw gray shadow outside a visibility polygon (screen coords)
+    drawVisionShadow(ctx, visibilityPoints) {
         ctx.save();
         ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
         ctx.beginPath();
@@ -2372,7 +3020,7 @@ export class Game {
         } else if (this.localPlayer.isImpostor) {
             visionRadius = this.impostorVision;
         } else {
-            visionRadius = this.crewmateVision;
+            visionRadius = this.crewmateVision * this.lightsVisionFactor;
         }
 
         const scaledRadius = visionRadius * this.cameraZoom;
@@ -2399,6 +3047,7 @@ export class Game {
         if (!this.localPlayer || this.localPlayer.isDead) return true; // Ghosts see all
         if (otherPlayer === this.localPlayer) return true;
         if (otherPlayer.isDead) return false; // Can't see ghosts unless dead
+        if (this.localPlayer.isImpostor && this.isFinalHide()) return true; // The seeker sees everyone in the final hide
 
         // Use raycast-based visibility check
         return this.isWorldPositionVisible(otherPlayer.x, otherPlayer.y);
@@ -2439,7 +3088,7 @@ export class Game {
         // Debug info removed - clean UI
 
         // Draw all action buttons in unified layout (bottom right, stacked)
-        if (this.localPlayer && !this.meetingActive && !this.activeTask && !this.adminMapOpen && !this.localPlayer.isDead) {
+        if (this.localPlayer && !this.meetingActive && !this.activeTask && !this.adminMapOpen && !this.camerasOpen && !this.vitalsOpen) {
             this.drawActionButtons(ctx);
         }
 
@@ -2459,6 +3108,11 @@ export class Game {
             this.drawTaskBar(ctx);
         }
 
+        // Draw the Hide and Seek timer and danger meter (top center)
+        if (this.hideAndSeek) {
+            this.drawHideAndSeekHud(ctx);
+        }
+
         // Draw emergency meeting overlay
         if (this.meetingActive) {
             this.drawMeetingOverlay(ctx);
@@ -2474,11 +3128,26 @@ export class Game {
             this.drawSabotageMenu(ctx);
         }
 
+        // Draw the Shapeshifter's player picker
+        if (this.shapeshiftMenuOpen) {
+            this.drawShapeshiftMenu(ctx);
+        }
+
         // Draw admin table minimap overlay
         if (this.adminMapOpen) {
             this.drawAdminMap(ctx);
         }
 
+        // Draw security camera feeds
+        if (this.camerasOpen) {
+            this.drawCamerasView(ctx);
+        }
+
+        // Draw vitals panel
+        if (this.vitalsOpen) {
+            this.drawVitalsPanel(ctx);
+        }
+
         // Draw task complete overlay (freeze frame with text)
         if (this.taskCompleteOverlay) {
             this.drawTaskCompleteOverlay(ctx);
@@ -2806,17 +3475,68 @@ export class Game {
         ctx.fillRect(0, 0, screenW, screenH);
     }
 
-    // Render MedScan animation for other players who are scanning
-    renderOtherPlayersMedScan(ctx, assetLoader, camera) {
-        const medbaySprites = assetLoader?.getTexture('medbay_sprites');
-        if (!medbaySprites) return;
+    // Hide and Seek HUD: time left to survive, and for hiders a meter of how close the seeker is
+    drawHideAndSeekHud(ctx) {
+        const screenW = ctx.canvas.width;
+        const centerX = screenW / 2;
+        const finalHide = this.isFinalHide();
 
-        // MedScan animation frames (same as in MedScanTask)
-        const scanFrames = [
-            { x: 954, y: 0, w: 45, h: 62 },
-            { x: 971, y: 116, w: 53, h: 68 },
-            { x: 935, y: 243, w: 50, h: 66 },
-            { x: 984, y: 184, w: 49, h: 61 },
+        const seconds = Math.ceil(this.hideAndSeek.timer);
+        const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.font = 'bold 28px "VCR OSD Mono", monospace';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 4;
+        const label = finalHide ? `FINAL HIDE ${clock}` : `HIDE ${clock}`;
+        ctx.strokeText(label, centerX, 12);
+        ctx.fillStyle = finalHide ? '#FF4D4D' : '#FFFFFF';
+        ctx.fillText(label, centerX, 12);
+
+        // The seeker (and ghosts) have nothing to be afraid of
+        if (this.localPlayer && !this.localPlayer.isDead && !this.localPlayer.isImpostor) {
+            const danger = this.getDangerLevel();
+            const barW = 200;
+            const barH = 14;
+            const barX = centerX - barW / 2;
+            const barY = 48;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(barX, barY, barW, barH);
+            if (danger > 0) {
+                // Green -> yellow -> red, pulsing once the seeker is close
+                const hue = 120 * (1 - danger);
+                const pulse = danger > 0.66 ? Math.sin(Date.now() / 100) * 0.2 + 0.8 : 1;
+                ctx.fillStyle = `hsla(${hue}, 100%, 50%, ${pulse})`;
+                ctx.fillRect(barX, barY, barW * danger, barH);
+            }
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(barX, barY, barW, barH);
+
+            ctx.font = '14px "VCR OSD Mono", monospace';
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = '#000000';
+            ctx.strokeText('DANGER', centerX, barY + barH + 4);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText('DANGER', centerX, barY + barH + 4);
+        }
+        ctx.restore();
+    }
+
+    // Render MedScan animation for other players who are scanning
+    renderOtherPlayersMedScan(ctx, assetLoader, camera) {
+        const medbaySprites = assetLoader?.getTexture('medbay_sprites');
+        if (!medbaySprites) return;
+
+        // MedScan animation frames (same as in MedScanTask)
+        const scanFrames = [
+            { x: 954, y: 0, w: 45, h: 62 },
+            { x: 971, y: 116, w: 53, h: 68 },
+            { x: 935, y: 243, w: 50, h: 66 },
+            { x: 984, y: 184, w: 49, h: 61 },
             { x: 1023, y: 119, w: 53, h: 65 },
         ];
 
@@ -2848,11 +3568,11 @@ export class Game {
     }
 
     // Render dead bodies at their death locations
-    renderDeadBodies(ctx, assetLoader, camera) {
+    renderDeadBodies(ctx, assetLoader, camera, players = this.players) {
         const bodySheet = assetLoader?.getTexture('dead_body_sheet');
         if (!bodySheet || !this.deadBodySprites) return;
 
-        for (const [id, player] of this.players) {
+        for (const [id, player] of players) {
             if (!player.isDead) continue;
             if (player.deathX === undefined || player.deathY === undefined) continue;
 
@@ -3509,8 +4229,8 @@ export class Game {
         const arrowOffset = 80;
         const arrowSize = 40;
 
-        // If sabotage is active, draw TWO arrows pointing to both fix locations
-        if (this.activeSabotage) {
+        // If sabotage is active, draw arrows pointing to the fix locations
+        if (this.activeSabotage || this.lightsOut || this.commsDown) {
             let targets = [];
             if (this.activeSabotage === 'reactor') {
                 // Reactor has two panels (matching ReactorMeltdownTask coordinates)
@@ -3524,6 +4244,11 @@ export class Game {
                     { x: 1542, y: 459 },
                     { x: 1538, y: 618 }
                 ];
+            } else if (this.lightsOut) {
+                targets = [this.sabotageLocations.electrical];
+            } else if (this.commsDown) {
+                // Comms also hides the normal task arrows
+                targets = [this.sabotageLocations.comms];
             }
 
             // Draw arrow to each target
@@ -3592,9 +4317,12 @@ export class Game {
         const drawY = 10;
 
         // Calculate task completion percentage
+        // Online the bar is global (whole crew) and comes from the server.
         // Impostors completing tasks don't contribute to task bar
         let progress = 0;
-        if (!this.localPlayer?.isImpostor && this.tasks.length > 0) {
+        if (this.taskProgress) {
+            progress = this.taskProgress.total > 0 ? this.taskProgress.completed / this.taskProgress.total : 0;
+        } else if (!this.localPlayer?.isImpostor && this.tasks.length > 0) {
             const completedTasks = this.tasks.filter(t => t.completed).length;
             progress = completedTasks / this.tasks.length;
         }
@@ -3708,6 +4436,12 @@ export class Game {
             });
         }
 
+        // Comms sabotage hides the task list until it's fixed
+        if (this.commsDown) {
+            taskGroups.length = 0;
+            taskGroups.push({ name: 'Comms Sabotaged', completed: 0, total: 1, allDone: false, sabotaged: true });
+        }
+
         // Calculate panel size based on task count
         const lineHeight = 18;
         const padding = 12;
@@ -3743,8 +4477,10 @@ export class Game {
                 displayText += ` (${group.completed}/${group.total})`;
             }
 
-            // White for incomplete, green for completed
-            if (group.allDone) {
+            // White for incomplete, green for completed, red for the comms notice
+            if (group.sabotaged) {
+                ctx.fillStyle = '#FF3B3B';
+            } else if (group.allDone) {
                 ctx.fillStyle = '#00FF00'; // Green for completed
             } else {
                 ctx.fillStyle = '#FFFFFF'; // White for incomplete
@@ -3765,19 +4501,29 @@ export class Game {
         const buttonSprites = {
             use: { texture: 'buttons', x: 1147, y: 112, w: 113, h: 141 },
             admin: { texture: 'buttons', x: 940, y: 1, w: 116, h: 117 },
+            security: { texture: 'buttons', x: 710, y: 1, w: 118, h: 115 },
+            vitals: { texture: 'buttons', x: 806, y: 120, w: 116, h: 110 },
             kill: { texture: 'imposter', x: 920, y: 116, w: 115, h: 125 },
             vent: { texture: 'imposter', x: 1238, y: 1, w: 124, h: 108 },
             sabotage: { texture: 'imposter', x: 470, y: 0, w: 120, h: 122 },
-            report: { texture: 'imposter', x: 584, y: 7, w: 125, h: 115 }
+            report: { texture: 'imposter', x: 584, y: 7, w: 125, h: 115 },
+            // No sprites for these in the sheets - drawn by drawAbilityButtonFace()
+            protect: { drawn: true, w: 115, h: 115, label: 'PROTECT', color: '#B3F0FF' },
+            shapeshift: { drawn: true, w: 115, h: 115, label: 'SHIFT', color: '#FF4D4D' }
         };
 
         // Collect visible buttons (order matters - rightmost first)
         const visibleButtons = [];
 
+        // Ghosts keep USE (for their own tasks) and impostor ghosts keep SABOTAGE - nothing else
+        const isGhost = this.localPlayer.isDead;
+
         // Check for USE/ADMIN button (rightmost) - ALWAYS visible, grayed when nothing to use
         const nearTask = this.getNearbyTask();
-        const nearAdminTable = this.isNearAdminTable();
-        const nearEmergency = (() => {
+        const nearAdminTable = !isGhost && this.isNearAdminTable();
+        const nearSecurityConsole = !isGhost && this.isNearSecurityConsole();
+        const nearVitals = !isGhost && this.isNearVitals();
+        const nearEmergency = !isGhost && !this.hideAndSeek && (() => {
             const dx = this.localPlayer.x - this.emergencyButtonPos.x;
             const dy = this.localPlayer.y - this.emergencyButtonPos.y;
             return Math.sqrt(dx * dx + dy * dy) < this.emergencyButtonRadius * 2;
@@ -3787,6 +4533,10 @@ export class Game {
             visibleButtons.push({ type: 'use', label: nearTask.name, disabled: false });
         } else if (nearAdminTable) {
             visibleButtons.push({ type: 'admin', label: null, disabled: false });
+        } else if (nearSecurityConsole) {
+            visibleButtons.push({ type: 'security', label: null, disabled: false });
+        } else if (nearVitals) {
+            visibleButtons.push({ type: 'vitals', label: null, disabled: false });
         } else if (nearEmergency) {
             visibleButtons.push({ type: 'use', label: null, disabled: false });
         } else {
@@ -3796,16 +4546,37 @@ export class Game {
 
         // Impostor buttons - ALWAYS visible when impostor
         if (this.localPlayer.isImpostor) {
-            const killDisabled = !this.isKillTargetInRange();
+            if (!isGhost) {
+                const killDisabled = !this.isKillTargetInRange();
+                const ventDisabled = !this.isNearVent() && !this.localPlayer.inVent;
+                visibleButtons.push({ type: 'kill', cooldown: this.killCooldown, cooldownMax: this.killCooldownMax, disabled: killDisabled });
+                visibleButtons.push({ type: 'vent', cooldown: this.ventCooldown, cooldownMax: this.ventCooldownMax, disabled: ventDisabled });
+            }
+            if (!this.hideAndSeek) visibleButtons.push({ type: 'sabotage' });
+        }
+
+        // Role buttons - Engineers get a vent button, other special roles an ability button
+        // (Guardian Angels only once they're ghosts)
+        const role = this.getLocalRoleInfo();
+        if (role.ability === 'vent' && !isGhost) {
             const ventDisabled = !this.isNearVent() && !this.localPlayer.inVent;
-            visibleButtons.push({ type: 'kill', cooldown: this.killCooldown, cooldownMax: this.killCooldownMax, disabled: killDisabled });
             visibleButtons.push({ type: 'vent', cooldown: this.ventCooldown, cooldownMax: this.ventCooldownMax, disabled: ventDisabled });
-            visibleButtons.push({ type: 'sabotage' });
+        } else if (role.ability && !!role.ghostAbility === isGhost) {
+            visibleButtons.push({
+                type: 'ability',
+                sprite: role.ability,
+                cooldown: this.abilityActive > 0 ? 0 : this.abilityCooldown,
+                cooldownMax: this.gameSettings[`${this.localRole}Cooldown`],
+                activeTime: this.abilityActive,
+                disabled: role.ability === 'protect' && !this.getProtectTarget()
+            });
         }
 
-        // Report button - ALWAYS visible, grayed if no body nearby
-        const reportDisabled = !this.isNearDeadBody();
-        visibleButtons.push({ type: 'report', disabled: reportDisabled });
+        // Report button - ALWAYS visible for the living, grayed if no body nearby (no meetings in Hide and Seek)
+        if (!isGhost && !this.hideAndSeek) {
+            const reportDisabled = !this.isNearDeadBody();
+            visibleButtons.push({ type: 'report', disabled: reportDisabled });
+        }
 
         if (visibleButtons.length === 0) return;
 
@@ -3822,6 +4593,9 @@ export class Game {
         this.reportButtonHitbox = null;
         this.useButtonHitbox = null;
         this.adminButtonHitbox = null;
+        this.securityButtonHitbox = null;
+        this.vitalsButtonHitbox = null;
+        this.abilityButtonHitbox = null;
 
         // Calculate column positions (right to left)
         let currentX = this.width - padding;
@@ -3833,7 +4607,7 @@ export class Game {
             // Find max width in this column
             let maxWidth = 0;
             for (const btn of column) {
-                const sprite = buttonSprites[btn.type];
+                const sprite = buttonSprites[btn.sprite || btn.type];
                 maxWidth = Math.max(maxWidth, sprite.w * scale);
             }
 
@@ -3841,14 +4615,21 @@ export class Game {
             let currentY = this.height - padding;
             for (let j = 0; j < column.length; j++) {
                 const btn = column[j];
-                const sprite = buttonSprites[btn.type];
+                const sprite = buttonSprites[btn.sprite || btn.type];
                 const texture = sprite.texture === 'buttons' ? buttonsTexture : imposterTexture;
-                if (!texture) continue;
+                if (!texture && !sprite.drawn) continue;
 
                 const btnW = sprite.w * scale;
                 const btnH = sprite.h * scale;
                 const btnX = currentX - maxWidth + (maxWidth - btnW) / 2; // Center in column
                 const btnY = currentY - btnH;
+                const drawFace = () => {
+                    if (sprite.drawn) {
+                        this.drawAbilityButtonFace(ctx, sprite, btnX, btnY, btnW, btnH);
+                    } else {
+                        ctx.drawImage(texture, sprite.x, sprite.y, sprite.w, sprite.h, btnX, btnY, btnW, btnH);
+                    }
+                };
 
                 // Draw button (with cooldown or disabled state if applicable)
                 if (btn.cooldown !== undefined && btn.cooldown > 0) {
@@ -3858,7 +4639,7 @@ export class Game {
 
                     // Draw grayed out button first
                     ctx.filter = 'grayscale(100%)';
-                    ctx.drawImage(texture, sprite.x, sprite.y, sprite.w, sprite.h, btnX, btnY, btnW, btnH);
+                    drawFace();
                     ctx.filter = 'none';
 
                     // Create circular clip that reveals from top clockwise
@@ -3875,17 +4656,32 @@ export class Game {
                     ctx.clip();
 
                     // Draw colored version on top (visible only in clipped pie area)
-                    ctx.drawImage(texture, sprite.x, sprite.y, sprite.w, sprite.h, btnX, btnY, btnW, btnH);
+                    drawFace();
                     ctx.restore();
                 } else if (btn.disabled) {
                     // Fully grayed out when disabled (no target in range / not near vent)
                     ctx.save();
                     ctx.filter = 'grayscale(100%)';
                     ctx.globalAlpha = 0.5;
-                    ctx.drawImage(texture, sprite.x, sprite.y, sprite.w, sprite.h, btnX, btnY, btnW, btnH);
+                    drawFace();
                     ctx.restore();
                 } else {
-                    ctx.drawImage(texture, sprite.x, sprite.y, sprite.w, sprite.h, btnX, btnY, btnW, btnH);
+                    drawFace();
+                }
+
+                // Seconds left on a running ability (battery, shield, disguise)
+                if (btn.activeTime > 0) {
+                    ctx.save();
+                    ctx.font = 'bold 32px Arial';
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.strokeStyle = '#000000';
+                    ctx.lineWidth = 4;
+                    ctx.fillStyle = '#FFFFFF';
+                    const secondsLeft = Math.ceil(btn.activeTime);
+                    ctx.strokeText(secondsLeft, btnX + btnW / 2, btnY + btnH / 2);
+                    ctx.fillText(secondsLeft, btnX + btnW / 2, btnY + btnH / 2);
+                    ctx.restore();
                 }
 
                 // Store hitbox
@@ -3896,6 +4692,9 @@ export class Game {
                 else if (btn.type === 'report') this.reportButtonHitbox = hitbox;
                 else if (btn.type === 'use') this.useButtonHitbox = hitbox;
                 else if (btn.type === 'admin') this.adminButtonHitbox = hitbox;
+                else if (btn.type === 'security') this.securityButtonHitbox = hitbox;
+                else if (btn.type === 'vitals') this.vitalsButtonHitbox = hitbox;
+                else if (btn.type === 'ability') this.abilityButtonHitbox = hitbox;
 
                 // Draw label if present
                 if (btn.label) {
@@ -3916,6 +4715,38 @@ export class Game {
         }
     }
 
+    // Round badge for ability buttons that have no sprite (Protect, Shapeshift)
+    drawAbilityButtonFace(ctx, sprite, x, y, w, h) {
+        const cx = x + w / 2;
+        const cy = y + h / 2 - 8;
+        const radius = Math.min(w, h) * 0.36;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fillStyle = '#2A2F36';
+        ctx.fill();
+        ctx.lineWidth = 5;
+        ctx.strokeStyle = sprite.color;
+        ctx.stroke();
+
+        // Inner disc in the role color
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * 0.55, 0, Math.PI * 2);
+        ctx.fillStyle = sprite.color;
+        ctx.fill();
+
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = '#000000';
+        ctx.strokeText(sprite.label, cx, y + h - 4);
+        ctx.fillStyle = sprite.color;
+        ctx.fillText(sprite.label, cx, y + h - 4);
+        ctx.restore();
+    }
+
     // Check if there's a dead body nearby
     isNearDeadBody() {
         if (!this.localPlayer) return false;
@@ -3992,6 +4823,12 @@ export class Game {
         ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
         ctx.fillText('Press ESC to close', this.width / 2, mapY + mapH + 25);
 
+        // Comms sabotage scrambles the table - static instead of player icons
+        if (this.commsDown) {
+            this.drawCommsStatic(ctx, mapX, mapY, mapW, mapH);
+            return;
+        }
+
         // Player icon sprite from voting texture (same as meeting panel)
         const iconSrcX = 367, iconSrcY = 588, iconSrcW = 63, iconSrcH = 52;
         const iconScale = 0.45; // Scale for admin map icons
@@ -4043,6 +4880,306 @@ export class Game {
         }
     }
 
+    // Scrambled-signal overlay for panels that rely on comms (admin table, security cameras, vitals)
+    drawCommsStatic(ctx, x, y, w, h) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+        ctx.clip();
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(x, y, w, h);
+
+        // Random noise bands
+        for (let i = 0; i < 40; i++) {
+            const bandY = y + Math.random() * h;
+            const bandH = 2 + Math.random() * 6;
+            ctx.fillStyle = `rgba(255, 255, 255, ${0.05 + Math.random() * 0.15})`;
+            ctx.fillRect(x, bandY, w, bandH);
+        }
+
+        ctx.font = 'bold 36px Arial';
+        ctx.fillStyle = '#FF3B3B';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('COMMS SABOTAGED', x + w / 2, y + h / 2);
+        ctx.restore();
+    }
+
+    // Security console: 2x2 grid of live feeds from the fixed cameras
+    drawCamerasView(ctx) {
+        // Semi-transparent dark overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        const gap = 12;
+        const gridW = Math.min(this.width * 0.85, (this.height * 0.8) * 16 / 9);
+        const panelW = (gridW - gap) / 2;
+        const panelH = panelW * 9 / 16;
+        const gridX = (this.width - gridW) / 2;
+        const gridY = (this.height - (panelH * 2 + gap)) / 2;
+
+        // Title
+        ctx.font = 'bold 28px Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.fillText('SECURITY', this.width / 2, gridY - 15);
+
+        // Hint text
+        ctx.font = '14px Arial';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillText('Press ESC to close', this.width / 2, gridY + panelH * 2 + gap + 25);
+
+        this.securityCameras.forEach((cam, i) => {
+            const panelX = gridX + (i % 2) * (panelW + gap);
+            const panelY = gridY + Math.floor(i / 2) * (panelH + gap);
+
+            // Comms sabotage cuts the feeds
+            if (this.commsDown) {
+                this.drawCommsStatic(ctx, panelX, panelY, panelW, panelH);
+            } else {
+                this.renderCameraFeed(ctx, cam, panelX, panelY, panelW, panelH);
+            }
+
+            ctx.strokeStyle = '#3B4148';
+            ctx.lineWidth = 4;
+            ctx.strokeRect(panelX, panelY, panelW, panelH);
+
+            ctx.font = 'bold 16px Arial';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillText(cam.label, panelX + 10, panelY + panelH - 10);
+        });
+    }
+
+    // Render the world around one camera into a panel, using the normal map/body/player renderers
+    renderCameraFeed(ctx, cam, panelX, panelY, panelW, panelH) {
+        const zoom = panelW / this.securityCameraViewWidth;
+        const camera = {
+            x: cam.x - (panelW / 2) / zoom,
+            y: cam.y - (panelH / 2) / zoom
+        };
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(panelX, panelY, panelW, panelH);
+        ctx.clip();
+        ctx.translate(panelX, panelY);
+        ctx.scale(zoom, zoom);
+
+        this.map.render(ctx, camera, assetLoader);
+        this.renderDeadBodies(ctx, assetLoader, camera);
+
+        const sortedPlayers = [...this.players.values()].sort((a, b) => a.y - b.y);
+        for (const player of sortedPlayers) {
+            if (player.visible === false) continue;
+            // Cameras don't pick up ghosts (unless we're one) or players inside vents
+            if (player.isDead && !this.localPlayer.isDead) continue;
+            if (player.inVent) continue;
+            player.render(ctx, assetLoader, camera, null, player.isDead);
+        }
+
+        ctx.restore();
+    }
+
+    // Vitals monitor: one row per player with a heartbeat trace (alive), flatline (dead) or D/C
+    drawVitalsPanel(ctx) {
+        const votingTexture = assetLoader?.getTexture('voting_screen');
+
+        // Semi-transparent dark overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        const rowH = 44;
+        const panelW = Math.min(this.width * 0.6, 560);
+        const panelH = Math.max(this.vitals.length, 1) * rowH + 20;
+        const panelX = (this.width - panelW) / 2;
+        const panelY = (this.height - panelH) / 2;
+
+        ctx.fillStyle = '#0E1A12';
+        ctx.fillRect(panelX, panelY, panelW, panelH);
+        ctx.strokeStyle = '#3B4148';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(panelX, panelY, panelW, panelH);
+
+        // Title
+        ctx.font = 'bold 28px Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.fillText('VITALS', this.width / 2, panelY - 15);
+
+        // Hint text
+        ctx.font = '14px Arial';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillText('Press ESC to close', this.width / 2, panelY + panelH + 25);
+
+        // Comms sabotage blanks the monitor
+        if (this.commsDown) {
+            this.drawCommsStatic(ctx, panelX, panelY, panelW, panelH);
+            return;
+        }
+
+        // Player icon sprite from voting texture (same as admin table)
+        const iconSrcX = 367, iconSrcY = 588, iconSrcW = 63, iconSrcH = 52;
+        const iconW = iconSrcW * 0.55;
+        const iconH = iconSrcH * 0.55;
+        const traceX = panelX + 200;
+        const traceW = panelW - 220;
+        const now = Date.now() / 1000;
+
+        this.vitals.forEach((entry, i) => {
+            const rowY = panelY + 10 + i * rowH;
+            const midY = rowY + rowH / 2;
+            const playerColor = Player.COLORS[entry.color % Player.COLORS.length];
+
+            if (votingTexture) {
+                ctx.save();
+                if (entry.status !== 'alive') ctx.globalAlpha = 0.5;
+                this.drawRecoloredSprite(ctx, votingTexture,
+                    iconSrcX, iconSrcY, iconSrcW, iconSrcH,
+                    panelX + 12, midY - iconH / 2, iconW, iconH, playerColor);
+                ctx.restore();
+            }
+
+            ctx.font = 'bold 16px Arial';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(entry.name, panelX + 12 + iconW + 10, midY);
+
+            ctx.lineWidth = 2;
+            if (entry.status === 'alive') {
+                // Scrolling heartbeat: flat with a spike once per period
+                ctx.strokeStyle = '#3BE36B';
+                ctx.beginPath();
+                for (let px = 0; px <= traceW; px += 2) {
+                    const phase = ((px / traceW) * 3 - now * 1.2 + i * 0.37) % 1;
+                    const t = phase < 0 ? phase + 1 : phase;
+                    let offset = 0;
+                    if (t > 0.45 && t < 0.5) offset = -14 * Math.sin((t - 0.45) / 0.05 * Math.PI);
+                    else if (t >= 0.5 && t < 0.55) offset = 8 * Math.sin((t - 0.5) / 0.05 * Math.PI);
+                    if (px === 0) ctx.moveTo(traceX + px, midY + offset);
+                    else ctx.lineTo(traceX + px, midY + offset);
+                }
+                ctx.stroke();
+            } else if (entry.status === 'dead') {
+                ctx.strokeStyle = '#FF3B3B';
+                ctx.beginPath();
+                ctx.moveTo(traceX, midY);
+                ctx.lineTo(traceX + traceW, midY);
+                ctx.stroke();
+                ctx.fillStyle = '#FF3B3B';
+                ctx.textAlign = 'right';
+                ctx.fillText('DEAD', traceX + traceW, midY - 12);
+            } else {
+                ctx.fillStyle = '#8A8F96';
+                ctx.textAlign = 'center';
+                ctx.fillText('D/C', traceX + traceW / 2, midY);
+            }
+        });
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Shapeshifter picker: one row per other player, click a row to take on their look
+    drawShapeshiftMenu(ctx) {
+        const votingTexture = assetLoader?.getTexture('voting_screen');
+        const targets = [...this.players.values()].filter(p => p !== this.localPlayer);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        const rowH = 44;
+        const panelW = Math.min(this.width * 0.5, 420);
+        const panelH = Math.max(targets.length, 1) * rowH + 20;
+        const panelX = (this.width - panelW) / 2;
+        const panelY = (this.height - panelH) / 2;
+
+        ctx.fillStyle = '#1A1418';
+        ctx.fillRect(panelX, panelY, panelW, panelH);
+        ctx.strokeStyle = '#3B4148';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(panelX, panelY, panelW, panelH);
+
+        ctx.font = 'bold 28px Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.fillText('SHAPESHIFT', this.width / 2, panelY - 15);
+
+        ctx.font = '14px Arial';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillText('Pick a player - press ESC to cancel', this.width / 2, panelY + panelH + 25);
+
+        // Same player icon as the vitals / admin panels
+        const iconSrcX = 367, iconSrcY = 588, iconSrcW = 63, iconSrcH = 52;
+        const iconW = iconSrcW * 0.55;
+        const iconH = iconSrcH * 0.55;
+
+        this.shapeshiftButtons = [];
+        targets.forEach((player, i) => {
+            const rowY = panelY + 10 + i * rowH;
+            const midY = rowY + rowH / 2;
+            const playerColor = Player.COLORS[player.color % Player.COLORS.length];
+
+            if (votingTexture) {
+                ctx.save();
+                if (player.isDead) ctx.globalAlpha = 0.5;
+                this.drawRecoloredSprite(ctx, votingTexture,
+                    iconSrcX, iconSrcY, iconSrcW, iconSrcH,
+                    panelX + 12, midY - iconH / 2, iconW, iconH, playerColor);
+                ctx.restore();
+            }
+
+            ctx.font = 'bold 16px Arial';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = player.isDead ? '#888888' : '#FFFFFF';
+            ctx.fillText(player.name, panelX + 12 + iconW + 10, midY);
+
+            this.shapeshiftButtons.push({ x: panelX + 6, y: rowY, w: panelW - 12, h: rowH, playerId: player.id });
+        });
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Shield bubble a ghost Guardian Angel sees around the player they're protecting
+    renderProtectShield(ctx, camera) {
+        if (this.getLocalRoleInfo().ability !== 'protect' || this.abilityActive <= 0) return;
+        const target = this.players.get(this.abilityTargetId);
+        if (!target || target.isDead) return;
+
+        const pulse = 0.5 + 0.2 * Math.sin(Date.now() / 200);
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(target.x - camera.x, target.y - camera.y - 8, 22, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(179, 240, 255, ${pulse * 0.35})`;
+        ctx.fill();
+        ctx.strokeStyle = `rgba(179, 240, 255, ${pulse})`;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Wall-mounted cameras in the world; their lights blink red while someone watches the feeds
+    renderSecurityCameras(ctx, camera) {
+        const lightOn = this.camerasInUse && Math.floor(Date.now() / 500) % 2 === 0;
+
+        for (const cam of this.securityCameras) {
+            const x = cam.x - camera.x;
+            const y = cam.y - camera.y;
+
+            ctx.fillStyle = '#5A6470';
+            ctx.fillRect(x - 8, y - 5, 16, 10);
+            ctx.strokeStyle = '#1E2328';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x - 8, y - 5, 16, 10);
+
+            ctx.beginPath();
+            ctx.arc(x + 4, y, 3, 0, Math.PI * 2);
+            ctx.fillStyle = lightOn ? '#FF2020' : '#402020';
+            ctx.fill();
+        }
+    }
+
     drawSabotageMenu(ctx) {
         const mapTexture = assetLoader?.getTexture('sabotage_map');
         const buttonsTexture = assetLoader?.getTexture('imposter_buttons');
@@ -4090,52 +5227,79 @@ export class Game {
                     h: btnH
                 });
 
-                // Calculate cooldown progress (0 = on cooldown, 1 = ready)
-                const cooldownProgress = 1 - (this.sabotageCooldown / this.sabotageCooldownMax);
+                this.drawSabotageButton(ctx, buttonsTexture, sprite, btnX, btnY, btnW, btnH,
+                    this.sabotageCooldown, this.sabotageCooldownMax);
+            }
 
-                ctx.save();
+            // Door buttons - one per room, each with its own cooldown
+            const doorSprite = this.doorButtonSprite;
+            for (const btn of this.doorButtons) {
+                const btnW = doorSprite.w * btnScale;
+                const btnH = doorSprite.h * btnScale;
+                const btnX = mapX + (btn.x * scale) - btnW / 2;
+                const btnY = mapY + (btn.y * scale) - btnH / 2;
 
-                if (this.sabotageCooldown > 0) {
-                    // Draw grayscale version first (full button grayed out)
-                    ctx.filter = 'grayscale(100%)';
-                    ctx.drawImage(
-                        buttonsTexture,
-                        sprite.x, sprite.y, sprite.w, sprite.h,
-                        btnX, btnY, btnW, btnH
-                    );
-                    ctx.filter = 'none';
+                this.sabotageButtonHitboxes.push({
+                    name: 'doors',
+                    room: btn.room,
+                    x: btnX,
+                    y: btnY,
+                    w: btnW,
+                    h: btnH
+                });
 
-                    // Clip to show colored portion from LEFT side (progress fills from left to right)
-                    ctx.beginPath();
-                    const coloredWidth = btnW * cooldownProgress;
-                    ctx.rect(btnX, btnY, coloredWidth, btnH);
-                    ctx.clip();
+                this.drawSabotageButton(ctx, buttonsTexture, doorSprite, btnX, btnY, btnW, btnH,
+                    this.doorCooldowns[btn.room] || 0, this.doorCooldownMax);
+            }
+        }
 
-                    // Draw colored version on top (visible only in clipped area)
-                    ctx.drawImage(
-                        buttonsTexture,
-                        sprite.x, sprite.y, sprite.w, sprite.h,
-                        btnX, btnY, btnW, btnH
-                    );
-                } else {
-                    // No cooldown - draw normal colored button
-                    ctx.drawImage(
-                        buttonsTexture,
-                        sprite.x, sprite.y, sprite.w, sprite.h,
-                        btnX, btnY, btnW, btnH
-                    );
-                }
+    }
 
-                ctx.restore();
-            }
+    // Draw one sabotage map button, greyed out and filling left to right while on cooldown
+    drawSabotageButton(ctx, buttonsTexture, sprite, btnX, btnY, btnW, btnH, cooldown, cooldownMax) {
+        // Calculate cooldown progress (0 = on cooldown, 1 = ready)
+        const cooldownProgress = 1 - (cooldown / cooldownMax);
+
+        ctx.save();
+
+        if (cooldown > 0) {
+            // Draw grayscale version first (full button grayed out)
+            ctx.filter = 'grayscale(100%)';
+            ctx.drawImage(
+                buttonsTexture,
+                sprite.x, sprite.y, sprite.w, sprite.h,
+                btnX, btnY, btnW, btnH
+            );
+            ctx.filter = 'none';
+
+            // Clip to show colored portion from LEFT side (progress fills from left to right)
+            ctx.beginPath();
+            const coloredWidth = btnW * cooldownProgress;
+            ctx.rect(btnX, btnY, coloredWidth, btnH);
+            ctx.clip();
+
+            // Draw colored version on top (visible only in clipped area)
+            ctx.drawImage(
+                buttonsTexture,
+                sprite.x, sprite.y, sprite.w, sprite.h,
+                btnX, btnY, btnW, btnH
+            );
+        } else {
+            // No cooldown - draw normal colored button
+            ctx.drawImage(
+                buttonsTexture,
+                sprite.x, sprite.y, sprite.w, sprite.h,
+                btnX, btnY, btnW, btnH
+            );
         }
 
+        ctx.restore();
     }
 
     drawMeetingOverlay(ctx) {
         if (this.meetingPhase === 'intro') {
             this.drawMeetingIntro(ctx);
-        } else if (this.meetingPhase === 'voting') {
+        } else if (this.meetingPhase === 'discussion' || this.meetingPhase === 'voting') {
             this.drawVotingScreen(ctx);
         } else if (this.meetingPhase === 'results') {
             this.drawVoteResultsScreen(ctx);
@@ -4227,8 +5391,11 @@ export class Game {
         ctx.textAlign = 'center';
         ctx.strokeStyle = '#000000';
         ctx.lineWidth = 3;
-        ctx.strokeText(`Voting ends in: ${Math.ceil(this.meetingTimer)}s`, this.width / 2, ipadY + 35);
-        ctx.fillText(`Voting ends in: ${Math.ceil(this.meetingTimer)}s`, this.width / 2, ipadY + 35);
+        const votingOpen = this.meetingPhase === 'voting';
+        const timerText = votingOpen ? `Voting ends in: ${Math.ceil(this.meetingTimer)}s` :
+                                       `Voting begins in: ${Math.ceil(this.meetingTimer)}s`;
+        ctx.strokeText(timerText, this.width / 2, ipadY + 35);
+        ctx.fillText(timerText, this.width / 2, ipadY + 35);
 
         // Player panel source coordinates
         const panelSrcX = 16, panelSrcY = 829, panelSrcW = 372, panelSrcH = 67;
@@ -4293,7 +5460,7 @@ export class Game {
             ctx.fillText(displayName, x + drawW + 12, y + panelHeight / 2 + 5);
 
             // Draw vote checkmark button ONLY if local player hasn't voted yet and isn't a ghost
-            if (!player.isDead && this.localPlayer && !this.localPlayer.hasVoted && !this.localPlayer.isDead) {
+            if (votingOpen && !player.isDead && this.localPlayer && !this.localPlayer.hasVoted && !this.localPlayer.isDead) {
                 const checkScale = 0.55;
                 const checkX = x + panelWidth - checkSrcW * checkScale - 8;
                 const checkY = y + (panelHeight - checkSrcH * checkScale) / 2;
@@ -4315,7 +5482,7 @@ export class Game {
 
         // Draw Skip Vote button at bottom center of iPad (only for living players)
         const isLocalGhost = this.localPlayer && this.localPlayer.isDead;
-        if (!isLocalGhost) {
+        if (!isLocalGhost && votingOpen) {
             const skipSrcX = 609, skipSrcY = 1059, skipSrcW = 123, skipSrcH = 30;
             const skipScale = 0.8;
             const skipX = this.width / 2 - (skipSrcW * skipScale) / 2;
@@ -4324,7 +5491,7 @@ export class Game {
                           skipX, skipY, skipSrcW * skipScale, skipSrcH * skipScale);
             this.skipVoteButton = { x: skipX, y: skipY, w: skipSrcW * skipScale, h: skipSrcH * skipScale };
         } else {
-            // Clear skip button hitbox for ghosts
+            // Clear skip button hitbox for ghosts (and while discussion is still running)
             this.skipVoteButton = null;
         }
 
@@ -4700,7 +5867,22 @@ export class Game {
         }
     }
 
+    // Typing text + floating crewmate on the ejection screen
+    updateEjectionAnimation(dt) {
+        this.ejectionTypingTimer += dt;
+        if (this.ejectionTypingTimer >= this.ejectionTypingSpeed) {
+            this.ejectionTypingTimer = 0;
+            if (this.ejectionTypedChars < this.ejectionText.length) {
+                this.ejectionTypedChars++;
+            }
+        }
+        this.ejectionPlayerX += this.ejectionPlayerVelX * dt;
+        this.ejectionPlayerY += this.ejectionPlayerVelY * dt;
+    }
+
     startEmergencyMeeting() {
+        if (this.hideAndSeek) return; // No meetings in Hide and Seek
+
         // Send to server - server will broadcast to all players including us
         if (this.network && this.network.connected) {
             this.network.emergencyMeeting();
@@ -4717,15 +5899,28 @@ export class Game {
             this.activeTask.close();
             this.activeTask = null;
         }
+        this.closeCameras();
+        this.vitalsOpen = false;
+        this.shapeshiftMenuOpen = false;
+        // Everyone is themselves at the table
+        for (const player of this.players.values()) {
+            player.disguise = null;
+        }
 
         this.meetingActive = true;
         this.meetingPhase = 'intro';
         this.meetingTimer = this.introDuration;
+        this.meetingEndsAt = null; // Replaced by the server's meeting_phase deadline when online
         this.meetingType = type;
         this.meetingCallerId = callerId;
 
-        // Clear dead bodies immediately when meeting is called (body was reported)
+        // Clear dead bodies immediately when meeting is called (body was reported).
+        // Bodies are drawn from each dead player's death position, so drop those too.
         this.deadBodies = [];
+        for (const player of this.players.values()) {
+            delete player.deathX;
+            delete player.deathY;
+        }
 
         // Reset meeting state
         this.chatOpen = false;
@@ -4733,6 +5928,7 @@ export class Game {
         this.chatInput = '';
         this.voteMap.clear(); // Clear vote tracking
         this.ejectedPlayer = null;
+        this.ejectedWasImpostor = null; // Set by the server's meeting_result when online
         this.wasTie = false;
 
         // Reset all player vote states
@@ -4804,8 +6000,16 @@ export class Game {
 
         // Build ejection text
         const playerName = this.ejectedPlayer.name;
-        const wasImpostor = this.ejectedPlayer.isImpostor;
-        this.ejectionText = `${playerName} was ejected. ${playerName} was${wasImpostor ? '' : ' not'} An Impostor.`;
+        // Crewmate clients don't know the impostors, so online we use the server's answer.
+        // null = confirmEjects is off and the role stays hidden.
+        let wasImpostor;
+        if (this.meetingEndsAt !== null) {
+            wasImpostor = this.ejectedWasImpostor;
+        } else {
+            wasImpostor = this.gameSettings.confirmEjects ? this.ejectedPlayer.isImpostor : null;
+        }
+        this.ejectionText = wasImpostor === null ? `${playerName} was ejected.` :
+            `${playerName} was ejected. ${playerName} was${wasImpostor ? '' : ' not'} An Impostor.`;
         this.ejectionTypedChars = 0;
         this.ejectionTypingTimer = 0;
 
@@ -4826,15 +6030,11 @@ export class Game {
 
         console.log('Ejection screen started for:', playerName);
 
-        // Host reports the ejection so the SERVER runs the authoritative win check.
-        // The server knows the real impostors; crewmate clients do not, so the local
-        // check below is only a fallback for showing the screen promptly.
-        if (this.gameLobbyScreen?.isHost && this.network) {
-            this.network.sendAction('player_ejected', { ejectedId: this.ejectedPlayer.id });
+        // Check win conditions after ejection. Online, the server ran the authoritative
+        // check when it tallied the votes and sends game_over itself.
+        if (this.meetingEndsAt === null) {
+            this.checkWinConditionsAfterEjection();
         }
-
-        // Check win conditions after ejection
-        this.checkWinConditionsAfterEjection();
     }
 
     // Check if game should end after ejection
@@ -4871,10 +6071,12 @@ export class Game {
         this.pendingGameOver = null;
     }
 
-    // End meeting and respawn all players
-    endMeetingAndRespawn() {
+    // End meeting and respawn all players. Online, the server sends the seats
+    // (meeting_phase 'none'); offline they are handed out here.
+    endMeetingAndRespawn(positions = null) {
         this.meetingActive = false;
         this.meetingPhase = 'none';
+        this.meetingEndsAt = null;
 
         // Clear dead bodies
         this.deadBodies = [];
@@ -4885,12 +6087,16 @@ export class Game {
 
         for (const [id, player] of this.players) {
             if (!player.isDead) {
-                const spawn = spawnPoints[spawnIndex % spawnPoints.length];
-                player.x = spawn.x;
-                player.y = spawn.y;
+                const spawn = positions ? positions[id] : spawnPoints[spawnIndex % spawnPoints.length];
+                if (spawn) {
+                    player.x = spawn.x;
+                    player.y = spawn.y;
+                }
                 spawnIndex++;
             }
         }
+        // Moves from here on are measured from the new seat
+        this.resetPrediction();
 
         // Reset cooldowns after meeting
         this.killCooldown = this.killCooldownMax;
@@ -4962,17 +6168,94 @@ export class Game {
         console.log(`Player left: ${id}`);
     }
 
-    onPlayerUpdate(data) {
-        const player = this.players.get(data.id);
-        if (player && player !== this.localPlayer) {
-            // Debug: log moving state changes
-            if (player.moving !== data.moving) {
-                console.log(`Player ${data.id} moving changed: ${player.moving} -> ${data.moving}`);
+    // One server tick's worth of player states - buffered per player for interpolation,
+    // while our own state is the authoritative base for reconciliation
+    onSnapshot(data) {
+        for (const state of data.players) {
+            const player = this.players.get(state.id);
+            if (!player) continue;
+            if (player !== this.localPlayer) {
+                player.pushSnapshot(state, data.time);
+            } else if (this.state === 'playing' || this.state === 'meeting') {
+                this.reconcileLocalPlayer(state.x, state.y, state.ack);
             }
-            player.deserialize(data);
         }
     }
 
+    // The server rejected or clamped a move - rewind to where it says we are and replay
+    // the moves it hasn't processed yet
+    onPositionCorrection(data) {
+        if (!this.localPlayer) return;
+        this.reconcileLocalPlayer(data.x, data.y, data.seq);
+        console.log(`Position corrected by server to (${Math.round(data.x)}, ${Math.round(data.y)})`);
+    }
+
+    // ============================================
+    // CLIENT-SIDE PREDICTION
+    // ============================================
+
+    // Move from (fromX, fromY) by (dx, dy) under the rules the server checks: walls and
+    // closed doors (ghosts float through both), then the map bounds
+    predictStep(fromX, fromY, dx, dy) {
+        let x = fromX + dx;
+        let y = fromY + dy;
+        if (!this.localPlayer.isDead && this.map.checkCollision(x, y, 20, 20, { x: fromX, y: fromY })) {
+            x = fromX;
+            y = fromY;
+        }
+        return {
+            x: Math.max(30, Math.min(this.map.width - 30, x)),
+            y: Math.max(30, Math.min(this.map.height - 30, y))
+        };
+    }
+
+    // Send our displacement since the last packet, tagged with a sequence number, and keep
+    // it until the server acks it
+    sendLocalMove() {
+        const move = {
+            seq: this.moveSeq + 1,
+            dx: this.localPlayer.x - this.lastSentPos.x,
+            dy: this.localPlayer.y - this.lastSentPos.y
+        };
+        if (!this.network.sendPosition(this.localPlayer, move)) return;
+
+        this.moveSeq = move.seq;
+        this.pendingMoves.push({ ...move, x: this.localPlayer.x, y: this.localPlayer.y, teleport: this.localTeleported });
+        if (this.pendingMoves.length > this.maxPendingMoves) this.pendingMoves.shift();
+        this.lastSentPos = { x: this.localPlayer.x, y: this.localPlayer.y };
+        this.localTeleported = false;
+    }
+
+    // Start from the server's position for our player (which includes every move up to
+    // `ack`), replay the moves still in flight, then whatever hasn't been sent yet.
+    // With no disagreement this lands exactly where we already are.
+    reconcileLocalPlayer(x, y, ack) {
+        if (!this.localPlayer || !Number.isInteger(ack)) return;
+
+        this.pendingMoves = this.pendingMoves.filter(move => move.seq > ack);
+        let position = { x, y };
+        for (const move of this.pendingMoves) {
+            // Jumps (vents, respawn) are taken as-is by the server rather than stepped
+            position = move.teleport ? { x: move.x, y: move.y } : this.predictStep(position.x, position.y, move.dx, move.dy);
+        }
+
+        const unsentX = this.localPlayer.x - this.lastSentPos.x;
+        const unsentY = this.localPlayer.y - this.lastSentPos.y;
+        this.lastSentPos = position;
+        if (!this.localTeleported) {
+            position = this.predictStep(position.x, position.y, unsentX, unsentY);
+            this.localPlayer.x = position.x;
+            this.localPlayer.y = position.y;
+        }
+    }
+
+    // Drop in-flight moves and predict from where we stand now (new game, rejoin)
+    resetPrediction() {
+        this.pendingMoves = [];
+        this.lastSentPos = { x: this.localPlayer.x, y: this.localPlayer.y };
+        this.localTeleported = true;
+    }
+
     onGameStateChange(state) {
         // Don't change state if we're still in menu
         if (this.state === 'menu') {
@@ -4997,9 +6280,40 @@ export class Game {
             target.deathX = data.x;
             target.deathY = data.y;
             console.log(`Player ${data.targetId} was killed at (${data.x}, ${data.y})`);
+            // A victim caught mid-task (or mid-scan) stops doing it
+            target.doingTask = false;
+            target.currentTaskName = null;
+            target.isScanningMedBay = false;
 
             // Play kill sound for all players (synced)
             this.playKillSound();
+
+            // We just became a ghost - drop out of anything only the living can use
+            if (target === this.localPlayer) {
+                if (this.activeTask) {
+                    if (this.network && this.network.connected) {
+                        this.network.sendTaskCancel();
+                    }
+                    this.activeTask.close();
+                    this.activeTask = null;
+                }
+                this.closeCameras();
+                this.vitalsOpen = false;
+                this.adminMapOpen = false;
+            }
+        }
+
+        // Our own kill was accepted - start the cooldown
+        if (data.killerId === this.network?.playerId) {
+            this.killCooldown = this.killCooldownMax;
+        }
+    }
+
+    onKillRejected(data) {
+        console.log(`Kill rejected by server: ${data.reason}`);
+        // A Guardian Angel's shield still costs the killer their cooldown
+        if (data.protected) {
+            this.killCooldown = this.killCooldownMax;
         }
     }
 
@@ -5013,22 +6327,19 @@ export class Game {
         // Start the sabotage locally
         const type = data.sabotageType;
         if (type === 'reactor' || type === '02') {
-            this.startCriticalSabotage(type);
+            // Countdown, panel holds and the O2 code arrive separately in critical_state
+            console.log(`Critical sabotage ${type} (from network)!`);
+        } else if (type === 'electrical') {
+            // Switch positions arrive separately in lights_state
+            console.log('Lights sabotaged (from network)!');
+        } else if (type === 'comms') {
+            // Dial target arrives separately in comms_state
+            console.log('Communications disabled (from network)!');
+        } else if (type === 'doors') {
+            // Which doors are shut arrives separately in doors_state (doors don't sound the alarm)
+            console.log(`Doors locked in ${data.room} (from network)!`);
         } else {
-            // Handle non-critical sabotages
-            switch (type) {
-                case 'electrical':
-                    console.log('Lights sabotaged (from network)!');
-                    // TODO: Reduce vision for crewmates
-                    break;
-                case 'comms':
-                    console.log('Communications disabled (from network)!');
-                    break;
-                case 'doors':
-                    console.log('Doors locked (from network)!');
-                    break;
-            }
-            // Play alarm sound for non-critical sabotages too
+            // Play alarm sound for any other non-critical sabotage
             this.playSabotageAlarm();
         }
     }
@@ -5052,6 +6363,13 @@ export class Game {
         }
     }
 
+    // Server-side vent time limit ran out before our own auto-eject did
+    onVentEjected(data) {
+        if (this.localPlayer?.inVent && this.currentVent) {
+            this.exitVent();
+        }
+    }
+
     // Sound sync - play sound when another player triggers it
     onPlaySound(data) {
         switch (data.sound) {
@@ -5084,7 +6402,7 @@ export class Game {
 
     // Imposter action: Try to kill nearby crewmate
     tryKill() {
-        if (!this.localPlayer || !this.localPlayer.isImpostor) return;
+        if (!this.localPlayer || !this.localPlayer.isImpostor || this.localPlayer.isDead) return;
 
         // Check if on cooldown
         if (this.killCooldown > 0) {
@@ -5110,7 +6428,11 @@ export class Game {
             }
         }
 
-        if (nearestTarget) {
+        if (nearestTarget && this.network && this.network.connected) {
+            // Online the server validates range/line of sight and answers with player_killed
+            // (cooldown starts in onPlayerKilled) or kill_rejected
+            this.network.killPlayer(nearestTarget.id);
+        } else if (nearestTarget) {
             console.log(`Killed ${nearestTarget.name}!`);
             nearestTarget.isDead = true;
             nearestTarget.deathX = nearestTarget.x;
@@ -5121,11 +6443,6 @@ export class Game {
 
             // Start cooldown
             this.killCooldown = this.killCooldownMax;
-
-            // Send kill event to network
-            if (this.network && this.network.connected) {
-                this.network.killPlayer(nearestTarget.id);
-            }
         } else {
             console.log('No valid target in range');
         }
@@ -5133,7 +6450,7 @@ export class Game {
 
     // Imposter action: Try to enter/exit vent
     tryVent() {
-        if (!this.localPlayer || !this.localPlayer.isImpostor) return;
+        if (!this.canVent()) return;
 
         // If already in vent, clicking vent button exits
         if (this.localPlayer.inVent) {
@@ -5198,6 +6515,11 @@ export class Game {
         this.localPlayer.ventAnimation = 'enter';
         this.localPlayer.ventAnimTime = 0;
 
+        // Hop onto the vent - the server pins venting players to the vent's position
+        this.localPlayer.x = vent.x;
+        this.localPlayer.y = vent.y;
+        this.localTeleported = true;
+
         // Set up vent state (will be fully in vent when animation completes)
         this.currentVent = vent;
         this.ventTimer = 0;
@@ -5248,6 +6570,7 @@ export class Game {
         // Move player position to target vent
         this.localPlayer.x = targetVent.x;
         this.localPlayer.y = targetVent.y;
+        this.localTeleported = true;
         this.currentVent = targetVent;
 
         // Rebuild arrows for new vent's connections
@@ -5357,7 +6680,7 @@ export class Game {
 
     // Try to report a dead body
     tryReportBody() {
-        if (!this.localPlayer) return;
+        if (!this.localPlayer || this.localPlayer.isDead || this.hideAndSeek) return;
 
         const reportRange = 150;
 
@@ -5400,9 +6723,21 @@ export class Game {
         }
 
         // Check sabotage button hitboxes
-        if (this.sabotageButtonHitboxes && this.sabotageCooldown <= 0) {
+        if (this.sabotageButtonHitboxes) {
             for (const btn of this.sabotageButtonHitboxes) {
                 if (x >= btn.x && x <= btn.x + btn.w && y >= btn.y && y <= btn.y + btn.h) {
+                    // Doors have their own per-room cooldown and don't start the shared one
+                    if (btn.name === 'doors') {
+                        if ((this.doorCooldowns[btn.room] || 0) > 0) return;
+                        console.log(`Doors triggered: ${btn.room}`);
+                        this.triggerDoorSabotage(btn.room);
+                        this.sabotageMenuOpen = false;
+                        return;
+                    }
+
+                    if (this.sabotageCooldown > 0) return;
+                    // Only one reactor / O2 / lights / comms sabotage can run at a time
+                    if (this.activeSabotage || this.lightsOut || this.commsDown) return;
                     console.log(`Sabotage triggered: ${btn.name}`);
                     this.triggerSabotage(btn.name);
                     // Start cooldown for ALL buttons
@@ -5503,6 +6838,18 @@ export class Game {
         this.meetingActive = false;
         this.activeTask = null;
         this.activeSabotage = null;
+        this.lightsOut = false;
+        this.lightsVisionFactor = 1;
+        this.commsDown = false;
+        this.map.openAllDoors();
+        this.doorCooldowns = {};
+        this.doorCloseTimers = {};
+        this.camerasOpen = false;
+        this.camerasInUse = false;
+        this.vitalsOpen = false;
+        this.vitals = [];
+        this.setLocalRole('crewmate');
+        this.hideAndSeek = null;
         this.sabotageMenuOpen = false;
         this.chatMessages = [];
         this.chatInput = '';
@@ -5510,6 +6857,7 @@ export class Game {
 
         // Reset tasks
         this.tasks = [];
+        this.taskProgress = null;
         this.initTasks();
 
         // Play theme music
@@ -5548,6 +6896,146 @@ export class Game {
         this.toastTimer = 3; // Show for 3 seconds
     }
 
+    // Back after a dropped connection: the server held our slot, so catch up on
+    // everything we missed from its snapshot
+    onRejoined(data) {
+        const roomInfo = data.roomInfo;
+        if (data.gameOver) {
+            if (this.state !== 'gameover') this.onGameOver(data.gameOver);
+            return;
+        }
+        if (roomInfo.state === 'lobby') {
+            this.onReturnedToLobby({ roomInfo });
+            return;
+        }
+
+        // The game started while we were gone
+        if (this.state !== 'playing' && this.state !== 'meeting') {
+            this.network.onGameStart({ ...data, players: roomInfo.players, settings: roomInfo.settings });
+        }
+        if (!this.localPlayer) return;
+
+        // Drop whoever left, add anyone we don't know yet and take the server's word on who is dead
+        const ids = new Set(roomInfo.players.map(p => p.id));
+        for (const id of [...this.players.keys()]) {
+            if (!ids.has(id)) this.players.delete(id);
+        }
+        for (const playerData of roomInfo.players) {
+            this.onPlayerJoin(playerData);
+            const player = this.players.get(playerData.id);
+            player.isDead = playerData.isDead;
+            player.isImpostor = player === this.localPlayer ? data.isImpostor : data.impostorIds.includes(playerData.id);
+            player.disguise = null;
+            player.snapshots = []; // Anything buffered is from before we dropped
+            delete player.deathX;
+            delete player.deathY;
+            if (player !== this.localPlayer) {
+                player.x = playerData.x;
+                player.y = playerData.y;
+            }
+        }
+        this.localPlayer.x = data.x;
+        this.localPlayer.y = data.y;
+        this.resetPrediction();
+        for (const body of data.bodies) {
+            const player = this.players.get(body.id);
+            if (player) {
+                player.deathX = body.x;
+                player.deathY = body.y;
+            }
+        }
+        for (const disguise of data.disguises) {
+            this.onPlayerShapeshift(disguise);
+        }
+
+        this.setLocalRole(data.role);
+        this.onAbilityState(data.ability);
+
+        // Task steps the server never heard about have to be done again
+        const completedSteps = new Map(data.tasks.map(t => [t.id, t.completedSteps]));
+        for (const task of this.tasks) {
+            if (!completedSteps.has(task.id)) continue;
+            task.completed = task.step < completedSteps.get(task.id);
+            task.enabled = task.step <= completedSteps.get(task.id);
+        }
+        this.onTaskProgress(data.taskProgress);
+
+        this.onLightsState(roomInfo.lights);
+        this.onCommsState(roomInfo.comms);
+        this.onDoorsState(roomInfo.doors);
+        this.onCriticalState(roomInfo.critical);
+        this.onHideAndSeekState(data.hideAndSeek);
+
+        // The server took us off the cameras when we dropped
+        this.onCamerasState(roomInfo.cameras);
+        if (this.camerasOpen) this.network.sendCamerasUse(true);
+
+        if (data.meeting) {
+            if (!this.meetingActive) {
+                this.triggerMeeting(data.meeting.type, data.meeting.callerId, data.meeting.bodyId);
+            }
+            for (const voterId of data.meeting.voterIds) {
+                const voter = this.players.get(voterId);
+                if (voter) voter.hasVoted = true;
+            }
+            if (data.meeting.result) this.onMeetingResult(data.meeting.result);
+            this.onMeetingPhase(data.meeting);
+        } else if (this.meetingActive) {
+            // The meeting ended while we were away - positions above are already the server's
+            this.endMeetingAndRespawn({});
+        }
+
+        this.onGameStateChange(roomInfo.state);
+    }
+
+    // Our slot was given up (or the room is gone) - nothing to go back to
+    onRejoinFailed(data) {
+        console.log('Could not rejoin:', data.message);
+        this.quitToMainMenu();
+    }
+
+    // Replay viewer (replay.html?id=...#key=...) - load a match the server recorded and play it back
+    async startReplay(replayId, accessKey) {
+        this.state = 'replay_loading'; // Black screen until the log arrives
+        this.mainMenu.active = false;
+        this.stopThemeMusic();
+        try {
+            const response = await fetch(`/api/replays/${encodeURIComponent(replayId)}`, {
+                headers: { Authorization: `Bearer ${accessKey}` }
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const replay = await response.json();
+            this.applyGameSettings(replay.settings); // Vision radii for the per-player vision toggle
+            this.replayScreen.load(replay);
+            this.state = 'replay';
+            console.log(`Replay ${replayId} loaded: ${replay.events.length} events`);
+        } catch (e) {
+            console.error('Failed to load replay:', e);
+            this.state = 'menu';
+            this.mainMenu.active = true;
+        }
+    }
+
+    // Joined a room mid-game - watch it until the host takes everyone back to the lobby
+    onSpectateStarted(data) {
+        this.state = 'spectating';
+        this.lobbyScreen.hide();
+        this.onlineScreen.hide();
+        this.stopThemeMusic();
+        this.spectatorScreen.show(data.code, data.delayMs, data.roster);
+    }
+
+    onSpectateFrame(data) {
+        this.spectatorScreen.onFrame(data);
+    }
+
+    // The room closed under us, or there was no seat for us in the next lobby
+    onSpectateEnded(data) {
+        if (this.state !== 'spectating') return;
+        console.log('Stopped spectating:', data.message);
+        this.quitToMainMenu();
+    }
+
     // Called when server confirms return to lobby
     onReturnedToLobby(data) {
         console.log('Returned to lobby:', data);
@@ -5562,6 +7050,18 @@ export class Game {
         this.meetingPhase = 'none';
         this.activeTask = null;
         this.activeSabotage = null;
+        this.lightsOut = false;
+        this.lightsVisionFactor = 1;
+        this.commsDown = false;
+        this.map.openAllDoors();
+        this.doorCooldowns = {};
+        this.doorCloseTimers = {};
+        this.camerasOpen = false;
+        this.camerasInUse = false;
+        this.vitalsOpen = false;
+        this.vitals = [];
+        this.setLocalRole('crewmate');
+        this.hideAndSeek = null;
         this.sabotageTimer = 0;
         this.sabotageMenuOpen = false;
         this.chatMessages = [];
@@ -5578,6 +7078,7 @@ export class Game {
 
         // Reset tasks
         this.tasks = [];
+        this.taskProgress = null;
         this.initTasks();
 
         // Reset local player state
@@ -5596,7 +7097,7 @@ export class Game {
 
         // Properly reinitialize the game lobby screen
         if (data.roomInfo && this.gameLobbyScreen) {
-            const isHost = this.network.socket && data.roomInfo.hostId === this.network.socket.id;
+            const isHost = data.roomInfo.hostId === this.network.playerId;
             const roomCode = data.roomInfo.code;
             const localPlayerId = this.network?.playerId || this.network?.socket?.id;
 
@@ -5648,6 +7149,18 @@ export class Game {
         this.meetingActive = false;
         this.activeTask = null;
         this.activeSabotage = null;
+        this.lightsOut = false;
+        this.lightsVisionFactor = 1;
+        this.commsDown = false;
+        this.map.openAllDoors();
+        this.doorCooldowns = {};
+        this.doorCloseTimers = {};
+        this.camerasOpen = false;
+        this.camerasInUse = false;
+        this.vitalsOpen = false;
+        this.vitals = [];
+        this.setLocalRole('crewmate');
+        this.hideAndSeek = null;
         this.sabotageMenuOpen = false;
         this.chatMessages = [];
         this.chatInput = '';
@@ -5655,6 +7168,7 @@ export class Game {
 
         // Reset tasks
         this.tasks = [];
+        this.taskProgress = null;
         this.initTasks();
 
         // Go to lobby browser
@@ -5680,6 +7194,7 @@ export class Game {
         if (this.network) {
             this.network.leaveRoom();
         }
+        this.spectatorScreen.hide();
 
         // Reset game state
         this.gameOverWinner = null;
@@ -5693,6 +7208,18 @@ export class Game {
         this.meetingPhase = 'none';
         this.activeTask = null;
         this.activeSabotage = null;
+        this.lightsOut = false;
+        this.lightsVisionFactor = 1;
+        this.commsDown = false;
+        this.map.openAllDoors();
+        this.doorCooldowns = {};
+        this.doorCloseTimers = {};
+        this.camerasOpen = false;
+        this.camerasInUse = false;
+        this.vitalsOpen = false;
+        this.vitals = [];
+        this.setLocalRole('crewmate');
+        this.hideAndSeek = null;
         this.sabotageMenuOpen = false;
         this.chatMessages = [];
         this.chatInput = '';
@@ -5700,6 +7227,7 @@ export class Game {
 
         // Reset tasks
         this.tasks = [];
+        this.taskProgress = null;
         this.initTasks();
 
         // Go to main menu
@@ -5720,21 +7248,31 @@ export class Game {
         const normalizedType = type.toLowerCase() === 'reactor' ? 'reactor' :
                                type.toLowerCase() === 'o2' || type === '02' ? '02' : type.toLowerCase();
 
-        // Critical sabotages (reactor, O2) start a countdown
+        // Critical sabotages (reactor, O2) start a countdown.
+        // Online the server starts it and broadcasts critical_state.
         if (normalizedType === 'reactor' || normalizedType === '02') {
-            this.startCriticalSabotage(normalizedType);
+            if (!this.network?.connected) {
+                this.startCriticalSabotage(normalizedType);
+            }
         } else {
             // Non-critical sabotages (lights, comms, doors)
             switch (normalizedType) {
                 case 'electrical':
                     console.log('Lights sabotaged!');
-                    // TODO: Reduce vision for crewmates
+                    // Online the server rolls the switches and broadcasts lights_state
+                    if (!this.network?.connected) {
+                        this.startLightsSabotage(this.rollLightSwitches());
+                    }
                     break;
                 case 'comms':
                     console.log('Communications disabled!');
+                    // Online the server picks the dial target and broadcasts comms_state
+                    if (!this.network?.connected) {
+                        this.startCommsSabotage(0.15 + Math.random() * 0.7);
+                    }
                     break;
                 case 'doors':
-                    console.log('Doors locked!');
+                    // Door buttons go through triggerDoorSabotage() with the room
                     break;
             }
         }
@@ -5788,6 +7326,14 @@ export class Game {
         this.activeSabotage = null;
         this.sabotageTimer = 0;
 
+        for (const panel of [...this.reactorPanels, ...this.o2Keypads]) {
+            // Someone else finished the fix while we had the panel open
+            if (panel.active && panel.sabotageActive) panel.showSuccess = true;
+            panel.sabotageActive = false;
+            panel.remoteHeld = false;
+            panel.sharedCode = null;
+        }
+
         // Stop alarm sound
         if (this.sabotageAlarmSound) {
             this.sabotageAlarmSound.pause();
@@ -5795,6 +7341,185 @@ export class Game {
         }
     }
 
+    // Our hand went on / off a reactor panel. Online the server pairs up the two holds.
+    holdReactorPanel(index, holding) {
+        if (this.network && this.network.connected) {
+            this.network.sendReactorHold(index, holding);
+        }
+    }
+
+    // An O2 keypad accepted the code locally. Online the server checks it too.
+    enterO2Code(index, code) {
+        if (this.network && this.network.connected) {
+            this.network.sendO2Code(index, code);
+        }
+    }
+
+    // Authoritative reactor / O2 state from the server: countdown, held panels, solved keypads
+    onCriticalState(data) {
+        if (!data.active) {
+            this.stopCriticalSabotage();
+            return;
+        }
+
+        if (this.activeSabotage !== data.type) {
+            this.startCriticalSabotage(data.type);
+        }
+        this.sabotageTimer = data.remainingMs / 1000;
+
+        if (data.type === 'reactor') {
+            this.reactorPanels.forEach((panel, index) => {
+                // Our own hold is tracked locally; the server tells us about everyone else's
+                panel.remoteHeld = data.held[index] && !panel.isHolding;
+            });
+        } else {
+            this.o2Keypads.forEach((keypad, index) => {
+                keypad.sharedCode = data.code;
+                if (!keypad.showSuccess) keypad.targetCode = data.code;
+                if (data.solved[index]) {
+                    // A keypad showing CORRECT finishes on its own timer
+                    if (keypad.showSuccess) return;
+                    if (keypad.active) keypad.close();
+                    keypad.sabotageActive = false;
+                    keypad.completed = true;
+                } else if (keypad.showSuccess) {
+                    // The server didn't take our code - let the keypad be tried again
+                    keypad.showSuccess = false;
+                    keypad.enteredCode = '';
+                }
+            });
+        }
+    }
+
+    // Shut every door of a room for doorCloseTime seconds
+    triggerDoorSabotage(room) {
+        this.doorCooldowns[room] = this.doorCooldownMax;
+
+        // Online the server shuts the doors, reopens them and broadcasts doors_state
+        if (this.network && this.network.connected) {
+            this.network.sendSabotage('doors', { room });
+            return;
+        }
+
+        this.map.setRoomDoorsClosed(room, true);
+        this.doorCloseTimers[room] = this.doorCloseTime;
+    }
+
+    // Authoritative door state from the server: rooms currently shut and per-room cooldowns
+    onDoorsState(data) {
+        this.map.setClosedRooms(data.closed || []);
+        this.doorCooldowns = {};
+        for (const [room, ms] of Object.entries(data.cooldowns || {})) {
+            this.doorCooldowns[room] = ms / 1000;
+        }
+    }
+
+    // Flip a random subset of the Electrical switches down (at least one)
+    rollLightSwitches() {
+        const switches = Array.from({ length: 5 }, () => Math.random() < 0.5);
+        if (switches.every(on => on)) {
+            switches[Math.floor(Math.random() * switches.length)] = false;
+        }
+        return switches;
+    }
+
+    // Turn the lights off: crewmate vision fades down and the Electrical panel becomes fixable
+    startLightsSabotage(switches) {
+        this.lightsOut = true;
+        if (this.lightsPanel) {
+            this.lightsPanel.setSwitches(switches);
+            this.lightsPanel.sabotageActive = true;
+            this.lightsPanel.completed = false;
+            this.lightsPanel.showSuccess = false;
+        }
+    }
+
+    fixLights() {
+        if (!this.lightsOut) return;
+
+        console.log('Lights have been fixed!');
+        this.lightsOut = false;
+        if (this.lightsPanel) {
+            this.lightsPanel.setSwitches(this.lightsPanel.switches.map(() => true));
+            this.lightsPanel.sabotageActive = false;
+            // Someone else flipped the last switch while we had the panel open
+            if (this.lightsPanel.active) this.lightsPanel.showSuccess = true;
+        }
+    }
+
+    // A switch was flipped on our panel. Online the server owns the switch state.
+    toggleLightSwitch(index) {
+        if (this.network && this.network.connected) {
+            this.network.sendLightSwitch(index);
+            return;
+        }
+
+        if (this.lightsPanel.allSwitchesOn()) {
+            this.fixLights();
+        }
+    }
+
+    // Authoritative lights state from the server (sabotage start, each switch flip, fix)
+    onLightsState(data) {
+        if (data.active && this.lightsOut) {
+            this.lightsPanel?.setSwitches(data.switches);
+        } else if (data.active) {
+            this.startLightsSabotage(data.switches);
+        } else {
+            this.fixLights();
+        }
+    }
+
+    // Black out comms: task list, task arrows and admin go dark until the dial is retuned
+    startCommsSabotage(frequency) {
+        this.commsDown = true;
+        if (this.commsPanel) {
+            this.commsPanel.targetFrequency = frequency;
+            this.commsPanel.sabotageActive = true;
+            this.commsPanel.completed = false;
+            this.commsPanel.showSuccess = false;
+            this.commsPanel.lockTimer = 0;
+        }
+    }
+
+    fixComms() {
+        if (!this.commsDown) return;
+
+        console.log('Communications restored!');
+        this.commsDown = false;
+        if (this.commsPanel) {
+            this.commsPanel.sabotageActive = false;
+            // Someone else retuned the dial while we had the panel open
+            if (this.commsPanel.active) this.commsPanel.showSuccess = true;
+        }
+    }
+
+    // Our dial locked onto the carrier. Online the server checks it and clears the sabotage.
+    tuneComms(frequency) {
+        if (this.network && this.network.connected) {
+            this.network.sendCommsFix(frequency);
+            return;
+        }
+
+        this.fixComms();
+    }
+
+    // Authoritative comms state from the server (sabotage start, rejected fix, fix)
+    onCommsState(data) {
+        if (data.active && this.commsDown) {
+            // Our fix was rejected - keep tuning
+            if (this.commsPanel) {
+                this.commsPanel.targetFrequency = data.frequency;
+                this.commsPanel.showSuccess = false;
+                this.commsPanel.lockTimer = 0;
+            }
+        } else if (data.active) {
+            this.startCommsSabotage(data.frequency);
+        } else {
+            this.fixComms();
+        }
+    }
+
     // Called when sabotage timer runs out - impostors win
     onSabotageTimerExpired() {
         console.log('SABOTAGE TIMER EXPIRED - IMPOSTORS WIN!');
@@ -5807,16 +7532,44 @@ export class Game {
         this.activeSabotage = null;
         this.sabotageTimer = 0;
 
-        // Host reports the sabotage win so the server emits authoritative game_over
-        // (with real impostor IDs for the defeat screen). Local call below is a fallback.
-        if (this.gameLobbyScreen?.isHost && this.network) {
-            this.network.sendAction('sabotage_win', {});
-        }
-
         // Trigger impostor victory - use proper game over system
         this.triggerGameOver('impostors');
     }
 
+    // Authoritative meeting outcome from the server (replaces calculateVoteResults online)
+    onMeetingResult(data) {
+        if (!this.meetingActive) return;
+
+        this.voteMap = new Map(Object.entries(data.votes || {}));
+        this.wasTie = data.isTie;
+        this.ejectedPlayer = data.ejectedId ? this.players.get(data.ejectedId) || null : null;
+        this.ejectedWasImpostor = data.ejectedId ? data.wasImpostor : null;
+
+        console.log('Meeting result from server:', data);
+    }
+
+    // Server-driven meeting phase change with an absolute deadline
+    onMeetingPhase(data) {
+        this.serverClockOffset = data.serverNow - Date.now();
+
+        if (data.phase === 'none') {
+            if (this.meetingActive) {
+                this.endMeetingAndRespawn(data.positions);
+            }
+            return;
+        }
+        if (!this.meetingActive) return;
+
+        const previousPhase = this.meetingPhase;
+        this.meetingPhase = data.phase;
+        this.meetingEndsAt = data.endsAt;
+
+        if (data.phase === 'ejection' && previousPhase !== 'ejection') {
+            this.startEjectionScreen();
+        }
+        console.log(`Meeting phase: ${data.phase}`);
+    }
+
     onPlayerVoted(data) {
         // A player voted
         const voter = this.players.get(data.voterId);
@@ -5846,6 +7599,14 @@ export class Game {
         // Stop game ambience
         this.stopAmbience();
 
+        // A reactor / O2 win ends the game with the alarm still sounding
+        this.activeSabotage = null;
+        this.sabotageTimer = 0;
+        if (this.sabotageAlarmSound) {
+            this.sabotageAlarmSound.pause();
+            this.sabotageAlarmSound.currentTime = 0;
+        }
+
         // Determine if local player won
         const impostorsWon = data.winner === 'impostors';
         const localIsImpostor = this.localPlayer ? this.localPlayer.isImpostor : false;
@@ -5860,6 +7621,11 @@ export class Game {
         }
     }
 
+    // Global task bar update from the server
+    onTaskProgress(data) {
+        this.taskProgress = data;
+    }
+
     // Task sync handlers
     onPlayerTaskStart(data) {
         const player = this.players.get(data.playerId);
@@ -2,6 +2,9 @@
 // Players wait here and can customize settings before starting
 
 import { Player } from './Player.js';
+import { getDefaultSettings, MIN_PLAYERS_TO_START, SETTINGS_PAGES, formatSetting, stepSetting } from './GameSettings.js';
+
+const SETTINGS_ROWS_PER_COLUMN = 8; // Longer settings pages wrap into a second column
 
 export class GameLobbyScreen {
     constructor(network = null) {
@@ -34,25 +37,8 @@ export class GameLobbyScreen {
         // List of players in lobby
         this.players = new Map();
 
-        // Lobby settings
-        this.settings = {
-            maxPlayers: 10,
-            impostors: 1,
-            confirmEjects: true,
-            emergencyMeetings: 1,
-            emergencyCooldown: 15,
-            discussionTime: 15,
-            votingTime: 120,
-            playerSpeed: 1.0,
-            crewmateVision: 1.0,
-            impostorVision: 1.5,
-            killCooldown: 45,
-            killDistance: 1, // 0=short, 1=normal, 2=long
-            visualTasks: true,
-            commonTasks: 1,
-            longTasks: 1,
-            shortTasks: 2
-        };
+        // Lobby settings (defaults from the shared schema; the server sends the room's real values)
+        this.settings = getDefaultSettings();
 
         // Game code for this lobby
         this.gameCode = this.generateGameCode();
@@ -65,6 +51,12 @@ export class GameLobbyScreen {
         this.settingsButton = null;
         this.leaveButton = null;
 
+        // Settings panel (CUSTOMIZE button) - everyone can look, only the host changes values
+        this.settingsOpen = false;
+        this.settingsPage = 0;
+        this.settingsPanel = null; // Panel bounds, clicks outside close it
+        this.settingsHitboxes = []; // Tabs, arrows and close button, rebuilt every frame
+
         // Input state for player movement
         this.input = {
             up: false,
@@ -455,6 +447,7 @@ export class GameLobbyScreen {
 
     hide() {
         this.active = false;
+        this.settingsOpen = false;
         this.players.clear();
         this.localPlayer = null;
         this.currentFrame = 0;
@@ -475,6 +468,9 @@ export class GameLobbyScreen {
         if (!this.active) return;
 
         switch (e.code) {
+            case 'Escape':
+                this.settingsOpen = false;
+                break;
             case 'KeyW':
             case 'ArrowUp':
                 this.input.up = true;
@@ -555,6 +551,7 @@ export class GameLobbyScreen {
         // Update all players. Remote players' walk animation MUST advance per-frame here
         // (driven by dt), not once per network packet — otherwise their legs cycle several
         // times slower than the local player's. Also interpolate remote positions smoothly.
+        const renderTime = this.network ? this.network.getInterpolationTime() : 0;
         for (const player of this.players.values()) {
             if (player.isSpawning) {
                 player.updateSpawnAnimation(dt);
@@ -563,12 +560,8 @@ export class GameLobbyScreen {
             // Local player's movement + animation is handled in its dedicated block below.
             if (player === this.localPlayer || player.isLocalPlayer) continue;
 
-            // Smoothly interpolate toward the last networked position.
-            if (player.targetX !== undefined) {
-                const t = Math.min(1, dt * 12);
-                player.x += (player.targetX - player.x) * t;
-                player.y += (player.targetY - player.y) * t;
-            }
+            // Play back the server snapshots.
+            player.interpolate(renderTime);
 
             // Advance the walk animation every frame, exactly like the local player.
             if (player.moving) {
@@ -659,21 +652,14 @@ export class GameLobbyScreen {
         }
     }
 
-    // Update remote player from network data. Only stores the target state — the actual
-    // position interpolation and walk-animation stepping happen per-frame in update().
-    updatePlayer(data) {
-        const player = this.players.get(data.id);
-        if (player && !player.isLocalPlayer) {
-            // Snap on first update / big jumps, otherwise interpolate toward target in update().
-            if (player.targetX === undefined || Math.hypot(data.x - player.x, data.y - player.y) > 250) {
-                player.x = data.x;
-                player.y = data.y;
+    // Buffer remote players' states from a server snapshot. The actual position
+    // interpolation and walk-animation stepping happen per-frame in update().
+    onSnapshot(data) {
+        for (const state of data.players) {
+            const player = this.players.get(state.id);
+            if (player && !player.isLocalPlayer) {
+                player.pushSnapshot(state, data.time);
             }
-            player.targetX = data.x;
-            player.targetY = data.y;
-            const speed = Math.hypot(data.velocityX || 0, data.velocityY || 0);
-            player.moving = (data.moving || false) || speed > 1;
-            player.facingLeft = data.facingLeft || false;
         }
     }
 
@@ -847,7 +833,7 @@ export class GameLobbyScreen {
         ctx.fillStyle = '#FFFFFF';
         ctx.font = '22px "Varela Round", Arial';
         ctx.textAlign = 'center';
-        ctx.fillText(`${this.players.size}/10`, backer2X + backer2W / 2, backer2Y + backer2H / 2 + 8);
+        ctx.fillText(`${this.players.size}/${this.settings.maxPlayers}`, backer2X + backer2W / 2, backer2Y + backer2H / 2 + 8);
 
         // Official START sprite (laptop) - show for everyone, greyed out for non-hosts or during countdown
         if (guiButtons) {
@@ -859,7 +845,7 @@ export class GameLobbyScreen {
 
             // Grey out if not host OR during countdown OR not enough players
             const isCountingDown = this.startCountdown > 0;
-            const notEnoughPlayers = this.players.size < 4;
+            const notEnoughPlayers = this.players.size < MIN_PLAYERS_TO_START;
             if (!this.isHost || isCountingDown || notEnoughPlayers) {
                 ctx.globalAlpha = 0.4;
             }
@@ -888,7 +874,7 @@ export class GameLobbyScreen {
 
             // Draw hint message ABOVE start button when not enough players
             if (notEnoughPlayers) {
-                const hintText = 'At least 4 players must join to start';
+                const hintText = `At least ${MIN_PLAYERS_TO_START} players must join to start`;
                 const hintX = laptopX + startSpriteW / 2;
                 const hintY = laptopY - 25;
 
@@ -903,8 +889,8 @@ export class GameLobbyScreen {
 
             // Only make clickable for host when NOT counting down and enough players
             if (this.isHost && !isCountingDown) {
-                // Require 4 players minimum to start
-                const notEnoughPlayers = this.players.size < 4;
+                // Same minimum the server enforces
+                const notEnoughPlayers = this.players.size < MIN_PLAYERS_TO_START;
                 this.startButton = {
                     x: laptopX,
                     y: laptopY,
@@ -923,13 +909,164 @@ export class GameLobbyScreen {
             this.startButton = null;
         }
 
+        // CUSTOMIZE button right of the player count
+        const settingsW = 150;
+        this.settingsButton = { x: backer2X + backer2W + 20, y: backer2Y, w: settingsW, h: backer2H };
+        if (guiButtons) {
+            this.draw9Slice(ctx, guiButtons, { x: 303, y: 120, w: 56, h: 56 }, this.settingsButton, 15);
+        }
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 20px "Varela Round", Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('CUSTOMIZE', this.settingsButton.x + settingsW / 2, backer2Y + backer2H / 2 + 7);
+
         // Clear leave button for now
         this.leaveButton = null;
+
+        if (this.settingsOpen) {
+            this.renderSettingsPanel(ctx, guiButtons, screenW, screenH);
+        }
+    }
+
+    renderSettingsPanel(ctx, guiButtons, screenW, screenH) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(0, 0, screenW, screenH);
+
+        // Size for the biggest page so the panel doesn't jump around between tabs
+        const columns = Math.max(...SETTINGS_PAGES.map(page => Math.ceil(page.rows.length / SETTINGS_ROWS_PER_COLUMN)));
+        const columnW = 400;
+        const rowH = 34;
+        const panelW = columns * columnW + 40;
+        const panelH = 190 + SETTINGS_ROWS_PER_COLUMN * rowH;
+        const panelX = (screenW - panelW) / 2;
+        const panelY = (screenH - panelH) / 2;
+        this.settingsPanel = { x: panelX, y: panelY, w: panelW, h: panelH };
+        this.settingsHitboxes = [];
+
+        if (guiButtons) {
+            this.draw9Slice(ctx, guiButtons, { x: 303, y: 120, w: 56, h: 56 }, this.settingsPanel, 15);
+        } else {
+            ctx.fillStyle = '#1f3a4d';
+            ctx.fillRect(panelX, panelY, panelW, panelH);
+        }
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 28px "Varela Round", Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('GAME SETTINGS', screenW / 2, panelY + 45);
+
+        // Tabs
+        const tabW = (panelW - 40) / SETTINGS_PAGES.length;
+        const tabY = panelY + 65;
+        SETTINGS_PAGES.forEach((page, i) => {
+            const tab = { x: panelX + 20 + i * tabW, y: tabY, w: tabW - 6, h: 32 };
+            ctx.fillStyle = i === this.settingsPage ? 'rgba(255, 255, 255, 0.3)' : 'rgba(0, 0, 0, 0.3)';
+            ctx.fillRect(tab.x, tab.y, tab.w, tab.h);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = 'bold 16px "Varela Round", Arial';
+            ctx.fillText(page.title, tab.x + tab.w / 2, tab.y + 22);
+            this.settingsHitboxes.push({ ...tab, action: 'tab', page: i });
+        });
+
+        // Rows: label on the left, value between the host's arrows on the right
+        const rowsY = tabY + 50;
+        SETTINGS_PAGES[this.settingsPage].rows.forEach((row, i) => {
+            const colX = panelX + 20 + Math.floor(i / SETTINGS_ROWS_PER_COLUMN) * columnW;
+            const y = rowsY + (i % SETTINGS_ROWS_PER_COLUMN) * rowH;
+            const value = this.settings[row.key];
+
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = '17px "Varela Round", Arial';
+            ctx.textAlign = 'left';
+            ctx.fillText(row.label, colX + 10, y + 22);
+            ctx.font = 'bold 17px "Varela Round", Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(formatSetting(row, value), colX + columnW - 80, y + 22);
+
+            if (this.isHost) {
+                this.drawSettingsArrow(ctx, row.key, -1, colX + columnW - 160, y + 3);
+                this.drawSettingsArrow(ctx, row.key, 1, colX + columnW - 28, y + 3);
+            }
+        });
+
+        ctx.textAlign = 'center';
+        if (!this.isHost) {
+            ctx.fillStyle = '#CCCCCC';
+            ctx.font = '15px "Varela Round", Arial';
+            ctx.fillText('Only the host can change settings', screenW / 2, panelY + panelH - 62);
+        }
+
+        const close = { x: screenW / 2 - 60, y: panelY + panelH - 50, w: 120, h: 34 };
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.fillRect(close.x, close.y, close.w, close.h);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 18px "Varela Round", Arial';
+        ctx.fillText('Close', screenW / 2, close.y + 23);
+        this.settingsHitboxes.push({ ...close, action: 'close' });
+    }
+
+    // Step arrow for one setting; greyed out (and not clickable) at the end of its range
+    drawSettingsArrow(ctx, key, dir, x, y) {
+        const size = 28;
+        const enabled = stepSetting(key, this.settings[key], dir) !== this.settings[key];
+
+        ctx.fillStyle = enabled ? '#FFFFFF' : 'rgba(255, 255, 255, 0.25)';
+        ctx.beginPath();
+        if (dir < 0) {
+            ctx.moveTo(x + 6, y + size / 2);
+            ctx.lineTo(x + size - 6, y + 5);
+            ctx.lineTo(x + size - 6, y + size - 5);
+        } else {
+            ctx.moveTo(x + size - 6, y + size / 2);
+            ctx.lineTo(x + 6, y + 5);
+            ctx.lineTo(x + 6, y + size - 5);
+        }
+        ctx.closePath();
+        ctx.fill();
+
+        if (enabled) {
+            this.settingsHitboxes.push({ x, y, w: size, h: size, action: 'step', key, dir });
+        }
+    }
+
+    handleSettingsClick(x, y) {
+        const hit = this.settingsHitboxes.find(box => this.isInBounds(x, y, box));
+        if (!hit) {
+            // Clicking off the panel closes it
+            if (this.settingsPanel && this.isInBounds(x, y, this.settingsPanel)) return null;
+            this.settingsOpen = false;
+            return 'settings';
+        }
+
+        if (hit.action === 'close') {
+            this.settingsOpen = false;
+        } else if (hit.action === 'tab') {
+            this.settingsPage = hit.page;
+        } else if (hit.action === 'step') {
+            this.changeSetting(hit.key, stepSetting(hit.key, this.settings[hit.key], hit.dir));
+        }
+        return 'settings';
+    }
+
+    // Host edits go to the server, which checks them against the shared schema and sends
+    // the room's settings back to everyone in settings_updated
+    changeSetting(key, value) {
+        if (!this.isHost || value === this.settings[key]) return;
+        if (this.network && this.network.connected) {
+            this.network.updateSettings({ [key]: value });
+        } else {
+            this.updateSettings({ [key]: value });
+        }
     }
 
     handleClick(x, y) {
         if (!this.active) return null;
 
+        // The settings panel sits on top of everything else
+        if (this.settingsOpen) {
+            return this.handleSettingsClick(x, y);
+        }
+
         // Check leave button
         if (this.leaveButton && this.isInBounds(x, y, this.leaveButton)) {
             return 'leave';
@@ -946,6 +1083,7 @@ export class GameLobbyScreen {
 
         // Check customize button
         if (this.settingsButton && this.isInBounds(x, y, this.settingsButton)) {
+            this.settingsOpen = true;
             return 'customize';
         }
 
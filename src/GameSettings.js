@@ -0,0 +1,118 @@
+// Game settings - lobby options and the gameplay values derived from them.
+// The schema lives in shared/game-settings.json so the server validates against the same file.
+
+import schema from '../shared/game-settings.json';
+
+export const SETTINGS_SCHEMA = schema.settings;
+export const KILL_RANGES = schema.killRanges; // killDistance 0/1/2 = short/normal/long, in game pixels
+export const BASE_VISION_RADIUS = schema.baseVisionRadius; // Vision radius at a 1.0x multiplier
+export const BASE_PLAYER_SPEED = schema.basePlayerSpeed; // Pixels per second at a 1.0x multiplier
+export const MIN_PLAYERS_TO_START = schema.minPlayersToStart; // The server refuses to start smaller games
+
+export function getDefaultSettings() {
+    const settings = {};
+    for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+        settings[key] = spec.default;
+    }
+    return settings;
+}
+
+// Lobby settings panel layout: one tab per page, rows in display order. `format` picks
+// how formatSetting() shows the value.
+export const SETTINGS_PAGES = [
+    {
+        title: 'Game',
+        rows: [
+            { key: 'map', label: 'Map' },
+            { key: 'gameMode', label: 'Game Mode', format: 'gameMode' },
+            { key: 'maxPlayers', label: 'Max Players' },
+            { key: 'numImpostors', label: '# Impostors' },
+            { key: 'playerSpeed', label: 'Player Speed', format: 'multiplier' },
+            { key: 'crewmateVision', label: 'Crewmate Vision', format: 'multiplier' },
+            { key: 'impostorVision', label: 'Impostor Vision', format: 'multiplier' },
+            { key: 'killCooldown', label: 'Kill Cooldown', format: 'seconds' },
+            { key: 'killDistance', label: 'Kill Distance', format: 'killDistance' },
+            { key: 'ventCooldown', label: 'Vent Cooldown', format: 'seconds' },
+            { key: 'maxVentTime', label: 'Max Time In Vents', format: 'seconds' },
+            { key: 'sabotageCooldown', label: 'Sabotage Cooldown', format: 'seconds' }
+        ]
+    },
+    {
+        title: 'Meetings',
+        rows: [
+            { key: 'confirmEjects', label: 'Confirm Ejects' },
+            { key: 'emergencyMeetings', label: 'Emergency Meetings' },
+            { key: 'emergencyCooldown', label: 'Emergency Cooldown', format: 'seconds' },
+            { key: 'discussionTime', label: 'Discussion Time', format: 'seconds' },
+            { key: 'votingTime', label: 'Voting Time', format: 'seconds' }
+        ]
+    },
+    {
+        title: 'Tasks',
+        rows: [
+            { key: 'visualTasks', label: 'Visual Tasks' },
+            { key: 'commonTasks', label: '# Common Tasks' },
+            { key: 'longTasks', label: '# Long Tasks' },
+            { key: 'shortTasks', label: '# Short Tasks' }
+        ]
+    },
+    {
+        // Each role gets <role>Count slots, each filled on a <role>Chance roll (shared/roles.json)
+        title: 'Roles',
+        rows: [
+            { key: 'engineerCount', label: '# Engineers' },
+            { key: 'engineerChance', label: 'Engineer Chance', format: 'percent' },
+            { key: 'engineerCooldown', label: 'Vent Cooldown', format: 'seconds' },
+            { key: 'engineerDuration', label: 'Max Time In Vents', format: 'seconds' },
+            { key: 'scientistCount', label: '# Scientists' },
+            { key: 'scientistChance', label: 'Scientist Chance', format: 'percent' },
+            { key: 'scientistCooldown', label: 'Vitals Cooldown', format: 'seconds' },
+            { key: 'scientistDuration', label: 'Battery Duration', format: 'seconds' },
+            { key: 'guardianAngelCount', label: '# Guardian Angels' },
+            { key: 'guardianAngelChance', label: 'Guardian Angel Chance', format: 'percent' },
+            { key: 'guardianAngelCooldown', label: 'Protect Cooldown', format: 'seconds' },
+            { key: 'guardianAngelDuration', label: 'Protect Duration', format: 'seconds' },
+            { key: 'shapeshifterCount', label: '# Shapeshifters' },
+            { key: 'shapeshifterChance', label: 'Shapeshifter Chance', format: 'percent' },
+            { key: 'shapeshifterCooldown', label: 'Shapeshift Cooldown', format: 'seconds' },
+            { key: 'shapeshifterDuration', label: 'Shapeshift Duration', format: 'seconds' }
+        ]
+    },
+    {
+        title: 'Hide and Seek',
+        rows: [
+            { key: 'hideTime', label: 'Hide Time', format: 'seconds' },
+            { key: 'finalHideTime', label: 'Final Hide Time', format: 'seconds' },
+            { key: 'taskTimeReduction', label: 'Time Per Task', format: 'seconds' }
+        ]
+    }
+];
+
+const KILL_DISTANCE_NAMES = ['Short', 'Normal', 'Long'];
+const GAME_MODE_NAMES = { classic: 'Classic', hideAndSeek: 'Hide and Seek' };
+
+export function formatSetting(row, value) {
+    if (typeof value === 'boolean') return value ? 'On' : 'Off';
+    switch (row.format) {
+        case 'seconds': return `${value}s`;
+        case 'multiplier': return `${value}x`;
+        case 'percent': return `${value}%`;
+        case 'killDistance': return KILL_DISTANCE_NAMES[value] ?? String(value);
+        case 'gameMode': return GAME_MODE_NAMES[value] ?? String(value);
+        default: return String(value);
+    }
+}
+
+// The value one step up (dir 1) or down (dir -1) from `value`, kept to what the server's
+// validateSetting() accepts: option lists and ranges stop at their ends, booleans flip.
+export function stepSetting(key, value, dir) {
+    const spec = SETTINGS_SCHEMA[key];
+    if (spec.type === 'boolean') return !value;
+    if (spec.options) {
+        const index = Math.max(0, spec.options.indexOf(value)) + dir;
+        return spec.options[Math.max(0, Math.min(spec.options.length - 1, index))];
+    }
+    const steps = Math.round((value - spec.min) / spec.step) + dir;
+    const maxSteps = Math.floor((spec.max - spec.min) / spec.step + 1e-6);
+    return spec.min + Math.max(0, Math.min(maxSteps, steps)) * spec.step;
+}
@@ -1,6 +1,23 @@
 // Main Menu Screen with floating crew members
 
 import { Player } from './Player.js';
+import { generateKeypair, keypairFromSecretKey, encryptKeypair, decryptKeypair, parseWalletImport } from './Wallet.js';
+
+// Wallet dialog input fields, in Tab order, for each dialog mode
+const WALLET_MODE_FIELDS = {
+    create: ['password', 'confirm'],
+    unlock: ['password'],
+    export: ['password', 'confirm'],
+    import: ['importText', 'password']
+};
+const WALLET_FIELD_MAX = { password: 128, confirm: 128, importText: 4096 };
+const WALLET_MIN_PASSWORD = 8;
+
+// localStorage keys. The secret key is only ever stored encrypted (an encryptKeypair()
+// backup, unlocked with the player's password each session); the address is public.
+const WALLET_STORE_KEY = 'solanaWallet';
+const WALLET_ADDRESS_KEY = 'solanaPublicKey'; // Also read by OnlineScreen for the player name
+const LEGACY_SECRET_KEY = 'solanaPrivateKey'; // Plaintext secret from older builds - migrated, then deleted
 
 export class MainMenu {
     constructor() {
@@ -12,14 +29,33 @@ export class MainMenu {
 
         // Wallet dialog state
         this.showWallet = false;
-        this.walletCloseButton = null;
         this.walletPublicKey = null;
-        this.walletPrivateKey = null;
-
-        // Load or generate wallet keys immediately so playerName is available
+        this.walletPrivateKey = null; // Only held in memory, once the wallet is unlocked
+        this.walletBackup = null; // The encrypted copy in localStorage - null until the wallet is saved
+        this.walletLegacy = false; // Loaded from an older build's plaintext key, not yet re-saved
+        this.walletMode = 'main'; // 'create' | 'unlock' | 'main' | 'reveal_warning' | 'reveal' | 'export' | 'import'
+        this.walletButtons = {}; // name -> hitbox for the current mode (rebuilt every render)
+        this.walletFieldBoxes = {}; // field name -> hitbox
+        this.walletFields = { password: '', confirm: '', importText: '' };
+        this.walletFocus = null; // Field receiving keystrokes
+        this.walletMessage = null; // { text, error } result of the last action
+        this.walletBusy = false; // Encrypting / decrypting a backup
+        this.walletCopyFeedback = null; // { name, timer } - "Copied!" on a wallet button
+        this.onWalletChanged = null; // Set by Game - re-verifies an unlocked or imported wallet with the server
+
+        // Load or generate the wallet, then ask for its password straight away: a saved
+        // wallet is unlocked once per session, a new (or plaintext) one must be saved first
         if (!this.loadSavedWallet()) {
             this.generateSolanaKeypair();
         }
+        if (this.walletHomeMode() !== 'main') {
+            this.setWalletMode(this.walletHomeMode());
+            this.showWallet = true;
+        }
+
+        // The wallet dialog's fields take typing and pasting
+        window.addEventListener('keydown', (e) => this.handleWalletKeyDown(e));
+        window.addEventListener('paste', (e) => this.handleWalletPaste(e));
 
         // Menu UI sprites from main-menu.png
         this.menuSprites = {
@@ -44,8 +80,6 @@ export class MainMenu {
         // $SOLANUS token
         this.solTokenAddress = 'CB9LL9nwAuiUjY6PioScx7qr7FPM6wXGAerQ79hfpump';
         this.copyFeedbackTimer = 0; // For "Copied!" feedback
-        this.privateKeyCopyTimer = 0; // For private key copy feedback
-        this.privateKeyCopyButton = null;
 
         // Floating crew member sprites from main-screen-crew.png
         this.crewSprites = [
@@ -578,7 +612,7 @@ export class MainMenu {
 
         // Dialog box dimensions - larger to fit content
         const dialogW = 700;
-        const dialogH = 420;
+        const dialogH = 440;
         const dialogX = (screenW - dialogW) / 2;
         const dialogY = (screenH - dialogH) / 2;
 
@@ -589,36 +623,146 @@ export class MainMenu {
         }
 
         const buttonsSheet = this._buttonsSheet?.complete ? this._buttonsSheet : null;
-        const backer = { x: 303, y: 120, w: 56, h: 56 };
 
         // Draw main dialog backer_2
         if (buttonsSheet) {
+            const backer = this.dialogSprites.backer2;
             this.draw9Slice(ctx, buttonsSheet, backer.x, backer.y, backer.w, backer.h,
                 dialogX, dialogY, dialogW, dialogH, 20);
         }
 
+        // Hitboxes for the current mode, rebuilt every frame
+        this.walletButtons = {};
+        this.walletFieldBoxes = {};
+
         // Title - In Your Face Joffrey
+        const titles = {
+            create: 'SAVE YOUR WALLET',
+            unlock: 'UNLOCK WALLET',
+            main: 'YOUR WALLET',
+            reveal_warning: 'SECRET KEY',
+            reveal: 'SECRET KEY',
+            export: 'EXPORT BACKUP',
+            import: 'IMPORT WALLET'
+        };
         ctx.fillStyle = '#FFFFFF';
         ctx.font = '32px "In Your Face Joffrey", Arial';
         ctx.textAlign = 'center';
-        ctx.fillText('YOUR WALLET', screenW / 2, dialogY + 55);
+        ctx.fillText(titles[this.walletMode], screenW / 2, dialogY + 55);
+
+        const cx = screenW / 2;
+        if (this.walletMode === 'create') {
+            this.renderWalletCreate(ctx, buttonsSheet, cx, dialogY);
+        } else if (this.walletMode === 'unlock') {
+            this.renderWalletUnlock(ctx, buttonsSheet, cx, dialogY);
+        } else if (this.walletMode === 'main') {
+            this.renderWalletMain(ctx, buttonsSheet, cx, dialogY);
+        } else if (this.walletMode === 'reveal_warning') {
+            this.renderWalletRevealWarning(ctx, buttonsSheet, cx, dialogY);
+        } else if (this.walletMode === 'reveal') {
+            this.renderWalletSecret(ctx, buttonsSheet, cx, dialogY);
+        } else if (this.walletMode === 'export') {
+            this.renderWalletExport(ctx, buttonsSheet, cx, dialogY);
+        } else if (this.walletMode === 'import') {
+            this.renderWalletImport(ctx, buttonsSheet, cx, dialogY);
+        }
 
-        // Generate keys if not already generated
-        if (!this.walletPublicKey || !this.walletPrivateKey) {
-            this.generateSolanaKeypair();
+        // Status line for the last action
+        if (this.walletMessage) {
+            ctx.font = '14px "Varela Round", Arial';
+            ctx.fillStyle = this.walletMessage.error ? '#FF8A8A' : '#8AFF9E';
+            ctx.fillText(this.walletMessage.text, cx, dialogY + dialogH - 80);
+        }
+
+        // Close from the first page (overview, save or unlock), Back from everything else
+        const closeName = this.walletMode === this.walletHomeMode() ? 'close' : 'back';
+        this.drawWalletButton(ctx, buttonsSheet, closeName, closeName === 'close' ? 'Close' : 'Back',
+            cx, dialogY + dialogH - 55, 100, 40);
+
+        // Decrease feedback timer
+        if (this.walletCopyFeedback) {
+            this.walletCopyFeedback.timer -= 16;
+            if (this.walletCopyFeedback.timer <= 0) this.walletCopyFeedback = null;
         }
+    }
 
+    renderWalletMain(ctx, buttonsSheet, cx, dialogY) {
         // Public Key section
         ctx.font = 'bold 18px "Varela Round", Arial';
         ctx.fillStyle = '#FFFFFF';
-        ctx.fillText('PUBLIC KEY', screenW / 2, dialogY + 110);
+        ctx.fillText('PUBLIC KEY', cx, dialogY + 110);
 
         ctx.font = '16px "Varela Round", Arial';
-        ctx.fillText(this.walletPublicKey || 'Generating...', screenW / 2, dialogY + 140);
+        ctx.fillText(this.walletPublicKey || 'Generating...', cx, dialogY + 140);
+
+        ctx.font = '13px "Varela Round", Arial';
+        ctx.fillText('Match winnings are paid to this address.', cx, dialogY + 166);
+
+        this.drawWalletButton(ctx, buttonsSheet, 'copy_address', 'Copy Address', cx - 100, dialogY + 190, 180);
+        this.drawWalletButton(ctx, buttonsSheet, 'show_secret', 'Show Secret Key', cx + 100, dialogY + 190, 180);
+        this.drawWalletButton(ctx, buttonsSheet, 'export', 'Export Backup', cx - 100, dialogY + 240, 180);
+        this.drawWalletButton(ctx, buttonsSheet, 'import', 'Import Wallet', cx + 100, dialogY + 240, 180);
+    }
+
+    // A wallet with no encrypted copy yet: a fresh one, or an older build's plaintext key
+    renderWalletCreate(ctx, buttonsSheet, cx, dialogY) {
+        ctx.font = '14px "Varela Round", Arial';
+        ctx.fillStyle = this.walletLegacy ? '#FF8A8A' : '#FFFFFF';
+        ctx.fillText(this.walletLegacy
+            ? 'Your secret key is stored unprotected on this device.'
+            : `A new wallet (${this.shortWalletAddress()}) was made for you.`, cx, dialogY + 100);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('Choose a password to keep it encrypted - you will enter it once per session.', cx, dialogY + 122);
+
+        this.drawWalletField(ctx, 'password', 'Password', cx, dialogY + 145);
+        this.drawWalletField(ctx, 'confirm', 'Confirm', cx, dialogY + 192);
+
+        this.drawWalletButton(ctx, buttonsSheet, 'save', this.walletBusy ? 'Encrypting...' : 'Save Wallet',
+            cx - 100, dialogY + 245, 180);
+        this.drawWalletButton(ctx, buttonsSheet, 'import', 'Import Wallet', cx + 100, dialogY + 245, 180);
+    }
+
+    renderWalletUnlock(ctx, buttonsSheet, cx, dialogY) {
+        ctx.font = '14px "Varela Round", Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(`Enter your password to unlock ${this.shortWalletAddress()} for this session.`, cx, dialogY + 100);
+        ctx.fillText('Match winnings are only paid to an unlocked wallet.', cx, dialogY + 122);
+
+        this.drawWalletField(ctx, 'password', 'Password', cx, dialogY + 145);
+
+        this.drawWalletButton(ctx, buttonsSheet, 'unlock', this.walletBusy ? 'Decrypting...' : 'Unlock',
+            cx - 100, dialogY + 245, 180);
+        this.drawWalletButton(ctx, buttonsSheet, 'import', 'Import Wallet', cx + 100, dialogY + 245, 180);
+
+        ctx.font = '14px "Varela Round", Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('Forgot it? Import a backup file or your secret key instead.', cx, dialogY + 300);
+    }
+
+    // Shown before the secret key ever appears on screen
+    renderWalletRevealWarning(ctx, buttonsSheet, cx, dialogY) {
+        ctx.font = 'bold 18px "Varela Round", Arial';
+        ctx.fillStyle = '#FF8A8A';
+        ctx.fillText('ANYONE WITH THIS KEY OWNS YOUR TOKENS', cx, dialogY + 110);
+
+        ctx.font = '14px "Varela Round", Arial';
+        ctx.fillStyle = '#FFFFFF';
+        const lines = [
+            'Never share it, paste it into a website or show it on stream.',
+            'Nobody from the game will ever ask you for it.',
+            'Make sure no one can see your screen before you continue.',
+            'Prefer Export Backup to keep a password-protected copy.'
+        ];
+        lines.forEach((line, i) => ctx.fillText(line, cx, dialogY + 145 + i * 24));
+
+        this.drawWalletButton(ctx, buttonsSheet, 'confirm_reveal', 'Show Key', cx, dialogY + 255, 160);
+    }
 
+    renderWalletSecret(ctx, buttonsSheet, cx, dialogY) {
         // Private Key section
         ctx.font = 'bold 18px "Varela Round", Arial';
-        ctx.fillText('PRIVATE KEY (KEEP THIS SECRET!)', screenW / 2, dialogY + 200);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('PRIVATE KEY (KEEP THIS SECRET!)', cx, dialogY + 110);
 
         ctx.font = '14px "Varela Round", Arial';
         const privKeyDisplay = this.walletPrivateKey || 'Generating...';
@@ -633,97 +777,399 @@ export class MainMenu {
         // Draw each line
         const lineHeight = 20;
         for (let i = 0; i < lines.length; i++) {
-            ctx.fillText(lines[i], screenW / 2, dialogY + 230 + (i * lineHeight));
+            ctx.fillText(lines[i], cx, dialogY + 140 + (i * lineHeight));
         }
 
         // Copy Private Key button - adjust Y based on number of lines
-        const copyBtnW = 80;
-        const copyBtnH = 35;
-        const copyBtnX = (screenW - copyBtnW) / 2;
-        const copyBtnY = dialogY + 230 + (lines.length * lineHeight) + 15;
-
-        this.privateKeyCopyButton = { x: copyBtnX, y: copyBtnY, w: copyBtnW, h: copyBtnH };
+        const copyBtnY = dialogY + 140 + (lines.length * lineHeight) + 5;
+        this.drawWalletButton(ctx, buttonsSheet, 'copy_secret', 'Copy', cx, copyBtnY, 80);
 
-        if (buttonsSheet) {
-            this.draw9Slice(ctx, buttonsSheet, backer.x, backer.y, backer.w, backer.h,
-                copyBtnX, copyBtnY, copyBtnW, copyBtnH, 20);
-        }
+        // Warning text
+        ctx.font = '14px "Varela Round", Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('Save your private key! You need it to access your funds.', cx, copyBtnY + 60);
+    }
 
+    renderWalletExport(ctx, buttonsSheet, cx, dialogY) {
+        ctx.font = '14px "Varela Round", Arial';
         ctx.fillStyle = '#FFFFFF';
-        ctx.font = '16px "Varela Round", Arial';
-        ctx.fillText(this.privateKeyCopyTimer > 0 ? 'Copied!' : 'Copy', screenW / 2, copyBtnY + 23);
+        ctx.fillText('Download your key encrypted with a password.', cx, dialogY + 100);
+        ctx.fillText('The file is useless without the password, and a lost password cannot be recovered.', cx, dialogY + 122);
 
-        // Decrease feedback timer
-        if (this.privateKeyCopyTimer > 0) {
-            this.privateKeyCopyTimer -= 16;
-        }
+        this.drawWalletField(ctx, 'password', 'Password', cx, dialogY + 145);
+        this.drawWalletField(ctx, 'confirm', 'Confirm', cx, dialogY + 192);
 
-        // Warning text
+        this.drawWalletButton(ctx, buttonsSheet, 'download', this.walletBusy ? 'Encrypting...' : 'Download Backup',
+            cx, dialogY + 245, 200);
+    }
+
+    renderWalletImport(ctx, buttonsSheet, cx, dialogY) {
         ctx.font = '14px "Varela Round", Arial';
         ctx.fillStyle = '#FFFFFF';
-        ctx.fillText('Save your private key! You need it to access your funds.', screenW / 2, copyBtnY + 55);
+        ctx.fillText('Paste (Ctrl+V) or load a backup file, a secret key or a Solana CLI key file.', cx, dialogY + 100);
+        ctx.fillStyle = '#FF8A8A';
+        ctx.fillText('This replaces your current wallet - export a backup of it first.', cx, dialogY + 122);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('A pasted key is saved encrypted with the password you enter here.', cx, dialogY + 300);
 
-        // Close button
-        const closeW = 100;
-        const closeH = 40;
-        const closeX = (screenW - closeW) / 2;
-        const closeY = dialogY + dialogH - 55;
+        this.drawWalletField(ctx, 'importText', 'Key', cx, dialogY + 145);
+        this.drawWalletField(ctx, 'password', 'Password', cx, dialogY + 192);
+
+        this.drawWalletButton(ctx, buttonsSheet, 'load_file', 'Load File', cx - 100, dialogY + 245, 180);
+        this.drawWalletButton(ctx, buttonsSheet, 'do_import', this.walletBusy ? 'Decrypting...' : 'Import',
+            cx + 100, dialogY + 245, 180);
+    }
 
+    // 9-sliced button centered on cx; its hitbox goes into walletButtons[name]
+    drawWalletButton(ctx, buttonsSheet, name, label, cx, y, w, h = 35) {
+        const x = cx - w / 2;
         if (buttonsSheet) {
-            this.draw9Slice(ctx, buttonsSheet, backer.x, backer.y, backer.w, backer.h,
-                closeX, closeY, closeW, closeH, 20);
+            const backer = this.dialogSprites.backer2;
+            this.draw9Slice(ctx, buttonsSheet, backer.x, backer.y, backer.w, backer.h, x, y, w, h, 20);
         }
 
-        // Close button text - Varela Round
-        ctx.font = '18px "Varela Round", Arial';
+        const copied = this.walletCopyFeedback && this.walletCopyFeedback.name === name;
+        ctx.font = '16px "Varela Round", Arial';
         ctx.fillStyle = '#FFFFFF';
-        ctx.fillText('Close', screenW / 2, closeY + 26);
+        ctx.fillText(copied ? 'Copied!' : label, cx, y + h / 2 + 6);
 
-        // Store close button hitbox
-        this.walletCloseButton = { x: closeX, y: closeY, w: closeW, h: closeH };
+        this.walletButtons[name] = { x, y, w, h };
     }
 
-    generateSolanaKeypair() {
-        // Generate a random 32-byte private key (Ed25519)
-        const privateKeyBytes = new Uint8Array(64);
-        crypto.getRandomValues(privateKeyBytes);
+    // One-line input box. Passwords are masked and pasted keys are never echoed back.
+    drawWalletField(ctx, name, label, cx, y) {
+        const w = 420;
+        const h = 34;
+        const x = cx - w / 2 + 40;
+        const focused = this.walletFocus === name;
+        const value = this.walletFields[name];
 
-        // Convert to base58 for display (simplified - real Solana uses specific encoding)
-        const base58Chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+        ctx.font = 'bold 14px "Varela Round", Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'right';
+        ctx.fillText(label, x - 12, y + h / 2 + 5);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.fillRect(x, y, w, h);
+        ctx.strokeStyle = focused ? '#FFFFFF' : 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, w, h);
+
+        let text;
+        if (name === 'importText') {
+            const parsed = value ? parseWalletImport(value) : null;
+            if (!value) text = focused ? 'Paste here' : 'Click, then paste';
+            else if (parsed.backup) text = `Backup of ${parsed.backup.publicKey.slice(0, 4)}...${parsed.backup.publicKey.slice(-4)}`;
+            else text = `${value.length} characters pasted`;
+        } else {
+            text = '•'.repeat(value.length);
+        }
+        if (focused && Math.floor(performance.now() / 500) % 2 === 0) text += '|';
 
-        // Generate public key (44 chars like real Solana addresses)
-        let publicKey = '';
-        for (let i = 0; i < 44; i++) {
-            publicKey += base58Chars[Math.floor(Math.random() * base58Chars.length)];
+        ctx.font = '15px "Varela Round", Arial';
+        ctx.fillStyle = value ? '#FFFFFF' : 'rgba(255, 255, 255, 0.5)';
+        ctx.textAlign = 'left';
+        ctx.fillText(text, x + 10, y + h / 2 + 5);
+        ctx.textAlign = 'center';
+
+        this.walletFieldBoxes[name] = { x, y, w, h };
+    }
+
+    setWalletMode(mode) {
+        this.walletMode = mode;
+        this.walletFields = { password: '', confirm: '', importText: '' };
+        this.walletFocus = WALLET_MODE_FIELDS[mode]?.[0] || null;
+        this.walletMessage = null;
+    }
+
+    setWalletMessage(text, error = false) {
+        this.walletMessage = { text, error };
+    }
+
+    // Keystrokes for the focused wallet field (the dialog has no DOM inputs)
+    handleWalletKeyDown(e) {
+        if (!this.active || !this.showWallet) return;
+
+        if (e.key === 'Escape') {
+            if (this.walletMode === this.walletHomeMode()) {
+                this.showWallet = false;
+            } else {
+                this.setWalletMode(this.walletHomeMode());
+            }
+            e.preventDefault();
+            return;
+        }
+
+        const field = this.walletFocus;
+        if (!field || this.walletBusy) return;
+        const value = this.walletFields[field];
+
+        if (e.key === 'Enter') {
+            if (this.walletMode === 'create') this.createWallet();
+            if (this.walletMode === 'unlock') this.unlockWallet();
+            if (this.walletMode === 'export') this.exportWallet();
+            if (this.walletMode === 'import') this.importWallet();
+        } else if (e.key === 'Tab') {
+            const fields = WALLET_MODE_FIELDS[this.walletMode];
+            this.walletFocus = fields[(fields.indexOf(field) + 1) % fields.length];
+        } else if (e.key === 'Backspace') {
+            this.walletFields[field] = value.slice(0, -1);
+        } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && value.length < WALLET_FIELD_MAX[field]) {
+            this.walletFields[field] = value + e.key;
+        } else {
+            return; // Let Ctrl+V through to the paste event
+        }
+        e.preventDefault();
+    }
+
+    handleWalletPaste(e) {
+        if (!this.active || !this.showWallet || !this.walletFocus || this.walletBusy) return;
+        const text = e.clipboardData?.getData('text') || '';
+        const field = this.walletFocus;
+        // A pasted key replaces whatever was there; passwords can be pasted onto
+        const value = field === 'importText' ? text.trim() : this.walletFields[field] + text;
+        this.walletFields[field] = value.slice(0, WALLET_FIELD_MAX[field]);
+        e.preventDefault();
+    }
+
+    // Encrypt the keypair with the entered password and download it as a JSON file
+    async exportWallet() {
+        if (this.walletBusy) return;
+        const { password, confirm } = this.walletFields;
+        if (password.length < WALLET_MIN_PASSWORD) {
+            this.setWalletMessage(`Use a password of at least ${WALLET_MIN_PASSWORD} characters`, true);
+            return;
+        }
+        if (password !== confirm) {
+            this.setWalletMessage('The passwords do not match', true);
+            return;
         }
 
-        // Generate private key (88 chars like real Solana private keys)
-        let privateKey = '';
-        for (let i = 0; i < 88; i++) {
-            privateKey += base58Chars[Math.floor(Math.random() * base58Chars.length)];
+        this.walletBusy = true;
+        try {
+            const backup = await encryptKeypair({ publicKey: this.walletPublicKey, secretKey: this.walletPrivateKey }, password);
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `wallet-backup-${this.walletPublicKey.slice(0, 8)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            this.walletFields.password = '';
+            this.walletFields.confirm = '';
+            this.setWalletMessage('Backup downloaded - keep the file and its password safe');
+        } catch (err) {
+            console.error('Wallet export failed:', err);
+            this.setWalletMessage('Export failed', true);
+        } finally {
+            this.walletBusy = false;
         }
+    }
 
-        this.walletPublicKey = publicKey;
-        this.walletPrivateKey = privateKey;
+    // Read a backup or key file into the import field
+    pickImportFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json,text/plain';
+        input.onchange = () => {
+            const file = input.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                this.walletFields.importText = text.trim().slice(0, WALLET_FIELD_MAX.importText);
+                this.walletFocus = 'password';
+                this.walletMessage = null;
+            }).catch(err => {
+                console.error('Could not read wallet file:', err);
+                this.setWalletMessage('Could not read that file', true);
+            });
+        };
+        input.click();
+    }
 
-        // Save to localStorage so it persists
-        localStorage.setItem('solanaPublicKey', publicKey);
-        localStorage.setItem('solanaPrivateKey', privateKey);
+    // Validate the import field (and the password, for backups), then switch wallets
+    async importWallet() {
+        if (this.walletBusy) return;
+        const parsed = parseWalletImport(this.walletFields.importText);
+        if (parsed.error) {
+            this.setWalletMessage(this.walletFields.importText ? parsed.error : 'Paste a key or load a backup file first', true);
+            return;
+        }
+
+        let keypair = parsed.keypair;
+        if (parsed.backup) {
+            if (!this.walletFields.password) {
+                this.setWalletMessage('Enter the password for this backup', true);
+                this.walletFocus = 'password';
+                return;
+            }
+            this.walletBusy = true;
+            keypair = await decryptKeypair(parsed.backup, this.walletFields.password);
+            this.walletBusy = false;
+            if (!keypair) {
+                this.setWalletMessage('Wrong password, or the backup is damaged', true);
+                return;
+            }
+        }
+
+        if (keypair.publicKey === this.walletPublicKey && this.walletHomeMode() === 'main') {
+            this.setWalletMessage('That is already your wallet', true);
+            return;
+        }
+
+        // A backup is already in the at-rest format; a bare key gets encrypted with the password
+        let backup = parsed.backup;
+        if (!backup) {
+            if (this.walletFields.password.length < WALLET_MIN_PASSWORD) {
+                this.setWalletMessage(`Enter a password of at least ${WALLET_MIN_PASSWORD} characters to protect this key`, true);
+                this.walletFocus = 'password';
+                return;
+            }
+            this.walletBusy = true;
+            try {
+                backup = await encryptKeypair(keypair, this.walletFields.password);
+            } catch (err) {
+                console.error('Wallet import failed:', err);
+                this.setWalletMessage('Import failed', true);
+                return;
+            } finally {
+                this.walletBusy = false;
+            }
+        }
+
+        this.saveWallet(keypair, backup);
+        this.setWalletMode('main');
+        this.setWalletMessage('Wallet imported');
+        console.log('Imported Solana wallet:', keypair.publicKey);
+        if (this.onWalletChanged) this.onWalletChanged();
+    }
+
+    // Encrypt the unsaved (new or plaintext) wallet with the entered password and store it
+    async createWallet() {
+        if (this.walletBusy) return;
+        const { password, confirm } = this.walletFields;
+        if (password.length < WALLET_MIN_PASSWORD) {
+            this.setWalletMessage(`Use a password of at least ${WALLET_MIN_PASSWORD} characters`, true);
+            return;
+        }
+        if (password !== confirm) {
+            this.setWalletMessage('The passwords do not match', true);
+            return;
+        }
+
+        this.walletBusy = true;
+        try {
+            const keypair = { publicKey: this.walletPublicKey, secretKey: this.walletPrivateKey };
+            this.saveWallet(keypair, await encryptKeypair(keypair, password));
+            this.setWalletMode('main');
+            this.setWalletMessage('Wallet saved - you will need this password each session');
+            if (this.onWalletChanged) this.onWalletChanged();
+        } catch (err) {
+            console.error('Wallet save failed:', err);
+            this.setWalletMessage('Saving the wallet failed', true);
+        } finally {
+            this.walletBusy = false;
+        }
+    }
 
+    // Decrypt the stored wallet into memory for this session
+    async unlockWallet() {
+        if (this.walletBusy) return;
+        if (!this.walletFields.password) {
+            this.setWalletMessage('Enter your wallet password', true);
+            return;
+        }
+
+        this.walletBusy = true;
+        const keypair = await decryptKeypair(this.walletBackup, this.walletFields.password);
+        this.walletBusy = false;
+        if (!keypair) {
+            this.walletFields.password = '';
+            this.setWalletMessage('Wrong password', true);
+            return;
+        }
+
+        this.walletPrivateKey = keypair.secretKey;
+        this.setWalletMode('main');
+        this.setWalletMessage('Wallet unlocked');
+        if (this.onWalletChanged) this.onWalletChanged();
+    }
+
+    // The dialog's first page: save an unsaved wallet, unlock a locked one, else the overview
+    walletHomeMode() {
+        if (!this.walletBackup) return 'create';
+        return this.walletPrivateKey ? 'main' : 'unlock';
+    }
+
+    // The keypair to sign wallet challenges with (NetworkManager), or null while the wallet
+    // is locked. A new wallet isn't used until it is saved, so winnings can't be paid to a
+    // key that is gone on reload; an older build's plaintext key was already in use.
+    getSigningKeypair() {
+        if (!this.walletPrivateKey || (!this.walletBackup && !this.walletLegacy)) return null;
+        return { publicKey: this.walletPublicKey, secretKey: this.walletPrivateKey };
+    }
+
+    shortWalletAddress() {
+        return `${this.walletPublicKey.slice(0, 4)}...${this.walletPublicKey.slice(-4)}`;
+    }
+
+    // A fresh wallet lives in memory until the player gives it a password (createWallet)
+    generateSolanaKeypair() {
+        const keypair = generateKeypair();
+        this.walletPublicKey = keypair.publicKey;
+        this.walletPrivateKey = keypair.secretKey;
+        this.walletBackup = null;
+        this.walletLegacy = false;
         console.log('Generated Solana Keypair');
-        console.log('Public Key:', publicKey);
+        console.log('Public Key:', this.walletPublicKey);
     }
 
-    loadSavedWallet() {
-        const savedPublic = localStorage.getItem('solanaPublicKey');
-        const savedPrivate = localStorage.getItem('solanaPrivateKey');
+    // Store the encrypted copy and keep the unlocked keypair in memory. Any plaintext
+    // key left by an older build is deleted once its encrypted copy is in place.
+    saveWallet(keypair, backup) {
+        this.walletPublicKey = keypair.publicKey;
+        this.walletPrivateKey = keypair.secretKey;
+        this.walletBackup = backup;
+        this.walletLegacy = false;
+
+        localStorage.setItem(WALLET_STORE_KEY, JSON.stringify(backup));
+        localStorage.setItem(WALLET_ADDRESS_KEY, keypair.publicKey);
+        localStorage.removeItem(LEGACY_SECRET_KEY);
+    }
 
-        if (savedPublic && savedPrivate) {
-            this.walletPublicKey = savedPublic;
-            this.walletPrivateKey = savedPrivate;
+    // Load the encrypted wallet (locked until unlockWallet), or an older build's plaintext
+    // key, which stays usable until createWallet encrypts it. False if there is neither.
+    loadSavedWallet() {
+        const stored = localStorage.getItem(WALLET_STORE_KEY);
+        const { backup } = stored ? parseWalletImport(stored) : {};
+        if (backup) {
+            this.walletPublicKey = backup.publicKey;
+            this.walletPrivateKey = null;
+            this.walletBackup = backup;
+            this.walletLegacy = false;
             return true;
         }
-        return false;
+        if (stored) console.warn('Saved wallet is unreadable');
+
+        const savedPublic = localStorage.getItem(WALLET_ADDRESS_KEY);
+        const savedPrivate = localStorage.getItem(LEGACY_SECRET_KEY);
+        if (!savedPublic || !savedPrivate) return false;
+
+        // Older builds saved random strings that were never a keypair - nothing can be
+        // signed or recovered with those, so they are replaced with a real wallet
+        const keypair = keypairFromSecretKey(savedPrivate);
+        if (!keypair || keypair.publicKey !== savedPublic) {
+            console.warn('Saved wallet is not a valid keypair - generating a new one');
+            return false;
+        }
+
+        this.walletPublicKey = savedPublic;
+        this.walletPrivateKey = savedPrivate;
+        this.walletBackup = null;
+        this.walletLegacy = true;
+        return true;
     }
 
     // Draw text with letter spacing (for fonts that need it)
@@ -788,32 +1234,9 @@ export class MainMenu {
             return null;
         }
 
-        // If Wallet dialog is open, handle close button and copy button
+        // If Wallet dialog is open, it takes every click
         if (this.showWallet) {
-            if (this.walletCloseButton && this.isInBounds(x, y, this.walletCloseButton)) {
-                console.log('Wallet closed');
-                this.showWallet = false;
-                return 'close_wallet';
-            }
-            // Check private key copy button
-            if (this.privateKeyCopyButton && this.isInBounds(x, y, this.privateKeyCopyButton)) {
-                this.privateKeyCopyTimer = 1500;
-                if (navigator.clipboard && navigator.clipboard.writeText) {
-                    navigator.clipboard.writeText(this.walletPrivateKey).catch(err => {
-                        console.error('Clipboard failed:', err);
-                    });
-                } else {
-                    const textArea = document.createElement('textarea');
-                    textArea.value = this.walletPrivateKey;
-                    document.body.appendChild(textArea);
-                    textArea.select();
-                    document.execCommand('copy');
-                    document.body.removeChild(textArea);
-                }
-                return 'copy_private_key';
-            }
-            // Block other clicks while dialog is open
-            return null;
+            return this.handleWalletClick(x, y);
         }
 
         // Check Online button
@@ -839,8 +1262,7 @@ export class MainMenu {
         // Check Wallet button
         if (this.walletButton && this.isInBounds(x, y, this.walletButton)) {
             console.log('Wallet clicked');
-            // Try to load saved wallet first
-            this.loadSavedWallet();
+            this.setWalletMode(this.walletHomeMode());
             this.showWallet = true;
             return 'wallet';
         }
@@ -850,26 +1272,71 @@ export class MainMenu {
             // Set feedback immediately so user sees response
             this.copyFeedbackTimer = 1500;
 
-            // Try to copy to clipboard
-            if (navigator.clipboard && navigator.clipboard.writeText) {
-                navigator.clipboard.writeText(this.solTokenAddress).catch(err => {
-                    console.error('Clipboard failed:', err);
-                });
-            } else {
-                // Fallback for older browsers
-                const textArea = document.createElement('textarea');
-                textArea.value = this.solTokenAddress;
-                document.body.appendChild(textArea);
-                textArea.select();
-                document.execCommand('copy');
-                document.body.removeChild(textArea);
-            }
+            this.copyToClipboard(this.solTokenAddress);
             return 'copy_sol';
         }
 
         return null;
     }
 
+    handleWalletClick(x, y) {
+        const field = Object.keys(this.walletFieldBoxes).find(name => this.isInBounds(x, y, this.walletFieldBoxes[name]));
+        if (field) {
+            this.walletFocus = field;
+            return null;
+        }
+
+        const button = Object.keys(this.walletButtons).find(name => this.isInBounds(x, y, this.walletButtons[name]));
+        if (!button || this.walletBusy) return null;
+
+        if (button === 'close') {
+            console.log('Wallet closed');
+            this.showWallet = false;
+            return 'close_wallet';
+        } else if (button === 'back') {
+            this.setWalletMode(this.walletHomeMode());
+        } else if (button === 'save') {
+            this.createWallet();
+        } else if (button === 'unlock') {
+            this.unlockWallet();
+        } else if (button === 'copy_address') {
+            this.walletCopyFeedback = { name: button, timer: 1500 };
+            this.copyToClipboard(this.walletPublicKey);
+        } else if (button === 'show_secret') {
+            this.setWalletMode('reveal_warning');
+        } else if (button === 'confirm_reveal') {
+            this.setWalletMode('reveal');
+        } else if (button === 'copy_secret') {
+            this.walletCopyFeedback = { name: button, timer: 1500 };
+            this.copyToClipboard(this.walletPrivateKey);
+        } else if (button === 'export' || button === 'import') {
+            this.setWalletMode(button);
+        } else if (button === 'download') {
+            this.exportWallet();
+        } else if (button === 'load_file') {
+            this.pickImportFile();
+        } else if (button === 'do_import') {
+            this.importWallet();
+        }
+        return button;
+    }
+
+    copyToClipboard(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch(err => {
+                console.error('Clipboard failed:', err);
+            });
+        } else {
+            // Fallback for older browsers
+            const textArea = document.createElement('textarea');
+            textArea.value = text;
+            document.body.appendChild(textArea);
+            textArea.select();
+            document.execCommand('copy');
+            document.body.removeChild(textArea);
+        }
+    }
+
     isInBounds(x, y, bounds) {
         return x >= bounds.x && x <= bounds.x + bounds.w &&
                y >= bounds.y && y <= bounds.y + bounds.h;
@@ -1,5 +1,8 @@
 // Map class - handles map rendering and collision
 
+import VENTS from '../shared/vents.json';
+import SPAWN_POINTS from '../shared/spawn-points.json';
+
 export class GameMap {
     constructor(name = 'skeld') {
         this.name = name;
@@ -21,6 +24,10 @@ export class GameMap {
         this.vents = [];
         this.tasks = [];
 
+        // Sabotageable doors (segments from skeld-doors.json, authored in map-editor.html)
+        this.doors = [];
+        this.doorThickness = 6; // How close a player may get to a closed door
+
         // Map texture pieces with their positions (will be loaded)
         this.mapPieces = [];
 
@@ -51,6 +58,62 @@ export class GameMap {
         });
     }
 
+    // Load door segments (already in game coordinates)
+    async loadDoors(jsonPath) {
+        const response = await fetch(jsonPath);
+        const data = await response.json();
+        this.doors = (data.doors || []).map(door => ({ ...door, closed: false }));
+        console.log(`Loaded ${this.doors.length} doors`);
+    }
+
+    // Close or open every door of a room (doors sabotage works per room)
+    setRoomDoorsClosed(room, closed) {
+        for (const door of this.doors) {
+            if (door.room === room) door.closed = closed;
+        }
+    }
+
+    // Server sends the full list of rooms whose doors are currently shut
+    setClosedRooms(rooms) {
+        const closed = new Set(rooms);
+        for (const door of this.doors) {
+            door.closed = closed.has(door.room);
+        }
+    }
+
+    openAllDoors() {
+        for (const door of this.doors) {
+            door.closed = false;
+        }
+    }
+
+    getDoorRooms() {
+        return [...new Set(this.doors.map(door => door.room))];
+    }
+
+    // Closed doors as wall segments (for the vision raycast)
+    getClosedDoorSegments() {
+        return this.doors.filter(door => door.closed);
+    }
+
+    // A closed door blocks crossing it and walking up to it. Moving away is always
+    // allowed so a door that shuts on top of a player can't pin them in place.
+    isDoorBlocking(fromX, fromY, toX, toY) {
+        for (const door of this.doors) {
+            if (!door.closed) continue;
+
+            if (segmentsIntersect(fromX, fromY, toX, toY, door.x1, door.y1, door.x2, door.y2)) {
+                return true;
+            }
+
+            const distTo = distanceToSegment(toX, toY, door);
+            if (distTo < this.doorThickness && distTo < distanceToSegment(fromX, fromY, door)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     // Check if a pixel in the collision mask is blocked (non-black)
     isPixelBlocked(x, y) {
         if (!this.collisionData) return false;
@@ -105,47 +168,19 @@ export class GameMap {
             { name: 'Communications', x: Math.round(5736 * s), y: Math.round(4080 * s), width: 200 * s, height: 150 * s }
         ];
 
-        // Define vent connections (positions from vent editor)
-        // Vents in the same group can travel to each other
-        this.vents = [
-            // Group 1: Admin/Cafeteria area
-            { id: 0, x: 554, y: 199, group: 1, connections: [1] },
-            { id: 1, x: 259, y: 452, group: 1, connections: [0] },
-            // Group 2: Reactor/Engine area
-            { id: 2, x: 315, y: 625, group: 2, connections: [3] },
-            { id: 3, x: 559, y: 927, group: 2, connections: [2] },
-            // Group 3: MedBay/Security/Electrical triangle
-            { id: 4, x: 688, y: 631, group: 3, connections: [5, 6] },
-            { id: 5, x: 773, y: 501, group: 3, connections: [4, 6] },
-            { id: 6, x: 813, y: 675, group: 3, connections: [4, 5] },
-            // Group 4: Storage/Shields/Comms/Navigation quad
-            { id: 7, x: 1364, y: 756, group: 4, connections: [8, 9, 13] },
-            { id: 8, x: 1669, y: 603, group: 4, connections: [7, 9, 13] },
-            { id: 9, x: 1676, y: 962, group: 4, connections: [7, 8, 13] },
-            { id: 13, x: 1965, y: 604, group: 4, connections: [7, 8, 9] },
-            // Group 5: Weapons/O2/Admin upper area
-            { id: 10, x: 1441, y: 330, group: 5, connections: [11, 12] },
-            { id: 11, x: 1648, y: 160, group: 5, connections: [10, 12] },
-            { id: 12, x: 1975, y: 457, group: 5, connections: [10, 11] }
-        ];
+        // Vent positions (from the vent editor) live in shared/vents.json so the server
+        // checks vent use against the same list. Vents in the same group connect:
+        // 1 Admin/Cafeteria, 2 Reactor/Engines, 3 MedBay/Security/Electrical,
+        // 4 Storage/Shields/Comms/Navigation, 5 Weapons/O2/Admin upper area
+        this.vents = VENTS.map(vent => ({ ...vent, connections: [...vent.connections] }));
 
         // Define walls/collision (simplified outer boundary + room walls)
         this.colliders = this.generateColliders();
 
         // Spawn points - custom positions around the cafeteria table
-        // Coordinates are already at game scale (2141x1198 map), use directly
-        this.spawnPoints = [
-            { x: 1214, y: 207 },
-            { x: 1258, y: 221 },
-            { x: 1284, y: 252 },
-            { x: 1284, y: 293 },
-            { x: 1250, y: 319 },
-            { x: 1208, y: 333 },
-            { x: 1160, y: 326 },
-            { x: 1130, y: 299 },
-            { x: 1125, y: 247 },
-            { x: 1163, y: 209 }
-        ];
+        // Coordinates are already at game scale (2141x1198 map), use directly.
+        // Shared with the server, which seats players on them (GameRoom.seatAtTable)
+        this.spawnPoints = SPAWN_POINTS.map(point => ({ ...point }));
 
         // Default spawn point (first position)
         this.spawnPoint = this.spawnPoints[0];
@@ -165,7 +200,12 @@ export class GameMap {
         return colliders;
     }
 
-    checkCollision(x, y, width = 20, height = 20) {
+    // from: where the player is moving from, so closed doors can block the step
+    checkCollision(x, y, width = 20, height = 20, from = null) {
+        if (from && this.isDoorBlocking(from.x, from.y, x, y)) {
+            return true;
+        }
+
         // If collision mask is loaded, use pixel-based collision
         if (this.collisionData) {
             // Check multiple points around the player's feet area
@@ -259,12 +299,56 @@ export class GameMap {
             this.drawPlaceholderMap(ctx, camera);
         }
 
+        this.drawDoors(ctx, camera);
+
         // Debug: draw colliders
         if (window.DEBUG_COLLIDERS) {
             this.drawColliders(ctx, camera);
         }
     }
 
+    // Closed doors are solid bars across the doorway; open doors are retracted into the frame
+    drawDoors(ctx, camera) {
+        ctx.save();
+        ctx.lineCap = 'butt';
+        for (const door of this.doors) {
+            const x1 = door.x1 - camera.x;
+            const y1 = door.y1 - camera.y;
+            const x2 = door.x2 - camera.x;
+            const y2 = door.y2 - camera.y;
+
+            if (door.closed) {
+                ctx.strokeStyle = '#3B4148';
+                ctx.lineWidth = this.doorThickness + 2;
+                ctx.beginPath();
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                ctx.stroke();
+
+                ctx.strokeStyle = '#8A939C';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                ctx.stroke();
+            } else {
+                // Short stubs at each end of the doorway
+                const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+                const stubX = (x2 - x1) / len * 5;
+                const stubY = (y2 - y1) / len * 5;
+                ctx.strokeStyle = '#3B4148';
+                ctx.lineWidth = this.doorThickness + 2;
+                ctx.beginPath();
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x1 + stubX, y1 + stubY);
+                ctx.moveTo(x2, y2);
+                ctx.lineTo(x2 - stubX, y2 - stubY);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+
     drawPlaceholderMap(ctx, camera) {
         // Draw rooms as colored rectangles
         for (const room of this.rooms) {
@@ -349,3 +433,23 @@ export class GameMap {
         }
     }
 }
+
+// Segment-segment intersection test
+function segmentsIntersect(ax1, ay1, ax2, ay2, bx1, by1, bx2, by2) {
+    const denom = (ax2 - ax1) * (by2 - by1) - (ay2 - ay1) * (bx2 - bx1);
+    if (denom === 0) return false;
+
+    const t = ((bx1 - ax1) * (by2 - by1) - (by1 - ay1) * (bx2 - bx1)) / denom;
+    const u = ((bx1 - ax1) * (ay2 - ay1) - (by1 - ay1) * (ax2 - ax1)) / denom;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+}
+
+// Distance from a point to a { x1, y1, x2, y2 } segment
+function distanceToSegment(px, py, seg) {
+    const dx = seg.x2 - seg.x1;
+    const dy = seg.y2 - seg.y1;
+    const lenSq = dx * dx + dy * dy;
+    let t = lenSq === 0 ? 0 : ((px - seg.x1) * dx + (py - seg.y1) * dy) / lenSq;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(px - (seg.x1 + t * dx), py - (seg.y1 + t * dy));
+}
@@ -1,5 +1,11 @@
 // Network manager for multiplayer using Socket.io
 
+import { signWalletChallenge } from './Wallet.js';
+
+// Remote players are drawn this far behind the newest snapshot, so there are
+// (usually) two server ticks to blend between
+const INTERPOLATION_DELAY_MS = 100;
+
 export class NetworkManager {
     constructor(game) {
         this.game = game;
@@ -8,11 +14,18 @@ export class NetworkManager {
         this.playerId = null;
         this.playerName = '';
         this.currentRoomCode = null;
+        this.sessionToken = null; // From room_created / room_joined - takes our slot back after a drop
+        this.spectating = false; // Watching a running game (spectate_started) rather than playing in it
+        this.walletAddress = null; // Our wallet once the server has verified we own it - only then are we paid
 
         // Rate limiting for position updates
         this.lastPositionSend = 0;
         this.positionSendRate = 50; // ms between updates
 
+        // Server snapshots (one per server tick)
+        this.lastSnapshotSeq = -1;
+        this.serverTimeOffset = null; // Server clock minus ours, smoothed over snapshots
+
         // Callbacks for room events
         this.onRoomCreated = null;
         this.onRoomJoined = null;
@@ -56,17 +69,65 @@ export class NetworkManager {
         this.socket.on('connect', () => {
             console.log('Connected to server with socket ID:', this.socket.id);
             this.connected = true;
-            this.playerId = this.socket.id;
-            // If we were in a room before reconnect, we've lost room membership
-            if (this.currentRoomCode) {
-                console.warn('Reconnected but was in room', this.currentRoomCode, '- room membership lost!');
+            this.verifyWallet();
+            // Spectators hold no slot - a dropped connection ends the broadcast
+            if (this.spectating) {
+                this.currentRoomCode = null;
+                this.spectating = false;
+                this.game.onSpectateEnded({ message: 'Connection lost' });
+            }
+            // Back from a dropped connection - the server holds our slot for a while, so
+            // ask for it (and a snapshot of what we missed) under our old player id
+            if (this.currentRoomCode && this.sessionToken) {
+                console.log('Reconnected - rejoining room', this.currentRoomCode);
+                this.socket.emit('rejoin_room', { sessionToken: this.sessionToken });
+                return;
             }
+            this.playerId = this.socket.id;
         });
 
         this.socket.on('disconnect', () => {
             console.log('Disconnected from server');
             this.connected = false;
+        });
+
+        this.socket.on('rejoined', (data) => {
+            console.log('Rejoined room', this.currentRoomCode, 'as', data.playerId);
+            this.playerId = data.playerId;
+            this.game.onRejoined(data);
+        });
+
+        this.socket.on('rejoin_failed', (data) => {
+            console.log('Rejoin failed:', data.message);
             this.currentRoomCode = null;
+            this.sessionToken = null;
+            this.playerId = this.socket.id;
+            this.game.onRejoinFailed(data);
+        });
+
+        // ============================================
+        // WALLET OWNERSHIP
+        // ============================================
+
+        this.socket.on('wallet_challenge', (data) => {
+            // The secret key is only in memory, and only while the wallet is unlocked
+            const keypair = this.game.mainMenu.getSigningKeypair();
+            const signature = keypair && signWalletChallenge(keypair.secretKey, keypair.publicKey, data.message);
+            if (!signature) {
+                console.log('Wallet is locked or cannot sign - playing without payouts');
+                return;
+            }
+            this.socket.emit('verify_wallet', { walletAddress: keypair.publicKey, signature });
+        });
+
+        this.socket.on('wallet_verified', (data) => {
+            console.log('Wallet verified:', data.walletAddress);
+            this.walletAddress = data.walletAddress;
+        });
+
+        this.socket.on('wallet_rejected', (data) => {
+            console.log('Wallet not verified - playing without payouts:', data.message);
+            this.walletAddress = null;
         });
 
         // ============================================
@@ -76,15 +137,40 @@ export class NetworkManager {
         this.socket.on('room_created', (data) => {
             console.log('Room created:', data.code);
             this.currentRoomCode = data.code;
+            this.sessionToken = data.sessionToken;
+            this.lastSnapshotSeq = -1; // Every room counts its own ticks
             if (this.onRoomCreated) this.onRoomCreated(data);
         });
 
         this.socket.on('room_joined', (data) => {
             console.log('Joined room:', data.code);
             this.currentRoomCode = data.code;
+            this.sessionToken = data.sessionToken;
+            this.spectating = false; // Spectators are promoted this way when the room returns to its lobby
+            this.lastSnapshotSeq = -1;
             if (this.onRoomJoined) this.onRoomJoined(data);
         });
 
+        // Joined a room whose game was already running - we watch it on a delay
+        this.socket.on('spectate_started', (data) => {
+            console.log('Spectating room:', data.code);
+            this.currentRoomCode = data.code;
+            this.sessionToken = null;
+            this.spectating = true;
+            this.game.onSpectateStarted(data);
+        });
+
+        this.socket.on('spectate_frame', (data) => {
+            this.game.onSpectateFrame(data);
+        });
+
+        this.socket.on('spectate_ended', (data) => {
+            console.log('Spectating ended:', data.message);
+            this.currentRoomCode = null;
+            this.spectating = false;
+            this.game.onSpectateEnded(data);
+        });
+
         this.socket.on('join_error', (data) => {
             console.log('Join error:', data.message);
             if (this.onJoinError) this.onJoinError(data);
@@ -98,6 +184,8 @@ export class NetworkManager {
         this.socket.on('room_left', () => {
             console.log('Left room');
             this.currentRoomCode = null;
+            this.sessionToken = null;
+            this.spectating = false;
             if (this.onRoomLeft) this.onRoomLeft();
         });
 
@@ -143,13 +231,26 @@ export class NetworkManager {
             this.game.onPlayerLeave(id);
         });
 
-        this.socket.on('player_update', (data) => {
-            // Update player in game lobby if active
+        // Every player's state, batched once per server tick
+        this.socket.on('snapshot', (data) => {
+            if (data.seq <= this.lastSnapshotSeq) return; // Stale - a newer tick already arrived
+            this.lastSnapshotSeq = data.seq;
+
+            const offset = data.time - Date.now();
+            this.serverTimeOffset = this.serverTimeOffset === null
+                ? offset
+                : this.serverTimeOffset + (offset - this.serverTimeOffset) * 0.1;
+
+            // Update players in game lobby if active
             if (this.game.gameLobbyScreen && this.game.gameLobbyScreen.active) {
-                this.game.gameLobbyScreen.updatePlayer(data);
+                this.game.gameLobbyScreen.onSnapshot(data);
             }
             // Also update in main game
-            this.game.onPlayerUpdate(data);
+            this.game.onSnapshot(data);
+        });
+
+        this.socket.on('position_correction', (data) => {
+            this.game.onPositionCorrection(data);
         });
 
         this.socket.on('game_state', (state) => {
@@ -182,6 +283,10 @@ export class NetworkManager {
             this.game.onPlayerKilled(data);
         });
 
+        this.socket.on('kill_rejected', (data) => {
+            this.game.onKillRejected(data);
+        });
+
         this.socket.on('meeting_called', (data) => {
             this.game.onMeetingCalled(data);
         });
@@ -190,6 +295,14 @@ export class NetworkManager {
             this.game.onPlayerVoted(data);
         });
 
+        this.socket.on('meeting_result', (data) => {
+            this.game.onMeetingResult(data);
+        });
+
+        this.socket.on('meeting_phase', (data) => {
+            this.game.onMeetingPhase(data);
+        });
+
         this.socket.on('game_over', (data) => {
             this.game.onGameOver(data);
         });
@@ -199,6 +312,10 @@ export class NetworkManager {
             this.game.onPlayerTaskStart(data);
         });
 
+        this.socket.on('task_progress', (data) => {
+            this.game.onTaskProgress(data);
+        });
+
         this.socket.on('player_task_complete', (data) => {
             this.game.onPlayerTaskComplete(data);
         });
@@ -225,6 +342,43 @@ export class NetworkManager {
             this.game.onSabotageTriggered(data);
         });
 
+        this.socket.on('lights_state', (data) => {
+            this.game.onLightsState(data);
+        });
+
+        this.socket.on('comms_state', (data) => {
+            this.game.onCommsState(data);
+        });
+
+        this.socket.on('doors_state', (data) => {
+            this.game.onDoorsState(data);
+        });
+
+        this.socket.on('critical_state', (data) => {
+            this.game.onCriticalState(data);
+        });
+
+        this.socket.on('cameras_state', (data) => {
+            this.game.onCamerasState(data);
+        });
+
+        this.socket.on('vitals_state', (data) => {
+            this.game.onVitalsState(data);
+        });
+
+        this.socket.on('hide_and_seek_state', (data) => {
+            this.game.onHideAndSeekState(data);
+        });
+
+        // Role abilities: our own cooldown / active timers, and everyone's disguises
+        this.socket.on('ability_state', (data) => {
+            this.game.onAbilityState(data);
+        });
+
+        this.socket.on('player_shapeshift', (data) => {
+            this.game.onPlayerShapeshift(data);
+        });
+
         // Vent sync (only received by other impostors)
         this.socket.on('player_vent_enter', (data) => {
             console.log('Player entered vent:', data.playerId);
@@ -236,6 +390,12 @@ export class NetworkManager {
             this.game.onPlayerVentExit(data);
         });
 
+        // The server pushed us out of a vent we stayed in too long
+        this.socket.on('vent_ejected', (data) => {
+            console.log('Ejected from vent:', data.ventId);
+            this.game.onVentEjected(data);
+        });
+
         // Sound sync
         this.socket.on('play_sound', (data) => {
             this.game.onPlaySound(data);
@@ -261,14 +421,22 @@ export class NetworkManager {
     // ROOM MANAGEMENT
     // ============================================
 
+    // Ask the server for a challenge to sign (answered in the wallet_challenge listener).
+    // Every connection starts unverified, so this runs on each (re)connect, and again
+    // once the wallet is unlocked (MainMenu.onWalletChanged).
+    verifyWallet() {
+        this.walletAddress = null;
+        if (!this.socket || !this.connected || !this.game.mainMenu.getSigningKeypair()) return;
+        this.socket.emit('request_wallet_challenge');
+    }
+
     createRoom(playerName, isPublic = true) {
         if (!this.connected || !this.socket) {
             console.log('Not connected to server');
             return false;
         }
         this.playerName = playerName;
-        const walletAddress = localStorage.getItem('solanaPublicKey') || '';
-        this.socket.emit('create_room', { playerName, isPublic, walletAddress });
+        this.socket.emit('create_room', { playerName, isPublic });
         return true;
     }
 
@@ -278,15 +446,17 @@ export class NetworkManager {
             return false;
         }
         this.playerName = playerName;
-        const walletAddress = localStorage.getItem('solanaPublicKey') || '';
-        this.socket.emit('join_room', { code, playerName, playerColor, walletAddress });
+        this.socket.emit('join_room', { code, playerName, playerColor });
         return true;
     }
 
     leaveRoom() {
+        // Forget the session even while offline, so a reconnect doesn't pull us back in
+        this.currentRoomCode = null;
+        this.sessionToken = null;
+        this.spectating = false;
         if (!this.connected || !this.socket) return;
         this.socket.emit('leave_room');
-        this.currentRoomCode = null;
     }
 
     returnToLobby() {
@@ -296,9 +466,12 @@ export class NetworkManager {
 
     disconnect() {
         if (this.socket) {
+            // Leaving on purpose - don't have the server hold our slot
+            if (this.connected && this.currentRoomCode) this.socket.emit('leave_room');
             this.socket.disconnect();
             this.connected = false;
             this.currentRoomCode = null;
+            this.sessionToken = null;
         }
     }
 
@@ -316,11 +489,13 @@ export class NetworkManager {
     // GAME ACTIONS
     // ============================================
 
-    sendPosition(player) {
-        if (!this.connected || !this.socket) return;
+    // `move` carries the in-game prediction fields ({seq, dx, dy}); returns whether
+    // the packet actually went out (sends are rate-limited)
+    sendPosition(player, move = null) {
+        if (!this.connected || !this.socket) return false;
 
         const now = Date.now();
-        if (now - this.lastPositionSend < this.positionSendRate) return;
+        if (now - this.lastPositionSend < this.positionSendRate) return false;
         this.lastPositionSend = now;
 
         // Handle both Player instances (with serialize method) and plain objects
@@ -339,7 +514,13 @@ export class NetworkManager {
                 name: player.name || ''
             };
 
-        this.socket.emit('player_move', data);
+        this.socket.emit('player_move', move ? { ...data, ...move } : data);
+        return true;
+    }
+
+    // Server time (ms) remote players should currently be drawn at - see Player.interpolate()
+    getInterpolationTime() {
+        return Date.now() + (this.serverTimeOffset || 0) - INTERPOLATION_DELAY_MS;
     }
 
     sendAction(action, data = {}) {
@@ -383,9 +564,9 @@ export class NetworkManager {
         this.socket.emit('task_start', { taskId, taskName });
     }
 
-    sendTaskComplete(taskId, taskName) {
+    sendTaskComplete(taskId, taskName, step = 0) {
         if (!this.connected || !this.socket) return;
-        this.socket.emit('task_complete', { taskId, taskName });
+        this.socket.emit('task_complete', { taskId, taskName, step });
     }
 
     sendTaskCancel() {
@@ -406,9 +587,45 @@ export class NetworkManager {
     }
 
     // Sabotage sync
-    sendSabotage(sabotageType) {
+    // extra: sabotage-specific fields (doors carry the room to shut)
+    sendSabotage(sabotageType, extra = {}) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('sabotage', { sabotageType, ...extra });
+    }
+
+    sendLightSwitch(index) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('lights_switch', { index });
+    }
+
+    sendCommsFix(frequency) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('comms_fix', { frequency });
+    }
+
+    sendCamerasUse(watching) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('cameras_use', { watching });
+    }
+
+    requestVitals() {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('vitals_request');
+    }
+
+    sendUseAbility(targetId = null) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('use_ability', { targetId });
+    }
+
+    sendReactorHold(index, holding) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('reactor_hold', { index, holding });
+    }
+
+    sendO2Code(index, code) {
         if (!this.connected || !this.socket) return;
-        this.socket.emit('sabotage', { sabotageType });
+        this.socket.emit('o2_code', { index, code });
     }
 
     // Vent sync
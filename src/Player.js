@@ -15,9 +15,9 @@ export class Player {
         this.moving = false;
         this.facingLeft = false;
 
-        // Network interpolation targets (remote players ease toward these instead of snapping)
-        this.targetX = x;
-        this.targetY = y;
+        // Server snapshots of a remote player, oldest first: [{ time, x, y, moving, facingLeft }].
+        // interpolate() plays them back a little in the past.
+        this.snapshots = [];
 
         // Animation
         this.animationFrame = 0;
@@ -30,6 +30,7 @@ export class Player {
         this.inVent = false;
         this.visible = true; // Can be set to false during MedScan
         this.name = `Player ${id}`;
+        this.disguise = null; // { color, name } while a Shapeshifter wears someone else's look
         this.hasVoted = false;
         this.votesReceived = 0;
 
@@ -98,6 +99,10 @@ export class Player {
     static WALK_FRAMES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
     static IDLE_FRAME = 0;
 
+    // Snapshot interpolation for remote players
+    static SNAPSHOT_BUFFER_SIZE = 20; // About a second of server ticks
+    static SNAP_DISTANCE = 250; // Jumps further than this (vents, respawns) snap instead of gliding
+
     update(dt, inputState) {
         // Update spawn animation if active
         if (this.isSpawning) {
@@ -131,20 +136,10 @@ export class Player {
             }
         }
 
-        // Apply movement (only for local player - remote player positions come from network)
+        // Apply movement (only for local player - remote players are placed by interpolate())
         if (this.isLocal) {
             this.x += this.velocityX * dt;
             this.y += this.velocityY * dt;
-        } else if (this.targetX !== undefined) {
-            // Remote players: dead-reckon using the last known velocity so they glide at a
-            // CONSTANT speed (exactly like the local player) between the ~20Hz updates, then
-            // gently correct toward the authoritative position to absorb drift. Pure easing
-            // toward the target made them decelerate-then-jump every packet ("ease-stutter").
-            this.x += this.velocityX * dt;
-            this.y += this.velocityY * dt;
-            const t = Math.min(1, dt * 6);
-            this.x += (this.targetX - this.x) * t;
-            this.y += (this.targetY - this.y) * t;
         }
 
         // Update animation (for all players based on moving state)
@@ -191,7 +186,7 @@ export class Player {
                 const drawY = screenY - (drawH * charFeetY);
 
                 // Recolor spawn frame to player's color
-                const playerColor = Player.COLORS[this.color % Player.COLORS.length];
+                const playerColor = Player.COLORS[this.getDisplayColor() % Player.COLORS.length];
                 const recoloredFrame = this.recolorSpawnFrame(spawnFrame, playerColor);
 
                 ctx.drawImage(
@@ -216,8 +211,8 @@ export class Player {
         // Scale down sprite - use override for lobby (1.0 scale map) vs default for Skeld (0.25 scale)
         const spriteScale = scaleOverride !== null ? scaleOverride : 0.17;
 
-        // Get the player's color
-        const playerColor = Player.COLORS[this.color % Player.COLORS.length];
+        // Get the player's color (a disguised Shapeshifter shows their target's)
+        const playerColor = Player.COLORS[this.getDisplayColor() % Player.COLORS.length];
 
         // Dead players use a SINGLE static ghost sprite (no animation, no loop).
         // It still flips left/right via the facingLeft scale(-1,1) applied above.
@@ -495,7 +490,7 @@ export class Player {
         ctx.font = `${fontSize}px "Varela Round", Arial`;
         ctx.textAlign = 'center';
         // Truncate name to first 4 and last 4 characters for display
-        const displayName = this.truncateNameForDisplay(this.name);
+        const displayName = this.truncateNameForDisplay(this.disguise ? this.disguise.name : this.name);
         // Thin black outline
         ctx.strokeStyle = '#000000';
         ctx.lineWidth = Math.max(1, scale * 0.5);
@@ -506,6 +501,10 @@ export class Player {
         ctx.restore();
     }
 
+    getDisplayColor() {
+        return this.disguise ? this.disguise.color : this.color;
+    }
+
     // Truncate name for in-game display (first 4...last 4)
     truncateNameForDisplay(name) {
         if (!name || name.length <= 10) return name;
@@ -537,26 +536,41 @@ export class Player {
         };
     }
 
-    // Update from network data
-    deserialize(data) {
-        // Interpolate toward the incoming position instead of snapping. Snap only on the
-        // first update or on big jumps (vent/respawn/teleport) so we don't glide across the map.
-        const jump = Math.hypot(data.x - this.x, data.y - this.y);
-        if (this.targetX === undefined || jump > 250) {
-            this.x = data.x;
-            this.y = data.y;
-        }
-        this.targetX = data.x;
-        this.targetY = data.y;
-        this.velocityX = data.velocityX || 0;
-        this.velocityY = data.velocityY || 0;
+    // Queue this remote player's state from a server snapshot (time = server clock, ms)
+    pushSnapshot(state, time) {
         // Drive the walk animation off actual velocity, not just the networked moving flag.
         // A single packet with moving:false mid-walk would otherwise reset the animation
-        // timer/frame every ~50ms and the legs would never cycle ("fewer frames" on remotes).
-        const speed = Math.hypot(this.velocityX, this.velocityY);
-        this.moving = (data.moving || false) || speed > 1;
-        this.facingLeft = data.facingLeft || false;
-        this.isDead = data.isDead || false;
-        this.name = data.name || this.name;
+        // timer/frame and the legs would never cycle ("fewer frames" on remotes).
+        const speed = Math.hypot(state.velocityX || 0, state.velocityY || 0);
+        this.snapshots.push({
+            time,
+            x: state.x,
+            y: state.y,
+            moving: (state.moving || false) || speed > 1,
+            facingLeft: state.facingLeft || false
+        });
+        if (this.snapshots.length > Player.SNAPSHOT_BUFFER_SIZE) this.snapshots.shift();
+    }
+
+    // Place a remote player where the server had them at renderTime, blending the two
+    // snapshots around it. Holds the newest one if the buffer runs dry.
+    interpolate(renderTime) {
+        const buffer = this.snapshots;
+        if (buffer.length === 0) return;
+
+        while (buffer.length > 1 && buffer[1].time <= renderTime) buffer.shift();
+        const from = buffer[0];
+        const to = buffer[1];
+        this.moving = from.moving;
+        this.facingLeft = from.facingLeft;
+
+        if (!to || renderTime <= from.time || Math.hypot(to.x - from.x, to.y - from.y) > Player.SNAP_DISTANCE) {
+            this.x = from.x;
+            this.y = from.y;
+            return;
+        }
+        const t = (renderTime - from.time) / (to.time - from.time);
+        this.x = from.x + (to.x - from.x) * t;
+        this.y = from.y + (to.y - from.y) * t;
     }
 }
@@ -0,0 +1,425 @@
+// Replay Screen - plays back a finished match saved by the server (replay.html)
+// Same full-vision view as spectating, plus a timeline, playback speed and the
+// option to see the map through one player's eyes
+
+import { Player } from './Player.js';
+import { SpectatorScreen } from './SpectatorScreen.js';
+
+// Bits of a frame entry's flags (see REPLAY_FLAG_* in server/index.js)
+const FLAG_FACING_LEFT = 1;
+const FLAG_MOVING = 2;
+const FLAG_DEAD = 4;
+const FLAG_IN_VENT = 8;
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+export class ReplayScreen extends SpectatorScreen {
+    constructor() {
+        super();
+
+        this.replay = null; // The saved log: { id, code, startedAt, endedAt, settings, players, events, result }
+        this.frames = []; // Position frames, oldest first
+        this.moments = []; // Every other event (kills, votes, ...), oldest first
+        this.allPlayers = []; // Player per replay.players entry - this.players only holds those on the map
+
+        // Playback
+        this.time = 0; // ms since the match started
+        this.duration = 0;
+        this.playing = true;
+        this.speed = 1;
+        this.scrubbing = false;
+
+        this.visionId = null; // Player whose vision is drawn (null = full vision)
+
+        // UI hitboxes
+        this.timeline = null;
+        this.playButton = null;
+        this.speedButtons = [];
+        this.visionToggles = []; // [{ id, x, y, w, h }]
+    }
+
+    load(replay) {
+        this.show(replay.code, 0);
+        this.replay = replay;
+        this.frames = replay.events.filter(e => e.type === 'frame');
+        this.moments = replay.events.filter(e => e.type !== 'frame');
+        this.duration = replay.endedAt - replay.startedAt;
+        this.time = 0;
+        this.playing = true;
+        this.visionId = null;
+
+        this.allPlayers = replay.players.map(data => {
+            const player = new Player(data.id, 0, 0, data.color, false);
+            player.name = data.name;
+            player.isImpostor = data.isImpostor;
+            player.role = data.role;
+            return player;
+        });
+        this.followId = this.allPlayers[0]?.id || null;
+        this.focus = { x: 0, y: 0 };
+    }
+
+    handleKeyDown(e) {
+        if (!this.active) return;
+
+        switch (e.code) {
+            case 'Space':
+                this.togglePlaying();
+                e.preventDefault();
+                return;
+            case 'Minus':
+            case 'BracketLeft':
+                this.stepSpeed(-1);
+                return;
+            case 'Equal':
+            case 'BracketRight':
+                this.stepSpeed(1);
+                return;
+            case 'KeyV':
+                // See through the followed player's eyes (again to go back to full vision)
+                this.visionId = this.visionId === this.followId ? null : this.followId;
+                return;
+        }
+        super.handleKeyDown(e);
+    }
+
+    togglePlaying() {
+        if (this.time >= this.duration) this.time = 0; // Play again from the top
+        this.playing = !this.playing;
+    }
+
+    stepSpeed(step) {
+        const index = SPEEDS.indexOf(this.speed) + step;
+        this.speed = SPEEDS[Math.max(0, Math.min(SPEEDS.length - 1, index))];
+    }
+
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.duration, time));
+    }
+
+    update(dt, screenW, screenH, map) {
+        if (!this.active || !this.replay) return;
+
+        if (this.playing && !this.scrubbing) {
+            this.seek(this.time + dt * 1000 * this.speed);
+            if (this.time >= this.duration) this.playing = false;
+        }
+
+        this.applyFrame();
+        this.applyBodies();
+        for (const player of this.players.values()) {
+            player.update(dt, null);
+        }
+
+        this.updateCamera(dt, screenW, screenH, map);
+    }
+
+    // Place everyone by blending the two frames around this.time
+    applyFrame() {
+        const index = this.findLast(this.frames, this.time);
+        const from = this.frames[index];
+        const to = this.frames[index + 1];
+        this.players.clear();
+        if (!from) return;
+
+        const alpha = to ? (this.time - from.t) / (to.t - from.t) : 0;
+        this.allPlayers.forEach((player, i) => {
+            const a = from.positions[i];
+            if (!a) return; // Left the match
+            const b = to?.positions[i];
+            const [ax, ay, flags] = a;
+            // Jumps (vents, respawns) snap rather than slide across the map
+            const blend = b && Math.hypot(b[0] - ax, b[1] - ay) < Player.SNAP_DISTANCE;
+            player.x = blend ? ax + (b[0] - ax) * alpha : ax;
+            player.y = blend ? ay + (b[1] - ay) * alpha : ay;
+            player.facingLeft = (flags & FLAG_FACING_LEFT) !== 0;
+            player.moving = (flags & FLAG_MOVING) !== 0;
+            player.isDead = (flags & FLAG_DEAD) !== 0;
+            player.inVent = (flags & FLAG_IN_VENT) !== 0;
+            if (!player.inVent) this.players.set(player.id, player);
+        });
+    }
+
+    // Bodies lie where they fell until the next meeting clears the map
+    applyBodies() {
+        for (const player of this.allPlayers) {
+            delete player.deathX;
+            delete player.deathY;
+        }
+        const meeting = this.getCurrentMeetingStart();
+        for (const event of this.momentsUntilNow()) {
+            if (event.type !== 'kill' || event.t < meeting) continue;
+            const victim = this.allPlayers.find(p => p.id === event.targetId);
+            if (victim) {
+                victim.deathX = event.x;
+                victim.deathY = event.y;
+            }
+        }
+    }
+
+    // Index of the last entry at or before time (-1 if none) - entries are sorted by t
+    findLast(entries, time) {
+        let low = 0;
+        let high = entries.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (entries[mid].t <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    momentsUntilNow() {
+        return this.moments.slice(0, this.findLast(this.moments, this.time) + 1);
+    }
+
+    // Time the latest meeting was called (0 before the first one)
+    getCurrentMeetingStart() {
+        const meetings = this.momentsUntilNow().filter(e => e.type === 'meeting');
+        return meetings.length > 0 ? meetings[meetings.length - 1].t : 0;
+    }
+
+    // The meeting running at this.time: { votes, result }, or null between meetings
+    getCurrentMeeting() {
+        const meeting = { votes: [], result: null };
+        let open = false;
+        for (const event of this.momentsUntilNow()) {
+            if (event.type === 'meeting') {
+                open = true;
+                meeting.votes = [];
+                meeting.result = null;
+            } else if (event.type === 'meeting_end') {
+                open = false;
+            } else if (event.type === 'vote') {
+                meeting.votes.push(event);
+            } else if (event.type === 'meeting_result') {
+                meeting.result = event;
+            }
+        }
+        return open ? meeting : null;
+    }
+
+    getMeetingVoterIds() {
+        return new Set((this.getCurrentMeeting()?.votes || []).map(vote => vote.voterId));
+    }
+
+    getStatusLine() {
+        const gameOver = this.momentsUntilNow().find(e => e.type === 'game_over');
+        if (gameOver) {
+            const impostorsWon = gameOver.winner === 'impostors';
+            return { text: impostorsWon ? 'IMPOSTORS WIN' : 'CREWMATES WIN', color: impostorsWon ? '#FF4D4D' : '#8CFFFF' };
+        }
+
+        const meeting = this.getCurrentMeeting();
+        if (!meeting) return null;
+        if (meeting.result) {
+            const ejected = this.getName(meeting.result.ejectedId);
+            if (meeting.result.ejectedId) return { text: `${ejected} was ejected`, color: '#FFFFFF' };
+            return { text: meeting.result.isTie ? 'Tie - no one was ejected' : 'Skipped - no one was ejected', color: '#FFFFFF' };
+        }
+        return { text: `MEETING - ${meeting.votes.length} voted`, color: '#FFD700' };
+    }
+
+    getName(playerId) {
+        return this.allPlayers.find(p => p.id === playerId)?.name || 'Unknown';
+    }
+
+    // One line of the event log
+    describeEvent(event) {
+        switch (event.type) {
+            case 'kill':
+                return `${this.getName(event.killerId)} killed ${this.getName(event.targetId)}`;
+            case 'vent_enter':
+                return `${this.getName(event.playerId)} entered a vent`;
+            case 'vent_exit':
+                return `${this.getName(event.playerId)} left a vent`;
+            case 'sabotage':
+                return `${this.getName(event.playerId)} sabotaged ${event.room || event.sabotageType}`;
+            case 'meeting':
+                return event.reason === 'body'
+                    ? `${this.getName(event.callerId)} reported ${this.getName(event.bodyId)}`
+                    : `${this.getName(event.callerId)} called a meeting`;
+            case 'vote':
+                return `${this.getName(event.voterId)} voted ${event.targetId ? this.getName(event.targetId) : 'skip'}`;
+            case 'meeting_result':
+                return event.ejectedId ? `${this.getName(event.ejectedId)} was ejected` : 'No one was ejected';
+            case 'meeting_end':
+                return 'Meeting over';
+            case 'task':
+                return `${this.getName(event.playerId)} ${event.done ? 'finished' : 'did a step of'} ${event.taskId}`;
+            case 'game_over':
+                return `${event.winner === 'impostors' ? 'Impostors' : 'Crewmates'} win`;
+            default:
+                return event.type;
+        }
+    }
+
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    renderUI(ctx, screenW, screenH) {
+        ctx.save();
+        ctx.textBaseline = 'top';
+
+        // Banner - which match and when it was played
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 24px "VCR OSD Mono", monospace';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 4;
+        const banner = `REPLAY ${this.replay.code} - ${new Date(this.replay.startedAt).toLocaleString()}`;
+        ctx.strokeText(banner, screenW / 2, 12);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(banner, screenW / 2, 12);
+
+        const status = this.getStatusLine();
+        if (status) {
+            ctx.font = 'bold 22px "VCR OSD Mono", monospace';
+            ctx.strokeText(status.text, screenW / 2, 44);
+            ctx.fillStyle = status.color;
+            ctx.fillText(status.text, screenW / 2, 44);
+        }
+
+        this.drawRoster(ctx, screenW);
+        this.drawEventLog(ctx);
+        this.drawControls(ctx, screenW, screenH);
+        ctx.restore();
+    }
+
+    // Roster rows also get a vision toggle on their left
+    drawRoster(ctx, screenW) {
+        // Everyone is listed, including players in vents
+        const onMap = this.players;
+        this.players = new Map(this.allPlayers.map(p => [p.id, p]));
+        super.drawRoster(ctx, screenW);
+        this.players = onMap;
+
+        this.visionToggles = [];
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 12px Arial';
+        for (const row of this.rosterRows) {
+            const toggle = { id: row.id, x: row.x - 30, y: row.y, w: 26, h: row.h };
+            const on = this.visionId === row.id;
+            ctx.fillStyle = on ? '#FFD700' : 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(toggle.x, toggle.y, toggle.w, toggle.h);
+            ctx.fillStyle = on ? '#000000' : '#FFFFFF';
+            ctx.fillText('EYE', toggle.x + toggle.w / 2, toggle.y + 6);
+            this.visionToggles.push(toggle);
+        }
+    }
+
+    drawEventLog(ctx) {
+        const recent = this.momentsUntilNow().slice(-8);
+        ctx.textAlign = 'left';
+        ctx.font = '14px Arial';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000000';
+        recent.forEach((event, i) => {
+            const line = `${this.formatTime(event.t)}  ${this.describeEvent(event)}`;
+            ctx.strokeText(line, 20, 80 + i * 20);
+            ctx.fillStyle = event.type === 'kill' ? '#FF4D4D' : '#FFFFFF';
+            ctx.fillText(line, 20, 80 + i * 20);
+        });
+    }
+
+    // Play / pause, speed buttons and the timeline along the bottom
+    drawControls(ctx, screenW, screenH) {
+        const barY = screenH - 70;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 16px Arial';
+
+        this.playButton = { x: 140, y: barY - 16, w: 70, h: 32 };
+        this.drawButton(ctx, this.playButton, this.playing ? 'PAUSE' : 'PLAY', false);
+
+        this.speedButtons = SPEEDS.map((speed, i) => {
+            const button = { speed, x: 220 + i * 56, y: barY - 16, w: 50, h: 32 };
+            this.drawButton(ctx, button, `${speed}x`, speed === this.speed);
+            return button;
+        });
+
+        // Timeline with a tick per kill and meeting
+        const timelineX = 220 + SPEEDS.length * 56 + 20;
+        const timelineW = screenW - timelineX - 120;
+        this.timeline = { x: timelineX, y: barY - 8, w: timelineW, h: 16 };
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(this.timeline.x, this.timeline.y, timelineW, this.timeline.h);
+        for (const event of this.moments) {
+            if (event.type !== 'kill' && event.type !== 'meeting') continue;
+            ctx.fillStyle = event.type === 'kill' ? '#FF4D4D' : '#FFD700';
+            ctx.fillRect(this.timeline.x + timelineW * (event.t / this.duration) - 1, this.timeline.y, 2, this.timeline.h);
+        }
+        const progress = this.duration > 0 ? this.time / this.duration : 0;
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(this.timeline.x + timelineW * progress - 3, this.timeline.y - 4, 6, this.timeline.h + 8);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(this.timeline.x, this.timeline.y, timelineW, this.timeline.h);
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${this.formatTime(this.time)} / ${this.formatTime(this.duration)}`, this.timeline.x + timelineW + 10, barY);
+
+        // Controls hint
+        ctx.textAlign = 'center';
+        ctx.font = '14px "VCR OSD Mono", monospace';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000000';
+        const followed = this.players.get(this.followId) || this.allPlayers.find(p => p.id === this.followId);
+        const hint = `${followed ? `Following ${followed.name}` : 'Free camera'} - SPACE: play/pause  [ ]: speed  TAB: next player  V: their vision  F: free camera`;
+        ctx.strokeText(hint, screenW / 2, screenH - 28);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(hint, screenW / 2, screenH - 28);
+    }
+
+    drawButton(ctx, button, label, selected) {
+        ctx.fillStyle = selected ? '#FFFFFF' : 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(button.x, button.y, button.w, button.h);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(button.x, button.y, button.w, button.h);
+        ctx.fillStyle = selected ? '#000000' : '#FFFFFF';
+        ctx.fillText(label, button.x + button.w / 2, button.y + button.h / 2);
+    }
+
+    handleClick(x, y) {
+        if (!this.active) return null;
+
+        if (this.timeline && this.isInBounds(x, y, { ...this.timeline, y: this.timeline.y - 6, h: this.timeline.h + 12 })) {
+            this.scrubbing = true;
+            this.handleDrag(x, y);
+            return null;
+        }
+        if (this.playButton && this.isInBounds(x, y, this.playButton)) {
+            this.togglePlaying();
+            return 'button';
+        }
+        const speedButton = this.speedButtons.find(b => this.isInBounds(x, y, b));
+        if (speedButton) {
+            this.speed = speedButton.speed;
+            return 'button';
+        }
+        const toggle = this.visionToggles.find(t => this.isInBounds(x, y, t));
+        if (toggle) {
+            this.visionId = this.visionId === toggle.id ? null : toggle.id;
+            return 'button';
+        }
+        return super.handleClick(x, y);
+    }
+
+    // Dragging along the timeline scrubs through the match
+    handleDrag(x, y) {
+        if (!this.scrubbing || !this.timeline) return;
+        this.seek(((x - this.timeline.x) / this.timeline.w) * this.duration);
+    }
+
+    handleRelease() {
+        this.scrubbing = false;
+    }
+}
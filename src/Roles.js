@@ -0,0 +1,11 @@
+// Role catalog - display name, team, reveal color and ability of every role.
+// The catalog lives in shared/roles.json so the server hands out the same roles.
+
+import roles from '../shared/roles.json';
+
+export const ROLES = roles;
+
+// Look up a role, falling back to plain crewmate / impostor (offline, or no special role)
+export function getRole(roleKey, isImpostor = false) {
+    return ROLES[roleKey] || ROLES[isImpostor ? 'impostor' : 'crewmate'];
+}
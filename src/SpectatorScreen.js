@@ -0,0 +1,391 @@
+// Spectator Screen - shown when joining a room whose game is already running
+// The server sends a delayed, full-vision feed; spectators can look around but not act
+
+import { Player } from './Player.js';
+import { getRole } from './Roles.js';
+
+// Frames are drawn this far behind the newest one, so there are two to blend between
+const FRAME_INTERPOLATION_MS = 100;
+
+export class SpectatorScreen {
+    constructor() {
+        this.active = false;
+        this.roomCode = null;
+        this.delayMs = 0; // How far behind the live game the feed runs (from spectate_started)
+        this.roster = []; // [{ id, name, color }] from spectate_started, shown until the first frame
+
+        // Players rebuilt from spectate_frame - positions are interpolated like remote players in game
+        this.players = new Map();
+        this.frame = null; // Newest frame: { seq, time, state, players, bodies, taskProgress, meeting, gameOver }
+        this.frameTimeOffset = null; // Frame clock minus ours, smoothed over frames
+
+        // Camera - follows followId, or pans freely when that's null
+        this.camera = { x: 0, y: 0 };
+        this.cameraZoom = 1.5; // Further out than in game, so more of the ship is in view
+        this.focus = null; // World position at the center of the screen
+        this.followId = null;
+        this.freeCameraSpeed = 600; // World units per second
+
+        // Input state for the free camera
+        this.input = {
+            up: false,
+            down: false,
+            left: false,
+            right: false
+        };
+
+        // UI hitboxes
+        this.leaveButton = null;
+        this.rosterRows = []; // [{ id, x, y, w, h }] - clicking a row follows that player
+    }
+
+    show(roomCode, delayMs, roster = []) {
+        this.active = true;
+        this.roomCode = roomCode;
+        this.delayMs = delayMs;
+        this.roster = roster;
+        this.players.clear();
+        this.frame = null;
+        this.frameTimeOffset = null;
+        this.focus = null;
+        this.followId = null;
+
+        // Add keyboard listener
+        this.keyDownHandler = (e) => this.handleKeyDown(e);
+        this.keyUpHandler = (e) => this.handleKeyUp(e);
+        window.addEventListener('keydown', this.keyDownHandler);
+        window.addEventListener('keyup', this.keyUpHandler);
+    }
+
+    hide() {
+        this.active = false;
+        this.players.clear();
+        this.frame = null;
+        this.input = { up: false, down: false, left: false, right: false };
+
+        // Remove keyboard listeners
+        if (this.keyDownHandler) {
+            window.removeEventListener('keydown', this.keyDownHandler);
+            this.keyDownHandler = null;
+        }
+        if (this.keyUpHandler) {
+            window.removeEventListener('keyup', this.keyUpHandler);
+            this.keyUpHandler = null;
+        }
+    }
+
+    onFrame(frame) {
+        if (!this.active) return;
+        if (this.frame && frame.seq <= this.frame.seq) return; // Stale - a newer frame already arrived
+        this.frame = frame;
+
+        const offset = frame.time - Date.now();
+        this.frameTimeOffset = this.frameTimeOffset === null
+            ? offset
+            : this.frameTimeOffset + (offset - this.frameTimeOffset) * 0.1;
+
+        const present = new Set();
+        for (const state of frame.players) {
+            present.add(state.id);
+            let player = this.players.get(state.id);
+            if (!player) {
+                player = new Player(state.id, state.x, state.y, state.color, false);
+                this.players.set(state.id, player);
+            }
+            player.name = state.name;
+            player.color = state.color;
+            player.isDead = state.isDead;
+            player.isImpostor = state.isImpostor;
+            player.role = state.role;
+            player.connected = state.connected;
+            player.pushSnapshot(state, frame.time);
+            delete player.deathX;
+            delete player.deathY;
+        }
+        for (const id of this.players.keys()) {
+            if (!present.has(id)) this.players.delete(id);
+        }
+
+        // Only bodies nobody has reported yet are on the map
+        for (const body of frame.bodies) {
+            const player = this.players.get(body.id);
+            if (player) {
+                player.deathX = body.x;
+                player.deathY = body.y;
+            }
+        }
+
+        // Start out following whoever is first in the room
+        if (!this.focus) {
+            const first = frame.players[0];
+            this.followId = first?.id || null;
+            this.focus = { x: first?.x || 0, y: first?.y || 0 };
+        }
+        if (this.followId && !this.players.has(this.followId)) {
+            this.followId = null;
+        }
+    }
+
+    // Follow the next (step = 1) or previous (step = -1) player
+    cycleFollow(step) {
+        const ids = [...this.players.keys()];
+        if (ids.length === 0) return;
+        const index = ids.indexOf(this.followId);
+        const next = index === -1
+            ? (step > 0 ? 0 : ids.length - 1)
+            : (index + step + ids.length) % ids.length;
+        this.followId = ids[next];
+    }
+
+    handleKeyDown(e) {
+        if (!this.active) return;
+
+        switch (e.code) {
+            case 'KeyW':
+            case 'ArrowUp':
+                this.input.up = true;
+                e.preventDefault();
+                break;
+            case 'KeyS':
+            case 'ArrowDown':
+                this.input.down = true;
+                e.preventDefault();
+                break;
+            case 'KeyA':
+            case 'ArrowLeft':
+                this.input.left = true;
+                e.preventDefault();
+                break;
+            case 'KeyD':
+            case 'ArrowRight':
+                this.input.right = true;
+                e.preventDefault();
+                break;
+            case 'Tab':
+                this.cycleFollow(e.shiftKey ? -1 : 1);
+                e.preventDefault();
+                break;
+            case 'KeyF':
+                this.followId = null; // Free camera from wherever we are now
+                break;
+        }
+    }
+
+    handleKeyUp(e) {
+        if (!this.active) return;
+
+        switch (e.code) {
+            case 'KeyW':
+            case 'ArrowUp':
+                this.input.up = false;
+                break;
+            case 'KeyS':
+            case 'ArrowDown':
+                this.input.down = false;
+                break;
+            case 'KeyA':
+            case 'ArrowLeft':
+                this.input.left = false;
+                break;
+            case 'KeyD':
+            case 'ArrowRight':
+                this.input.right = false;
+                break;
+        }
+    }
+
+    update(dt, screenW, screenH, map) {
+        if (!this.active || !this.frame) return;
+
+        const renderTime = Date.now() + this.frameTimeOffset - FRAME_INTERPOLATION_MS;
+        for (const player of this.players.values()) {
+            player.interpolate(renderTime);
+            player.update(dt, null);
+        }
+
+        this.updateCamera(dt, screenW, screenH, map);
+    }
+
+    updateCamera(dt, screenW, screenH, map) {
+        // Panning drops out of follow mode
+        const panX = (this.input.right ? 1 : 0) - (this.input.left ? 1 : 0);
+        const panY = (this.input.down ? 1 : 0) - (this.input.up ? 1 : 0);
+        if (panX !== 0 || panY !== 0) {
+            this.followId = null;
+            this.focus.x += panX * this.freeCameraSpeed * dt;
+            this.focus.y += panY * this.freeCameraSpeed * dt;
+        }
+
+        const followed = this.players.get(this.followId);
+        if (followed) {
+            this.focus.x = followed.x;
+            this.focus.y = followed.y;
+        }
+
+        this.focus.x = Math.max(0, Math.min(map.width, this.focus.x));
+        this.focus.y = Math.max(0, Math.min(map.height, this.focus.y));
+        this.camera.x = this.focus.x - (screenW / 2) / this.cameraZoom;
+        this.camera.y = this.focus.y - (screenH / 2) / this.cameraZoom;
+    }
+
+    renderUI(ctx, screenW, screenH) {
+        ctx.save();
+        ctx.textBaseline = 'top';
+
+        // Banner - what we're watching and how far behind it is
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 24px "VCR OSD Mono", monospace';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 4;
+        const banner = `SPECTATING ${this.roomCode} (${Math.round(this.delayMs / 1000)}s DELAY)`;
+        ctx.strokeText(banner, screenW / 2, 12);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(banner, screenW / 2, 12);
+
+        if (!this.frame) {
+            ctx.font = '20px "VCR OSD Mono", monospace';
+            ctx.strokeText('Waiting for the feed...', screenW / 2, screenH / 2);
+            ctx.fillText('Waiting for the feed...', screenW / 2, screenH / 2);
+            ctx.font = '16px "VCR OSD Mono", monospace';
+            this.roster.forEach((entry, i) => {
+                const y = screenH / 2 + 40 + i * 22;
+                ctx.strokeText(entry.name, screenW / 2, y);
+                ctx.fillStyle = Player.COLORS[entry.color % Player.COLORS.length].body;
+                ctx.fillText(entry.name, screenW / 2, y);
+            });
+        } else {
+            const status = this.getStatusLine();
+            if (status) {
+                ctx.font = 'bold 22px "VCR OSD Mono", monospace';
+                ctx.strokeText(status.text, screenW / 2, 44);
+                ctx.fillStyle = status.color;
+                ctx.fillText(status.text, screenW / 2, 44);
+            }
+            this.drawTaskBar(ctx, 20, 20);
+            this.drawRoster(ctx, screenW);
+        }
+
+        // Controls hint
+        ctx.textAlign = 'center';
+        ctx.font = '14px "VCR OSD Mono", monospace';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000000';
+        const followed = this.players.get(this.followId);
+        const hint = `${followed ? `Following ${followed.name}` : 'Free camera'} - WASD: pan  TAB: next player  F: free camera  ESC: leave`;
+        ctx.strokeText(hint, screenW / 2, screenH - 28);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(hint, screenW / 2, screenH - 28);
+
+        // Leave button
+        const buttonW = 100;
+        const buttonH = 36;
+        this.leaveButton = { x: 20, y: screenH - buttonH - 20, w: buttonW, h: buttonH };
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(this.leaveButton.x, this.leaveButton.y, buttonW, buttonH);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(this.leaveButton.x, this.leaveButton.y, buttonW, buttonH);
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 18px Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('LEAVE', this.leaveButton.x + buttonW / 2, this.leaveButton.y + buttonH / 2);
+
+        ctx.restore();
+    }
+
+    // Meeting / game over line under the banner
+    getStatusLine() {
+        const { meeting, gameOver } = this.frame;
+        if (gameOver) {
+            const text = gameOver.winner === 'impostors' ? 'IMPOSTORS WIN' : 'CREWMATES WIN';
+            return { text: `${text} - waiting for the host`, color: gameOver.winner === 'impostors' ? '#FF4D4D' : '#8CFFFF' };
+        }
+        if (!meeting) return null;
+
+        if (meeting.result) {
+            const ejected = this.players.get(meeting.result.ejectedId);
+            if (ejected) return { text: `${ejected.name} was ejected`, color: '#FFFFFF' };
+            return { text: meeting.result.isTie ? 'Tie - no one was ejected' : 'Skipped - no one was ejected', color: '#FFFFFF' };
+        }
+        const seconds = Math.ceil(meeting.remainingMs / 1000);
+        const phase = meeting.phase === 'voting' ? 'VOTING' : 'DISCUSSION';
+        return { text: `MEETING - ${phase} ${seconds}s`, color: '#FFD700' };
+    }
+
+    getMeetingVoterIds() {
+        return new Set(this.frame.meeting?.voterIds || []);
+    }
+
+    drawTaskBar(ctx, x, y) {
+        const { completed, total } = this.frame.taskProgress;
+        const barW = 260;
+        const barH = 18;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x, y, barW, barH);
+        ctx.fillStyle = '#44D62C';
+        ctx.fillRect(x, y, total > 0 ? barW * (completed / total) : 0, barH);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, barW, barH);
+
+        ctx.textAlign = 'left';
+        ctx.font = '14px "VCR OSD Mono", monospace';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(`TASKS ${completed}/${total}`, x + 6, y + 2);
+    }
+
+    // Everyone in the game with their role - spectators see it all
+    drawRoster(ctx, screenW) {
+        const rowW = 240;
+        const rowH = 26;
+        const x = screenW - rowW - 20;
+        let y = 80;
+        const voterIds = this.getMeetingVoterIds();
+
+        this.rosterRows = [];
+        ctx.textAlign = 'left';
+        ctx.font = '14px Arial';
+        for (const player of this.players.values()) {
+            ctx.fillStyle = player.id === this.followId ? 'rgba(255, 255, 255, 0.25)' : 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x, y, rowW, rowH - 2);
+
+            ctx.fillStyle = Player.COLORS[player.color % Player.COLORS.length].body;
+            ctx.fillRect(x + 6, y + 5, 14, 14);
+
+            let label = player.name;
+            if (player.isDead) label += ' (dead)';
+            if (player.connected === false) label += ' (dropped)';
+            if (voterIds.has(player.id)) label += ' - voted';
+            ctx.fillStyle = player.isDead ? '#999999' : '#FFFFFF';
+            ctx.fillText(label, x + 28, y + 5);
+
+            const role = getRole(player.role, player.isImpostor);
+            ctx.textAlign = 'right';
+            ctx.fillStyle = role.color;
+            ctx.fillText(role.name, x + rowW - 6, y + 5);
+            ctx.textAlign = 'left';
+
+            this.rosterRows.push({ id: player.id, x, y, w: rowW, h: rowH - 2 });
+            y += rowH;
+        }
+    }
+
+    handleClick(x, y) {
+        if (!this.active) return null;
+
+        if (this.leaveButton && this.isInBounds(x, y, this.leaveButton)) {
+            return 'leave';
+        }
+
+        const row = this.rosterRows.find(r => this.isInBounds(x, y, r));
+        if (row) {
+            this.followId = row.id;
+        }
+        return null;
+    }
+
+    isInBounds(x, y, bounds) {
+        return x >= bounds.x && x <= bounds.x + bounds.w &&
+               y >= bounds.y && y <= bounds.y + bounds.h;
+    }
+}
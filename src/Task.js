@@ -1497,6 +1497,8 @@ export class ReactorMeltdownTask extends Task {
         this.isHolding = false;
         this.glowBarY = 500; // Starts at bottom (500), goes to top (0)
         this.partnerPanel = null; // Reference to the other reactor panel
+        this.remoteHeld = false; // Another player has their hand on this panel (online, from the server)
+        this.onHoldChange = null; // Called with true/false so Game can sync the hold
         this.completed = false;
         this.showSuccess = false;
         this.successTimer = 0;
@@ -1529,7 +1531,7 @@ export class ReactorMeltdownTask extends Task {
         }
 
         // Check if partner panel is being held by another player
-        const partnerHolding = this.partnerPanel ? this.partnerPanel.isHolding : false;
+        const partnerHolding = this.isPartnerHolding();
 
         // If BOTH panels are being held (this one AND the partner), glow bar rises
         if (this.isHolding && partnerHolding) {
@@ -1551,6 +1553,11 @@ export class ReactorMeltdownTask extends Task {
         }
     }
 
+    isPartnerHolding() {
+        if (!this.partnerPanel) return false;
+        return this.partnerPanel.isHolding || this.partnerPanel.remoteHeld;
+    }
+
     render(ctx, assetLoader) {
         if (!this.active) return;
 
@@ -1573,7 +1580,7 @@ export class ReactorMeltdownTask extends Task {
         const panelY = (screenH - panelH) / 2;
 
         // Flash blue background when BOTH panels are being held (this AND partner)
-        const partnerHolding = this.partnerPanel ? this.partnerPanel.isHolding : false;
+        const partnerHolding = this.isPartnerHolding();
         if (this.isHolding && partnerHolding) {
             const flashSpeed = 8;
             const flash = Math.sin(Date.now() / 1000 * flashSpeed) * 0.5 + 0.5;
@@ -1617,6 +1624,7 @@ export class ReactorMeltdownTask extends Task {
         if (this.panelHitbox &&
             x >= this.panelHitbox.x && x <= this.panelHitbox.x + this.panelHitbox.w &&
             y >= this.panelHitbox.y && y <= this.panelHitbox.y + this.panelHitbox.h) {
+            if (!this.isHolding && this.onHoldChange) this.onHoldChange(true);
             this.isHolding = true;
             return true;
         }
@@ -1630,8 +1638,15 @@ export class ReactorMeltdownTask extends Task {
 
     handleRelease() {
         // Release when mouse is released
+        if (this.isHolding && this.onHoldChange) this.onHoldChange(false);
         this.isHolding = false;
     }
+
+    close() {
+        // Walking away takes the hand off the panel
+        this.handleRelease();
+        super.close();
+    }
 }
 
 // O2 Sabotage - Enter Code Task (keypad with post-it note showing 4-digit code)
@@ -1667,6 +1682,8 @@ export class EnterCodeTask extends Task {
         this.errorTimer = 0;
         this.sabotageActive = false;
         this.partnerTask = null;   // Reference to the other O2 panel
+        this.sharedCode = null;    // Code picked by the server (online); start() rolls one otherwise
+        this.onCodeEntered = null; // Called with the accepted code so Game can sync it
 
         // Panel layout
         this.scale = 1.2;
@@ -1679,6 +1696,7 @@ export class EnterCodeTask extends Task {
         for (let i = 0; i < 4; i++) {
             this.targetCode += Math.floor(Math.random() * 10).toString();
         }
+        if (this.sharedCode) this.targetCode = this.sharedCode;
         this.enteredCode = '';
         this.completed = false;
         this.showSuccess = false;
@@ -1844,6 +1862,7 @@ export class EnterCodeTask extends Task {
                 this.showError = false;
                 this.successTimer = 0;
                 console.log('O2 code correct!');
+                if (this.onCodeEntered) this.onCodeEntered(this.enteredCode);
             } else {
                 // Wrong code - show error and clear
                 this.showError = true;
@@ -1862,6 +1881,338 @@ export class EnterCodeTask extends Task {
     handleRelease() {}
 }
 
+// Lights Sabotage - Fix Lights Task (row of switches in Electrical, all must be flipped up)
+export class FixLightsTask extends Task {
+    constructor(room, x, y) {
+        super('Fix Lights', room, x, y);
+        this.isSabotage = true;
+
+        // State
+        this.switches = [true, true, true, true, true]; // true = up (on)
+        this.completed = false;
+        this.showSuccess = false;
+        this.successTimer = 0;
+        this.sabotageActive = false;
+        this.onSwitchToggle = null; // Called with the switch index so Game can sync it
+
+        // Panel layout
+        this.panelW = 560;
+        this.panelH = 300;
+        this.switchW = 60;
+        this.switchH = 120;
+    }
+
+    start() {
+        super.start();
+        this.completed = false;
+        this.showSuccess = false;
+        this.successTimer = 0;
+    }
+
+    // Switch positions come from whoever owns the sabotage state (server, or Game offline)
+    setSwitches(switches) {
+        this.switches = [...switches];
+    }
+
+    allSwitchesOn() {
+        return this.switches.every(on => on);
+    }
+
+    update(dt) {
+        if (!this.active || this.completed) return;
+
+        if (this.showSuccess) {
+            this.successTimer += dt;
+            if (this.successTimer > 1.5) {
+                this.completed = true;
+                this.active = false;
+            }
+        }
+    }
+
+    render(ctx, assetLoader) {
+        if (!this.active) return;
+
+        const screenW = ctx.canvas.width;
+        const screenH = ctx.canvas.height;
+
+        // Dark overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, screenW, screenH);
+
+        const panelX = (screenW - this.panelW) / 2;
+        const panelY = (screenH - this.panelH) / 2;
+
+        // Metal panel
+        ctx.fillStyle = '#5A6068';
+        ctx.strokeStyle = '#2A2E33';
+        ctx.lineWidth = 6;
+        ctx.fillRect(panelX, panelY, this.panelW, this.panelH);
+        ctx.strokeRect(panelX, panelY, this.panelW, this.panelH);
+
+        const spacing = this.panelW / this.switches.length;
+        const switchTop = panelY + 110;
+
+        this.switchHitboxes = [];
+        for (let i = 0; i < this.switches.length; i++) {
+            const on = this.switches[i];
+            const cx = panelX + spacing * (i + 0.5);
+            const switchX = cx - this.switchW / 2;
+
+            // Indicator light above each switch
+            ctx.fillStyle = on ? '#3CFF5A' : '#1E3A22';
+            ctx.beginPath();
+            ctx.arc(cx, panelY + 55, 18, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#1A1A1A';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+
+            // Switch slot
+            ctx.fillStyle = '#22252A';
+            ctx.fillRect(switchX, switchTop, this.switchW, this.switchH);
+
+            // Lever (top half when on, bottom half when off)
+            const leverY = on ? switchTop + 6 : switchTop + this.switchH / 2;
+            ctx.fillStyle = '#C8CCD0';
+            ctx.fillRect(switchX + 6, leverY, this.switchW - 12, this.switchH / 2 - 6);
+
+            this.switchHitboxes.push({ x: switchX, y: switchTop, w: this.switchW, h: this.switchH, index: i });
+        }
+
+        // Status text under the switches
+        ctx.font = 'bold 24px "Varela Round", Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (this.showSuccess) {
+            ctx.fillStyle = '#3CFF5A';
+            ctx.fillText('Lights Fixed!', panelX + this.panelW / 2, panelY + this.panelH - 35);
+        } else if (!this.sabotageActive) {
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText('No Sabotage Active', panelX + this.panelW / 2, panelY + this.panelH - 35);
+        }
+    }
+
+    handleClick(x, y) {
+        if (!this.active || this.showSuccess || !this.sabotageActive) return false;
+
+        for (const sw of this.switchHitboxes || []) {
+            if (x >= sw.x && x <= sw.x + sw.w &&
+                y >= sw.y && y <= sw.y + sw.h) {
+                this.switches[sw.index] = !this.switches[sw.index];
+                if (this.allSwitchesOn()) {
+                    this.showSuccess = true;
+                    this.successTimer = 0;
+                }
+                if (this.onSwitchToggle) this.onSwitchToggle(sw.index);
+                return true;
+            }
+        }
+
+        return true;
+    }
+
+    handleDrag(x, y) {}
+    handleRelease() {}
+}
+
+// Comms Sabotage - Fix Comms Task (turn the dial until the noisy signal locks onto the carrier)
+export class FixCommsTask extends Task {
+    constructor(room, x, y) {
+        super('Fix Comms', room, x, y);
+        this.isSabotage = true;
+
+        // Dial frequency runs 0..1 across the knob's sweep
+        this.frequency = 0;
+        this.targetFrequency = 0.5;
+        this.tolerance = 0.04; // How close the dial must be to lock on
+        this.lockTime = 1.0;   // Seconds the signal must stay locked
+        this.lockTimer = 0;
+        this.sweep = Math.PI * 0.75; // Knob turns +-135 degrees from straight up
+
+        // State
+        this.dragging = false;
+        this.completed = false;
+        this.showSuccess = false;
+        this.successTimer = 0;
+        this.sabotageActive = false;
+        this.onTuned = null; // Called with the locked frequency so Game can report the fix
+
+        // Panel layout
+        this.panelW = 560;
+        this.panelH = 380;
+        this.knobRadius = 70;
+    }
+
+    start() {
+        super.start();
+        this.completed = false;
+        this.showSuccess = false;
+        this.successTimer = 0;
+        this.lockTimer = 0;
+        this.dragging = false;
+        this.frequency = Math.random();
+    }
+
+    update(dt) {
+        if (!this.active || this.completed) return;
+
+        if (this.showSuccess) {
+            this.successTimer += dt;
+            if (this.successTimer > 1.5) {
+                this.completed = true;
+                this.active = false;
+            }
+            return;
+        }
+
+        if (!this.sabotageActive) return;
+
+        // Hold the dial on the carrier for lockTime to restore comms
+        if (Math.abs(this.frequency - this.targetFrequency) <= this.tolerance) {
+            this.lockTimer += dt;
+            if (this.lockTimer >= this.lockTime) {
+                this.showSuccess = true;
+                this.successTimer = 0;
+                this.dragging = false;
+                if (this.onTuned) this.onTuned(this.frequency);
+            }
+        } else {
+            this.lockTimer = 0;
+        }
+    }
+
+    render(ctx, assetLoader) {
+        if (!this.active) return;
+
+        const screenW = ctx.canvas.width;
+        const screenH = ctx.canvas.height;
+
+        // Dark overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, screenW, screenH);
+
+        const panelX = (screenW - this.panelW) / 2;
+        const panelY = (screenH - this.panelH) / 2;
+
+        // Radio panel
+        ctx.fillStyle = '#4E5560';
+        ctx.strokeStyle = '#23272C';
+        ctx.lineWidth = 6;
+        ctx.fillRect(panelX, panelY, this.panelW, this.panelH);
+        ctx.strokeRect(panelX, panelY, this.panelW, this.panelH);
+
+        // Signal screen
+        const screenX = panelX + 40;
+        const screenY = panelY + 30;
+        const screenWidth = this.panelW - 80;
+        const screenHeight = 140;
+        ctx.fillStyle = '#0B1A0E';
+        ctx.fillRect(screenX, screenY, screenWidth, screenHeight);
+
+        // Noise shrinks as the dial approaches the carrier
+        const offset = this.sabotageActive ? Math.abs(this.frequency - this.targetFrequency) : 0;
+        const noise = Math.min(1, offset * 4);
+        const midY = screenY + screenHeight / 2;
+        const time = Date.now() / 1000;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(screenX, screenY, screenWidth, screenHeight);
+        ctx.clip();
+        ctx.strokeStyle = offset <= this.tolerance ? '#5CFF7A' : '#2FC24A';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        for (let px = 0; px <= screenWidth; px += 4) {
+            const wave = Math.sin(px / 25 + time * 6) * 35 * (1 - noise * 0.6);
+            const jitter = (Math.random() - 0.5) * 110 * noise;
+            const py = midY + wave + jitter;
+            if (px === 0) ctx.moveTo(screenX + px, py);
+            else ctx.lineTo(screenX + px, py);
+        }
+        ctx.stroke();
+        ctx.restore();
+
+        // Dial knob
+        const knobX = panelX + this.panelW / 2;
+        const knobY = panelY + 270;
+        const angle = -Math.PI / 2 + (this.frequency * 2 - 1) * this.sweep;
+
+        // Sweep ticks around the knob
+        ctx.strokeStyle = '#C8CCD0';
+        ctx.lineWidth = 2;
+        for (let i = 0; i <= 10; i++) {
+            const a = -Math.PI / 2 + (i / 10 * 2 - 1) * this.sweep;
+            ctx.beginPath();
+            ctx.moveTo(knobX + Math.cos(a) * (this.knobRadius + 8), knobY + Math.sin(a) * (this.knobRadius + 8));
+            ctx.lineTo(knobX + Math.cos(a) * (this.knobRadius + 18), knobY + Math.sin(a) * (this.knobRadius + 18));
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#2B2F35';
+        ctx.beginPath();
+        ctx.arc(knobX, knobY, this.knobRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#15181B';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+
+        // Knob pointer
+        ctx.strokeStyle = '#F2F2F2';
+        ctx.lineWidth = 8;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(knobX + Math.cos(angle) * 15, knobY + Math.sin(angle) * 15);
+        ctx.lineTo(knobX + Math.cos(angle) * (this.knobRadius - 12), knobY + Math.sin(angle) * (this.knobRadius - 12));
+        ctx.stroke();
+        ctx.lineCap = 'butt';
+
+        this.knobHitbox = { x: knobX, y: knobY, r: this.knobRadius + 20 };
+
+        // Status text on the signal screen
+        ctx.font = 'bold 22px "Varela Round", Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (this.showSuccess) {
+            ctx.fillStyle = '#5CFF7A';
+            ctx.fillText('Comms Restored!', screenX + screenWidth / 2, screenY + 22);
+        } else if (!this.sabotageActive) {
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText('No Sabotage Active', screenX + screenWidth / 2, screenY + 22);
+        }
+    }
+
+    // Point the dial at (x, y), clamped to the knob's sweep
+    setDialFromPoint(x, y) {
+        const k = this.knobHitbox;
+        // Angle measured from straight up, clockwise positive
+        const fromUp = Math.atan2(x - k.x, -(y - k.y));
+        const clamped = Math.max(-this.sweep, Math.min(this.sweep, fromUp));
+        this.frequency = (clamped / this.sweep + 1) / 2;
+    }
+
+    handleClick(x, y) {
+        if (!this.active || this.showSuccess || !this.sabotageActive) return false;
+
+        const k = this.knobHitbox;
+        if (k && Math.hypot(x - k.x, y - k.y) <= k.r) {
+            this.dragging = true;
+            this.setDialFromPoint(x, y);
+        }
+
+        return true;
+    }
+
+    handleDrag(x, y) {
+        if (!this.dragging || this.showSuccess) return;
+        this.setDialFromPoint(x, y);
+    }
+
+    handleRelease() {
+        this.dragging = false;
+    }
+}
+
 // Card Swipe Task - Swipe card at correct speed
 export class SwipeCardTask extends Task {
     constructor(room, x, y) {
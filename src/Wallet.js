@@ -0,0 +1,136 @@
+// Solana wallet helpers. Keys are base58 strings: the 32-byte public key (the wallet
+// address) and the 64-byte secret key (32-byte seed followed by the public key), the
+// same layout Solana wallets export. MainMenu stores the secret key only as an
+// encryptKeypair() backup and holds it in memory once the player unlocks it.
+
+import { ed25519 } from '@noble/curves/ed25519';
+import bs58 from 'bs58';
+
+const BACKUP_VERSION = 1; // Bump when the backup file format changes
+const BACKUP_KDF_ITERATIONS = 600000; // PBKDF2-SHA256 rounds - slows down password guessing
+
+function keypairFromSeed(seed) {
+    const publicKey = ed25519.getPublicKey(seed);
+    const secretKey = new Uint8Array(64);
+    secretKey.set(seed);
+    secretKey.set(publicKey, 32);
+    return { publicKey: bs58.encode(publicKey), secretKey: bs58.encode(secretKey) };
+}
+
+// A fresh ed25519 keypair: { publicKey, secretKey } as base58
+export function generateKeypair() {
+    return keypairFromSeed(ed25519.utils.randomSecretKey());
+}
+
+// Rebuild the keypair from a base58 secret key. Returns null unless it is 64 bytes
+// and its second half is the public key of its first.
+export function keypairFromSecretKey(secretKey) {
+    try {
+        const bytes = bs58.decode(secretKey.trim());
+        if (bytes.length !== 64) return null;
+        const keypair = keypairFromSeed(bytes.slice(0, 32));
+        return bs58.encode(bytes.slice(32)) === keypair.publicKey ? keypair : null;
+    } catch (err) {
+        return null; // Not base58
+    }
+}
+
+// A wallet address is a base58 32-byte ed25519 public key - a point on the curve
+export function isValidAddress(address) {
+    try {
+        const bytes = bs58.decode(address.trim());
+        if (bytes.length !== 32) return false;
+        ed25519.Point.fromHex(bytes);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Sign the server's wallet challenge (NetworkManager.verifyWallet). Returns the base58
+// signature, or null if the stored keys aren't a real keypair for walletAddress.
+export function signWalletChallenge(secretKey, walletAddress, message) {
+    const keypair = secretKey ? keypairFromSecretKey(secretKey) : null;
+    if (!keypair || keypair.publicKey !== walletAddress) return null;
+    const seed = bs58.decode(keypair.secretKey).slice(0, 32);
+    return bs58.encode(ed25519.sign(new TextEncoder().encode(message), seed));
+}
+
+async function deriveBackupKey(password, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Password-protected backup of a keypair (AES-256-GCM under a PBKDF2 key), also the
+// format the wallet is saved in. The public key stays readable so a backup file can
+// be matched to its wallet.
+export async function encryptKeypair(keypair, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveBackupKey(password, salt, BACKUP_KDF_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bs58.decode(keypair.secretKey));
+    return {
+        version: BACKUP_VERSION,
+        publicKey: keypair.publicKey,
+        kdf: 'PBKDF2-SHA256',
+        iterations: BACKUP_KDF_ITERATIONS,
+        salt: bs58.encode(salt),
+        iv: bs58.encode(iv),
+        ciphertext: bs58.encode(new Uint8Array(ciphertext))
+    };
+}
+
+// Open a backup from encryptKeypair(). Returns the keypair, or null for a wrong
+// password or a damaged/unknown file.
+export async function decryptKeypair(backup, password) {
+    if (!backup || backup.version !== BACKUP_VERSION || backup.kdf !== 'PBKDF2-SHA256') return null;
+    try {
+        const key = await deriveBackupKey(password, bs58.decode(backup.salt), backup.iterations);
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bs58.decode(backup.iv) }, key, bs58.decode(backup.ciphertext));
+        const keypair = keypairFromSecretKey(bs58.encode(new Uint8Array(plain)));
+        return keypair && keypair.publicKey === backup.publicKey ? keypair : null;
+    } catch (err) {
+        return null; // AES-GCM rejects a wrong password
+    }
+}
+
+// Work out what the player pasted into the import field:
+//   { backup }  - an encryptKeypair() file, still needs its password
+//   { keypair } - a base58 secret key, or a Solana CLI key file (JSON array of 64 bytes)
+//   { error }   - anything else, including a bare wallet address
+export function parseWalletImport(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+        try {
+            const backup = JSON.parse(trimmed);
+            if (backup.version === BACKUP_VERSION && isValidAddress(backup.publicKey || '')) return { backup };
+        } catch (err) {
+            // Fall through to the error below
+        }
+        return { error: 'Not a wallet backup from this game' };
+    }
+    if (trimmed.startsWith('[')) {
+        try {
+            const bytes = JSON.parse(trimmed);
+            if (Array.isArray(bytes) && bytes.length === 64) {
+                const keypair = keypairFromSecretKey(bs58.encode(Uint8Array.from(bytes)));
+                if (keypair) return { keypair };
+            }
+        } catch (err) {
+            // Fall through to the error below
+        }
+        return { error: 'Not a valid Solana key file' };
+    }
+    const keypair = keypairFromSecretKey(trimmed);
+    if (keypair) return { keypair };
+    if (isValidAddress(trimmed)) {
+        return { error: 'That is a wallet address, not its secret key - the game needs the key to sign for it' };
+    }
+    return { error: 'Not a valid secret key or wallet backup' };
+}
@@ -0,0 +1,28 @@
+// Replay viewer entry point (replay.html?id=<replay id>#key=<REPLAY_ACCESS_KEY>).
+// The key rides in the fragment so it never reaches request logs.
+
+import { Game } from './Game.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const canvas = document.getElementById('game');
+
+    if (!canvas) {
+        console.error('Canvas element not found!');
+        return;
+    }
+
+    const replayId = new URLSearchParams(window.location.search).get('id');
+    if (!replayId) {
+        console.error('No replay id - open replay.html?id=<id>#key=<key> (saved replays: /api/replays)');
+        return;
+    }
+    const accessKey = new URLSearchParams(window.location.hash.slice(1)).get('key') || '';
+
+    // Same renderer as the game, parked in its replay state
+    const game = new Game(canvas);
+    game.startReplay(replayId, accessKey);
+    game.start();
+
+    // Expose game to console for debugging
+    window.game = game;
+});
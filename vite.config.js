@@ -9,7 +9,8 @@ export default defineConfig({
             '/socket.io': {
                 target: 'http://localhost:3001',
                 ws: true
-            }
+            },
+            '/api': 'http://localhost:3001'
         }
     },
     build: {
@@ -17,6 +18,7 @@ export default defineConfig({
         rollupOptions: {
             input: {
                 main: resolve(__dirname, 'index.html'),
+                replay: resolve(__dirname, 'replay.html'),
                 ventEditor: resolve(__dirname, 'vent-editor.html'),
                 mapEditor: resolve(__dirname, 'map-editor.html'),
                 taskBoxEditor: resolve(__dirname, 'task-box-editor.html')